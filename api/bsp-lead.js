@@ -1,135 +1,45 @@
 // Vercel API Route for BSP Lead Capture
 // Place this file at: api/bsp-lead.js
 
+import { storeBspLead, getBspLead, getLeadDebugInfo } from '../lib/leads.js';
+import { registerFlowSession } from '../lib/flow-sessions.js';
+import { authenticateBspRequest, getRejectionStats } from '../lib/webhook-auth.js';
+import { handleVariantReply } from '../lib/variants.js';
+import { sendWhatsAppTextMessage } from '../lib/whatsapp.js';
+import { requireAdmin } from '../lib/admin.js';
+
+// Lead posts are authenticated against their raw body, so Vercel must not parse it first
+export const config = { api: { bodyParser: false } };
+
 // --- CORS Headers ---
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-bsp-signature, x-bsp-token',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
 };
 
-// --- BSP Lead Storage ---
-// Simple in-memory storage for BSP leads (resets on server restart)
-const bspLeadStore = {
-  latest: null,           // Most recent lead
-  byPhone: new Map(),     // Map phone -> lead data
-  bySession: new Map(),   // Map session/chat_id -> phone
-  recent: []              // Array of recent leads (max 100)
-};
+// The BSP relays the customer's latest message as user_message; a reply like "2"
+// picks one of the variants we sent. Returns a summary of the pick, or null.
+async function handleVariantPick(phoneNumber, userMessage) {
+  if (!phoneNumber || !userMessage) return null;
 
-// Store BSP lead data
-function storeBspLead(leadData) {
-  const phoneNumber = leadData.phoneNumber || leadData.chat_id;
-  const timestamp = new Date().toISOString();
-  
-  const enrichedLead = {
-    ...leadData,
-    phoneNumber,
-    timestamp,
-    id: `${phoneNumber}-${Date.now()}`
-  };
-  
-  // Store as latest
-  bspLeadStore.latest = enrichedLead;
-  
-  // Store by phone number
-  if (phoneNumber) {
-    bspLeadStore.byPhone.set(phoneNumber, enrichedLead);
-    
-    // Store session mapping
-    if (leadData.chatId || leadData.chat_id) {
-      bspLeadStore.bySession.set(leadData.chatId || leadData.chat_id, phoneNumber);
-    }
-  }
-  
-  // Add to recent leads (keep only last 100)
-  bspLeadStore.recent.unshift(enrichedLead);
-  if (bspLeadStore.recent.length > 100) {
-    bspLeadStore.recent = bspLeadStore.recent.slice(0, 100);
-  }
-  
-  console.log('📍 BSP Lead stored:', {
-    phone: phoneNumber,
-    name: leadData.firstName || leadData.first_name,
-    totalStored: bspLeadStore.byPhone.size,
-    recentCount: bspLeadStore.recent.length
-  });
-  
-  return enrichedLead;
-}
+  const selection = await handleVariantReply(phoneNumber, userMessage);
+  if (!selection) return null;
 
-// Get BSP lead data
-function getBspLead(identifier = 'latest') {
-  if (identifier === 'latest') {
-    return bspLeadStore.latest;
+  if (selection.alreadySelected) {
+    await sendWhatsAppTextMessage(phoneNumber, "You've already picked an option for these images. Your high-resolution version is on its way!");
+    return { jobId: selection.job.id, alreadySelected: true };
   }
-  
-  // Try to get by phone number
-  if (bspLeadStore.byPhone.has(identifier)) {
-    return bspLeadStore.byPhone.get(identifier);
-  }
-  
-  // Try to get by session/chat_id
-  if (bspLeadStore.bySession.has(identifier)) {
-    const phone = bspLeadStore.bySession.get(identifier);
-    return bspLeadStore.byPhone.get(phone);
-  }
-  
-  return null;
-}
 
-// Optional: Persist to database (implement based on your needs)
-async function persistBspLead(leadData) {
-  try {
-    // Example: Save to Supabase
-    // const { createClient } = require('@supabase/supabase-js');
-    // const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-    // await supabase.from('bsp_leads').upsert({
-    //   phone_number: leadData.phoneNumber,
-    //   first_name: leadData.firstName || leadData.first_name,
-    //   email: leadData.email,
-    //   chat_id: leadData.chatId || leadData.chat_id,
-    //   subscriber_id: leadData.subscriberId,
-    //   user_message: leadData.userMessage || leadData.user_message,
-    //   postback_id: leadData.postbackId || leadData.postbackid,
-    //   created_at: leadData.timestamp
-    // });
-    
-    // Example: Save to Google Sheets
-    // await appendToGoogleSheet([
-    //   leadData.phoneNumber,
-    //   leadData.firstName || leadData.first_name,
-    //   leadData.email,
-    //   leadData.userMessage || leadData.user_message,
-    //   leadData.timestamp
-    // ]);
-    
-    // Example: Send to CRM API
-    // await fetch('https://your-crm.com/api/leads', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({
-    //     phone: leadData.phoneNumber,
-    //     name: leadData.firstName || leadData.first_name,
-    //     email: leadData.email,
-    //     message: leadData.userMessage || leadData.user_message,
-    //     timestamp: leadData.timestamp
-    //   })
-    // });
-    
-    console.log('💾 BSP lead persistence ready (implement your preferred method)');
-    return true;
-  } catch (error) {
-    console.error('Failed to persist BSP lead:', error);
-    return false;
-  }
+  const variant = selection.finalJob.params.finalOf.variant;
+  await sendWhatsAppTextMessage(phoneNumber, `Great choice! Creating the high-resolution version of option ${variant} now 🎨`);
+  return { jobId: selection.job.id, variant, finalJobId: selection.finalJob.id };
 }
 
 // --- BSP Lead Capture Handler ---
 async function handleBspLead(req, res) {
   console.log('=== BSP LEAD WEBHOOK ===');
   console.log('Method:', req.method);
-  console.log('Headers:', req.headers);
   console.log('Body:', JSON.stringify(req.body, null, 2));
   
   try {
@@ -180,11 +90,16 @@ async function handleBspLead(req, res) {
 
     console.log('✅ LEAD CAPTURED SUCCESSFULLY');
     
-    // Store the lead data in memory
-    const storedLead = storeBspLead(leadData);
-    
-    // Optionally persist to database
-    await persistBspLead(storedLead);
+    // Store the lead in the shared registry (Supabase + in-memory cache)
+    const storedLead = await storeBspLead(leadData);
+
+    // Link the Flow token (if the BSP sent one) to this recipient
+    const flowToken = req.body.flowToken || req.body.flow_token;
+    if (flowToken) {
+      await registerFlowSession({ flowToken, phoneNumber: storedLead.phoneNumber, leadId: storedLead.id });
+    }
+
+    const variantSelection = await handleVariantPick(storedLead.phoneNumber, storedLead.userMessage);
     
     return res.status(200).json({
       success: true,
@@ -197,7 +112,10 @@ async function handleBspLead(req, res) {
         chatId: storedLead.chatId,
         subscriberId: storedLead.subscriberId,
         userMessage: storedLead.userMessage,
+        flowToken: flowToken || null,
+        variantSelection,
         stored: true,
+        persisted: storedLead.persisted,
         source: 'BSP'
       },
       timestamp: storedLead.timestamp
@@ -219,22 +137,10 @@ async function handleDebugLeads(req, res) {
   console.log('=== DEBUG LEADS ENDPOINT ===');
   
   const debugInfo = {
-    latest: bspLeadStore.latest,
-    totalStored: bspLeadStore.byPhone.size,
-    recentCount: bspLeadStore.recent.length,
-    phoneNumbers: Array.from(bspLeadStore.byPhone.keys()),
-    recentLeads: bspLeadStore.recent.slice(0, 10).map(lead => ({
-      phone: lead.phoneNumber,
-      name: lead.firstName,
-      timestamp: lead.timestamp,
-      id: lead.id,
-      source: lead.source
-    })),
-    sessionMappings: Array.from(bspLeadStore.bySession.entries())
+    ...(await getLeadDebugInfo(10)),
+    webhookRejections: getRejectionStats()
   };
   
-  console.log('Debug info:', JSON.stringify(debugInfo, null, 2));
-  
   return res.status(200).json({
     success: true,
     message: 'BSP Lead Storage Debug Info',
@@ -255,7 +161,7 @@ async function handleGetLead(req, res) {
     });
   }
   
-  const lead = getBspLead(identifier);
+  const lead = await getBspLead(identifier);
   
   if (!lead) {
     return res.status(404).json({
@@ -292,16 +198,19 @@ export default async function handler(req, res) {
   try {
     // Route: POST /api/bsp-lead - Create/Store lead
     if (req.method === 'POST') {
+      if (!(await authenticateBspRequest(req, res))) return;
       return handleBspLead(req, res);
     }
 
-    // Route: GET /api/bsp-lead?debug=true - Debug lead storage
+    // Route: GET /api/bsp-lead?debug=true - Debug lead storage (admin only: it lists customer details)
     if (req.method === 'GET' && req.query.debug === 'true') {
+      if (!requireAdmin(req, res)) return;
       return handleDebugLeads(req, res);
     }
 
-    // Route: GET /api/bsp-lead?identifier=<phone|chat_id|latest> - Get specific lead
+    // Route: GET /api/bsp-lead?identifier=<phone|chat_id|latest> - Get specific lead (admin only)
     if (req.method === 'GET' && req.query.identifier) {
+      if (!requireAdmin(req, res)) return;
       return handleGetLead(req, res);
     }
 
@@ -312,8 +221,8 @@ export default async function handler(req, res) {
         message: 'BSP Lead Capture API',
         endpoints: {
           'POST /api/bsp-lead': 'Store a new lead',
-          'GET /api/bsp-lead?debug=true': 'Debug lead storage',
-          'GET /api/bsp-lead?identifier=<phone|latest>': 'Get specific lead',
+          'GET /api/bsp-lead?debug=true': 'Debug lead storage (admin bearer token)',
+          'GET /api/bsp-lead?identifier=<phone|latest>': 'Get specific lead (admin bearer token)',
           'GET /api/bsp-lead': 'This help message'
         },
         expectedPayload: {
@@ -321,7 +230,8 @@ export default async function handler(req, res) {
           firstName: '#LEAD_USER_FIRST_NAME#',
           email: 'optional',
           chatId: 'optional',
-          subscriberId: 'optional'
+          subscriberId: 'optional',
+          flowToken: 'flow_token sent on the Flow message (links Flow submissions to this phone)'
         },
         timestamp: new Date().toISOString()
       });
@@ -1,138 +1,47 @@
 // Vercel Node.js API Route for WhatsApp Flow with Gemini AI + BSP Lead Capture
 // Place this file at: api/webhook.js
 
-import { createHash, createHmac, createDecipheriv, createCipheriv, randomBytes } from 'crypto';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { createHash, createHmac, createDecipheriv, randomUUID } from 'crypto';
+import { storeBspLead, getLeadDebugInfo } from '../lib/leads.js';
+import { registerFlowSession, resolveFlowPhone } from '../lib/flow-sessions.js';
+import { createJob, dispatchJob, updateJob, JOB_STATUS } from '../lib/jobs.js';
+import { hashImage, getResultCacheKey, findCachedResult } from '../lib/result-cache.js';
+import { checkRateLimit, claimRateLimit, releaseRateLimit } from '../lib/rate-limit.js';
+import { isWhatsAppEventPayload, dispatchWhatsAppEvents } from '../lib/whatsapp-events.js';
+import {
+  isChargingEnabled,
+  getJobCost,
+  getCreditBalance,
+  formatCreditBalance,
+  insufficientCreditsMessage,
+  chargeJobCredits
+} from '../lib/credits.js';
+import { normalizeVariantCount } from '../lib/variants.js';
+import { getScenePreset, getScenePresetOptions } from '../lib/scene-presets.js';
+import { sanitizeFields } from '../lib/sanitize.js';
+import { moderateImage, recordModerationEvent, getModerationEnvVars } from '../lib/moderation.js';
+import { validateInputImage } from '../lib/image-input.js';
+import { requireAdmin } from '../lib/admin.js';
+import {
+  readRawBody,
+  parseJsonBody,
+  detectWebhookSource,
+  verifyMetaSignature,
+  authenticateBspRequest,
+  recordRejection,
+  getRejectionStats
+} from '../lib/webhook-auth.js';
+
+// Signatures are verified against the raw body, so Vercel must not parse it first
+export const config = { api: { bodyParser: false } };
 
 // --- CORS Headers ---
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-bsp-signature, x-bsp-token',
   'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
 };
 
-// WhatsApp API config
-const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
-const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
-const WHATSAPP_API_VERSION = process.env.WHATSAPP_API_VERSION || 'v23.0';
-
-// --- BSP Lead Storage ---
-// Simple in-memory storage for BSP leads (resets on server restart)
-const bspLeadStore = {
-  latest: null,           // Most recent lead
-  byPhone: new Map(),     // Map phone -> lead data
-  bySession: new Map(),   // Map session/chat_id -> phone
-  recent: []              // Array of recent leads (max 100)
-};
-
-// Store BSP lead data
-function storeBspLead(leadData) {
-  const phoneNumber = leadData.phoneNumber || leadData.chat_id;
-  const timestamp = new Date().toISOString();
-  
-  const enrichedLead = {
-    ...leadData,
-    phoneNumber,
-    timestamp,
-    id: `${phoneNumber}-${Date.now()}`
-  };
-  
-  // Store as latest
-  bspLeadStore.latest = enrichedLead;
-  
-  // Store by phone number
-  if (phoneNumber) {
-    bspLeadStore.byPhone.set(phoneNumber, enrichedLead);
-    
-    // Store session mapping
-    if (leadData.chatId || leadData.chat_id) {
-      bspLeadStore.bySession.set(leadData.chatId || leadData.chat_id, phoneNumber);
-    }
-  }
-  
-  // Add to recent leads (keep only last 100)
-  bspLeadStore.recent.unshift(enrichedLead);
-  if (bspLeadStore.recent.length > 100) {
-    bspLeadStore.recent = bspLeadStore.recent.slice(0, 100);
-  }
-  
-  console.log('📍 BSP Lead stored:', {
-    phone: phoneNumber,
-    name: leadData.firstName || leadData.first_name,
-    totalStored: bspLeadStore.byPhone.size,
-    recentCount: bspLeadStore.recent.length
-  });
-  
-  return enrichedLead;
-}
-
-// Get BSP lead data
-function getBspLead(identifier = 'latest') {
-  if (identifier === 'latest') {
-    return bspLeadStore.latest;
-  }
-  
-  // Try to get by phone number
-  if (bspLeadStore.byPhone.has(identifier)) {
-    return bspLeadStore.byPhone.get(identifier);
-  }
-  
-  // Try to get by session/chat_id
-  if (bspLeadStore.bySession.has(identifier)) {
-    const phone = bspLeadStore.bySession.get(identifier);
-    return bspLeadStore.byPhone.get(phone);
-  }
-  
-  return null;
-}
-
-// Optional: Persist to database (implement based on your needs)
-async function persistBspLead(leadData) {
-  try {
-    // Example: Save to Supabase
-    // const { createClient } = require('@supabase/supabase-js');
-    // const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
-    // await supabase.from('bsp_leads').upsert({
-    //   phone_number: leadData.phoneNumber,
-    //   first_name: leadData.firstName || leadData.first_name,
-    //   email: leadData.email,
-    //   chat_id: leadData.chatId || leadData.chat_id,
-    //   subscriber_id: leadData.subscriberId,
-    //   user_message: leadData.userMessage || leadData.user_message,
-    //   postback_id: leadData.postbackId || leadData.postbackid,
-    //   created_at: leadData.timestamp
-    // });
-    
-    // Example: Save to Google Sheets
-    // await appendToGoogleSheet([
-    //   leadData.phoneNumber,
-    //   leadData.firstName || leadData.first_name,
-    //   leadData.email,
-    //   leadData.userMessage || leadData.user_message,
-    //   leadData.timestamp
-    // ]);
-    
-    // Example: Send to CRM API
-    // await fetch('https://your-crm.com/api/leads', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({
-    //     phone: leadData.phoneNumber,
-    //     name: leadData.firstName || leadData.first_name,
-    //     email: leadData.email,
-    //     message: leadData.userMessage || leadData.user_message,
-    //     timestamp: leadData.timestamp
-    //   })
-    // });
-    
-    console.log('💾 BSP lead persistence ready (implement your preferred method)');
-    return true;
-  } catch (error) {
-    console.error('Failed to persist BSP lead:', error);
-    return false;
-  }
-}
-
 // --- BSP Lead Capture Handler ---
 async function handleBspLead(req, res) {
   console.log('=== BSP LEAD WEBHOOK ===');
@@ -167,11 +76,14 @@ async function handleBspLead(req, res) {
     if (leadData.phoneNumber) {
       console.log('✅ LEAD CAPTURED SUCCESSFULLY');
       
-      // Store the lead data in memory
-      const storedLead = storeBspLead(leadData);
-      
-      // Optionally persist to database
-      await persistBspLead(storedLead);
+      // Store the lead in the shared registry (Supabase + in-memory cache)
+      const storedLead = await storeBspLead(leadData);
+
+      // Link the Flow token (if the BSP sent one) to this recipient
+      const flowToken = req.body.flowToken || req.body.flow_token;
+      if (flowToken) {
+        await registerFlowSession({ flowToken, phoneNumber: storedLead.phoneNumber, leadId: storedLead.id });
+      }
       
       return res.status(200).json({
         success: true,
@@ -184,7 +96,9 @@ async function handleBspLead(req, res) {
           chatId: storedLead.chatId,
           subscriberId: storedLead.subscriberId,
           userMessage: storedLead.userMessage,
-          stored: true
+          flowToken: flowToken || null,
+          stored: true,
+          persisted: storedLead.persisted
         },
         timestamp: storedLead.timestamp
       });
@@ -207,133 +121,21 @@ async function handleBspLead(req, res) {
   }
 }
 
-// --- Enhanced WhatsApp Phone Number Detection ---
-function getUserPhoneFromPayload(decryptedBody) {
-  console.log('=== PHONE NUMBER DETECTION ===');
-  
-  // Method 1: Extract from WhatsApp Flow payload
-  const flowCandidates = [
-    decryptedBody?.user?.wa_id,
-    decryptedBody?.user?.phone,
-    decryptedBody?.phone_number,
-    decryptedBody?.mobile_number,
-    decryptedBody?.data?.phone_number,
-    decryptedBody?.data?.user_phone,
-    decryptedBody?.data?.mobile_number
-  ];
-
-  const flowPhone = flowCandidates.find((v) => typeof v === 'string' && v.trim().length > 0);
-  
-  if (flowPhone) {
-    const digits = flowPhone.replace(/\D/g, '');
-    if (digits) {
-      const normalizedPhone = digits.length === 10 ? `91${digits}` : digits;
-      console.log('📱 Phone from WhatsApp Flow:', normalizedPhone);
-      return normalizedPhone;
-    }
-  }
-
-  // Method 2: Get from latest BSP lead
-  const latestLead = getBspLead('latest');
-  if (latestLead?.phoneNumber) {
-    const digits = latestLead.phoneNumber.replace(/\D/g, '');
-    if (digits) {
-      const normalizedPhone = digits.length === 10 ? `91${digits}` : digits;
-      console.log('📱 Phone from latest BSP lead:', normalizedPhone, `(${latestLead.firstName || 'Unknown'})`);
-      return normalizedPhone;
-    }
-  }
-
-  console.log('❌ No phone number found in payload or BSP leads');
-  return null;
-}
-
-// --- Enhanced Image Generation with BSP Integration ---
-async function generateImageAndSendToUser(decryptedBody, actualImageData, productCategory, sceneDescription, priceOverlay) {
-  console.log('🚀 Starting image generation and user notification...');
-  
-  try {
-    // Generate the image
-    const imageUrl = await generateImageFromAi(
-      actualImageData,
-      productCategory.trim(),
-      sceneDescription && sceneDescription.trim() ? sceneDescription.trim() : null,
-      priceOverlay && priceOverlay.trim() ? priceOverlay.trim() : null
-    );
-    
-    console.log('✅ Image generation successful:', imageUrl);
-
-    // Get user's phone number (from Flow payload or BSP lead)
-    const toPhone = getUserPhoneFromPayload(decryptedBody);
-    
-    if (!toPhone) {
-      console.warn('⚠️ Phone number not found; cannot send WhatsApp message');
-      console.log('Available BSP leads:', {
-        latest: bspLeadStore.latest?.phoneNumber || 'none',
-        totalStored: bspLeadStore.byPhone.size,
-        recent: bspLeadStore.recent.slice(0, 3).map(lead => ({ 
-          phone: lead.phoneNumber, 
-          name: lead.firstName 
-        }))
-      });
-    } else {
-      // Get lead info for personalized message
-      const leadInfo = getBspLead(toPhone) || getBspLead('latest');
-      
-      const caption = createImageCaption(productCategory, priceOverlay, leadInfo);
-      
-      console.log('📤 Sending WhatsApp image to:', toPhone);
-      console.log('📝 Caption:', caption);
-      
-      try {
-        const waResp = await sendWhatsAppImageMessage(toPhone, imageUrl, caption);
-        console.log('✅ WhatsApp image sent successfully:', JSON.stringify(waResp));
-      } catch (sendErr) {
-        console.error('❌ Failed to send WhatsApp image:', sendErr);
-      }
-    }
-
-    return imageUrl;
-  } catch (error) {
-    console.error('❌ Image generation or sending failed:', error);
-    throw error;
-  }
-}
-
-// Create personalized image caption
-function createImageCaption(productCategory, priceOverlay, leadInfo) {
-  let caption = '';
-  
-  // Personalized greeting if we have lead info
-  if (leadInfo?.firstName) {
-    caption += `Hi ${leadInfo.firstName}! `;
-  }
-  
-  // Product info
-  caption += `Here's your enhanced ${productCategory}`;
-  
-  // Price if provided
-  if (priceOverlay && priceOverlay.trim()) {
-    caption += ` — ${priceOverlay.trim()}`;
-  }
-  
-  caption += ' image! 🎨✨';
-  
-  return caption;
-}
-
 // --- Utility Functions ---
 function validateEnvironmentVars() {
   const requiredVars = [
     'PRIVATE_KEY',
     'VERIFY_TOKEN',
+    'META_APP_SECRET',
+    'INTERNAL_DISPATCH_SECRET',
     'SUPABASE_URL',
-    'GEMINI_API_KEY',
+    'SUPABASE_SERVICE_ROLE_KEY',
     'SUPABASE_S3_ENDPOINT',
     'SUPABASE_S3_ACCESS_KEY_ID',
     'SUPABASE_S3_SECRET_ACCESS_KEY',
     'WHATSAPP_TOKEN',
-    'WHATSAPP_PHONE_NUMBER_ID'
+    'WHATSAPP_PHONE_NUMBER_ID',
+    ...getModerationEnvVars()
   ];
   const missing = requiredVars.filter((varName) => !process.env[varName]);
   if (missing.length > 0) {
@@ -512,326 +314,323 @@ async function decryptWhatsAppImage(imageData) {
   }
 }
 
-// Upload to Supabase Storage via S3-compatible API (SigV4)
-async function uploadGeneratedImageToSupabase(base64Data, mimeType) {
-  const supabaseUrl = process.env.SUPABASE_URL;
-  const s3Endpoint = process.env.SUPABASE_S3_ENDPOINT; // e.g. https://<ref>.storage.supabase.co/storage/v1/s3
-  const s3Region = process.env.SUPABASE_S3_REGION || 'us-east-1';
-  const accessKeyId = process.env.SUPABASE_S3_ACCESS_KEY_ID;
-  const secretAccessKey = process.env.SUPABASE_S3_SECRET_ACCESS_KEY;
-  const bucket = process.env.SUPABASE_S3_BUCKET || 'generated-images';
-
-  if (!supabaseUrl || !s3Endpoint || !accessKeyId || !secretAccessKey) {
-    throw new Error('Missing SUPABASE_URL, SUPABASE_S3_ENDPOINT, or S3 credentials');
+// Turn one Flow PhotoPicker entry (or a raw base64 string) into base64 image data
+async function extractProductImage(imageEntry) {
+  if (typeof imageEntry === 'string') {
+    console.log('Processing direct base64 string...');
+    return imageEntry;
   }
 
-  const buffer = Buffer.from(base64Data, 'base64');
-  const ext = (mimeType && mimeType.split('/')[1]) || 'jpg';
-  const filename = `generated-${Date.now()}.${ext}`;
+  if (imageEntry?.encryption_metadata) {
+    console.log('Decrypting WhatsApp encrypted image...');
+    return decryptWhatsAppImage(imageEntry);
+  }
 
-  const s3 = new S3Client({
-    region: s3Region,
-    endpoint: s3Endpoint,
-    credentials: { accessKeyId, secretAccessKey },
-    forcePathStyle: true
-  });
+  if (imageEntry?.cdn_url) {
+    console.log('Fetching unencrypted image from CDN...');
+    const response = await fetch(imageEntry.cdn_url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image: ${response.status}`);
+    }
+    const arrayBuffer = await response.arrayBuffer();
+    return Buffer.from(arrayBuffer).toString('base64');
+  }
 
-  await s3.send(new PutObjectCommand({
-    Bucket: bucket,
-    Key: filename,
-    Body: buffer,
-    ContentType: mimeType || 'image/jpeg'
-  }));
-
-  const baseUrl = supabaseUrl.replace(/\/+$/, '');
-  const publicUrl = `${baseUrl}/storage/v1/object/public/${encodeURIComponent(bucket)}/${encodeURIComponent(filename)}`;
-  console.log('Generated image uploaded (S3):', publicUrl);
-  return publicUrl;
+  throw new Error('Invalid image format: no cdn_url or encryption_metadata found');
 }
 
-// Simple prompt creation function
-function createSimplePrompt(productCategory, sceneDescription = null, priceOverlay = null) {
-  let prompt = `Create a professional product photo of this ${productCategory}.`;
-  
-  if (sceneDescription && sceneDescription.trim()) {
-    prompt += ` Show it in this setting: ${sceneDescription}.`;
-  } else {
-    prompt += ` Use a clean, professional background that complements the product.`;
-  }
-  
-  if (priceOverlay && priceOverlay.trim()) {
-    prompt += ` Include the price "${priceOverlay}" as a stylish overlay on the image.`;
-  }
-  
-  prompt += ` Make it look like a high-quality commercial product photo suitable for marketing and sales.`;
-  
-  return prompt;
+// Response for a form screen; both form screens always get the current scene presets
+// so the Flow dropdown is populated from our catalog rather than the Flow JSON.
+function formScreen(screen, data = {}) {
+  return { screen, data: { ...data, scene_presets: getScenePresetOptions() } };
 }
 
-// Simplified Gemini API call
-async function generateImageFromAi(productImageBase64, productCategory, sceneDescription = null, priceOverlay = null) {
-  console.log('=== GENERATE IMAGE FROM AI ===');
-  console.log('Parameters:');
-  console.log('- productImageBase64 length:', productImageBase64 ? productImageBase64.length : 0);
-  console.log('- productCategory:', productCategory || 'MISSING');
-  console.log('- sceneDescription:', sceneDescription || 'not provided');
-  console.log('- priceOverlay:', priceOverlay || 'not provided');
-  
-  if (!productImageBase64 || typeof productImageBase64 !== 'string') {
-    throw new Error("Product image data is missing or invalid");
-  }
-  
-  if (!productCategory || typeof productCategory !== 'string') {
-    throw new Error("Product category is required");
+// Sanitize the free-text fields. A blocked field sends the customer back to the
+// screen it was entered on: { values } on success, { response } when blocked.
+async function sanitizeFlowFields(fields, phoneNumber) {
+  const result = sanitizeFields(fields);
+  if (!result.blocked) {
+    return { values: result.values };
   }
 
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error("Missing GEMINI_API_KEY environment variable");
-  }
+  const { field, reason, message, term } = result.blocked;
+  await recordModerationEvent({ stage: 'text', phoneNumber, field, reason, details: term ? { term } : null });
 
-  console.log("Step 1: Cleaning base64 data...");
-  
-  let cleanBase64 = productImageBase64;
-  if (productImageBase64.startsWith('data:')) {
-    const base64Index = productImageBase64.indexOf(',');
-    if (base64Index !== -1) {
-      cleanBase64 = productImageBase64.substring(base64Index + 1);
-      console.log("✅ Data URL prefix removed, new length:", cleanBase64.length);
-    }
-  }
+  const screen = field === 'scene_description' ? 'COLLECT_IMAGE_SCENE' : 'COLLECT_INFO';
+  return { response: formScreen(screen, { error_message: message }) };
+}
 
-  console.log("Step 2: Creating simple prompt...");
-  
-  const simplePrompt = createSimplePrompt(productCategory, sceneDescription, priceOverlay);
-  console.log("Simple prompt:", simplePrompt);
-
-  console.log("Step 3: Sending to Gemini API...");
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent?key=${apiKey}`;
-
-  const requestBody = {
-    contents: [
-      {
-        parts: [
-          { text: simplePrompt },
-          {
-            inlineData: {
-              mimeType: "image/jpeg",
-              data: cleanBase64
-            }
-          }
-        ]
-      }
-    ],
-    generationConfig: {
-      temperature: 0.8,
-      maxOutputTokens: 1024,
-      topP: 0.9,
-      topK: 40
-    }
-  };
+// The COLLECT_INFO screen always shows the customer's credit balance
+async function addCreditBalance(response, phoneNumber) {
+  if (response.screen !== 'COLLECT_INFO' || !phoneNumber || !isChargingEnabled()) {
+    return response;
+  }
 
   try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(requestBody)
-    });
-
-    console.log("Response status:", response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Gemini API error response:", errorText);
-      throw new Error(`Gemini API failed (${response.status}): ${errorText}`);
-    }
-
-    const responseData = await response.json();
-    console.log("✅ Gemini API response received");
-
-    const candidate = responseData?.candidates?.[0];
-    if (!candidate?.content?.parts) {
-      throw new Error("No response parts found in Gemini API response");
-    }
-
-    console.log("Step 4: Processing generated image...");
-
-    for (const part of candidate.content.parts) {
-      if (part.inlineData) {
-        const generatedMimeType = part.inlineData.mimeType;
-        const generatedBase64 = part.inlineData.data;
-        console.log("✅ Image generated successfully");
-        
-        console.log("Step 5: Uploading generated image to Supabase (S3)...");
-        try {
-          const publicUrl = await uploadGeneratedImageToSupabase(generatedBase64, generatedMimeType);
-          console.log("✅ Generated image uploaded to Supabase:", publicUrl);
-          return publicUrl;
-        } catch (uploadError) {
-          console.error("Failed to upload generated image:", uploadError);
-          console.log("⚠️ Fallback: returning base64 data URL");
-          return `data:${generatedMimeType};base64,${generatedBase64}`;
-        }
-      }
-    }
-
-    const textPart = candidate.content.parts.find((p) => p.text);
-    if (textPart) {
-      throw new Error(`Model returned text instead of image: ${textPart.text}`);
-    }
-
-    throw new Error("No image data found in Gemini API response");
+    const balance = await getCreditBalance(phoneNumber);
+    return {
+      ...response,
+      data: { ...response.data, credit_balance: balance, credit_balance_text: formatCreditBalance(balance) }
+    };
   } catch (error) {
-    console.error('❌ Error in generateImageFromAi:', error);
-    throw error;
-  }
-}
-
-async function sendWhatsAppImageMessage(toE164, imageUrl, caption) {
-  if (!toE164) throw new Error('Missing recipient phone number (E.164 format)');
-  if (!imageUrl) throw new Error('Missing image URL');
-
-  const url = `https://graph.facebook.com/${WHATSAPP_API_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
-
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      messaging_product: 'whatsapp',
-      recipient_type: 'individual',
-      to: toE164,
-      type: 'image',
-      image: {
-        link: imageUrl,
-        caption: caption || ''
-      }
-    })
-  });
-
-  const data = await resp.json();
-  if (!resp.ok) {
-    throw new Error(`WhatsApp send failed ${resp.status}: ${JSON.stringify(data)}`);
+    console.error('⚠️ Failed to load credit balance:', error.message);
+    return response;
   }
-  return data;
 }
 
 // --- Request Handlers ---
 async function handleDataExchange(decryptedBody) {
+  // Every exchange is tied to a recipient through its flow_token session
+  const toPhone = await resolveFlowPhone(decryptedBody);
+  const response = await routeDataExchange(decryptedBody, toPhone);
+  return addCreditBalance(response, toPhone);
+}
+
+async function routeDataExchange(decryptedBody, toPhone) {
   const { action, screen, data } = decryptedBody;
   console.log(`Processing action: ${action} for screen: ${screen}`);
   console.log('Data received:', JSON.stringify(data, null, 2));
 
   if (action === 'INIT') {
-    return { screen: 'COLLECT_INFO', data: {} };
+    return formScreen('COLLECT_INFO');
   }
 
   if (action === 'data_exchange') {
     console.log('=== DATA EXCHANGE ACTION ===');
 
+    if (!toPhone) {
+      return formScreen('COLLECT_INFO', {
+        error_message: "We couldn't identify your WhatsApp number. Please reopen the form from our chat."
+      });
+    }
+
     if (data && typeof data === 'object') {
-      const { scene_description, price_overlay, product_image, product_category } = data;
+      const { scene_description, scene_preset, price_overlay, product_image, product_category, output_mode, variant_count, fresh_render } = data;
 
       console.log('=== FIELD VALIDATION ===');
       console.log('product_image:', product_image ? 'present' : 'MISSING (REQUIRED)');
       console.log('product_category:', product_category ? `"${product_category}"` : 'MISSING (REQUIRED)');
       console.log('scene_description:', scene_description ? `"${scene_description}"` : 'not provided (optional)');
+      console.log('scene_preset:', scene_preset || 'not provided (optional)');
       console.log('price_overlay:', price_overlay ? `"${price_overlay}"` : 'not provided (optional)');
+      console.log('output_mode:', output_mode || 'per_product (default)');
+      console.log('variant_count:', variant_count || '1 (default)');
+
+      // COLLECT_INFO submits first: move on to the photo screen with the preset dropdown filled in
+      if (screen === 'COLLECT_INFO' && !product_image) {
+        if (!product_category || !product_category.trim()) {
+          return formScreen('COLLECT_INFO', {
+            error_message: "Product category is required. Please specify what type of product this is."
+          });
+        }
+        const info = await sanitizeFlowFields({ product_category, price_overlay }, toPhone);
+        if (info.response) return info.response;
 
-      if (!product_image) {
-        return {
-          screen: 'COLLECT_IMAGE_SCENE',
-          data: { error_message: "Product image is required. Please upload an image of your product." }
-        };
+        // Tell customers who are over their limit before they pick photos
+        const rateLimit = await checkRateLimit(toPhone);
+        if (!rateLimit.allowed) {
+          return formScreen('COLLECT_INFO', { error_message: rateLimit.message });
+        }
+
+        return formScreen('COLLECT_IMAGE_SCENE', {
+          product_category: info.values.product_category,
+          price_overlay: info.values.price_overlay || ''
+        });
+      }
+
+      if (!product_image || (Array.isArray(product_image) && product_image.length === 0)) {
+        return formScreen('COLLECT_IMAGE_SCENE', {
+          error_message: "Product image is required. Please upload an image of your product."
+        });
       }
 
       if (!product_category || !product_category.trim()) {
+        return formScreen('COLLECT_INFO', {
+          error_message: "Product category is required. Please specify what type of product this is."
+        });
+      }
+
+      // Everything typed by the customer ends up in the prompt
+      const sanitized = await sanitizeFlowFields({ product_category, price_overlay, scene_description }, toPhone);
+      if (sanitized.response) return sanitized.response;
+      const { values } = sanitized;
+
+      if (scene_preset && !getScenePreset(scene_preset)) {
+        return formScreen('COLLECT_IMAGE_SCENE', {
+          error_message: 'That scene style is no longer available. Please pick another one.'
+        });
+      }
+
+      // Decrypt and validate every uploaded photo; a bad photo is reported instead of failing the whole request.
+      // Only the header is read here: the worker decodes and downscales the photo
+      console.log('=== IMAGE PROCESSING ===');
+      const imageEntries = Array.isArray(product_image) ? product_image : [product_image];
+      const imageResults = await Promise.allSettled(imageEntries.map(async (entry) => {
+        const original = await extractProductImage(entry);
+        const { mimeType, width, height } = validateInputImage(original);
+        // The untouched upload is stored with the job for audits and re-runs;
+        // its hash (provided by WhatsApp for Flow uploads) keys the result cache
         return {
-          screen: 'COLLECT_INFO',
-          data: { error_message: "Product category is required. Please specify what type of product this is." }
+          base64: original,
+          mimeType,
+          width,
+          height,
+          hash: entry?.encryption_metadata?.plaintext_hash || hashImage(original)
         };
+      }));
+
+      const decrypted = [];
+      const imageFailures = [];
+      imageResults.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          decrypted.push({ photo: index + 1, ...result.value });
+        } else {
+          console.error(`❌ Image ${index + 1} processing failed:`, result.reason);
+          imageFailures.push(`Photo ${index + 1}: ${result.reason.message}`);
+        }
+      });
+
+      // Uploaded photos are checked against the moderation policy before anything is queued
+      const moderation = await Promise.all(decrypted.map((image) =>
+        moderateImage(image, { stage: 'input', phoneNumber: toPhone })
+      ));
+
+      const images = [];
+      const hashes = [];
+      decrypted.forEach((image, i) => {
+        if (moderation[i].allowed) {
+          images.push(image.base64);
+          hashes.push(image.hash);
+        } else if (moderation[i].reason === 'MODERATION_UNAVAILABLE') {
+          imageFailures.push(`Photo ${image.photo}: we couldn't check this photo right now`);
+        } else {
+          imageFailures.push(`Photo ${image.photo}: this photo isn't allowed under our content policy`);
+        }
+      });
+
+      console.log(`✅ Processed ${images.length}/${imageEntries.length} image(s)`);
+
+      if (images.length === 0) {
+        return formScreen('COLLECT_IMAGE_SCENE', {
+          error_message: `Failed to process image: ${imageFailures.join('; ')}. Please try uploading the image again.`
+        });
+      }
+
+      // One output per photo, or one composite that uses every photo as reference
+      const outputMode = output_mode === 'composite' ? 'composite' : 'per_product';
+      const inputGroups = outputMode === 'composite' ? [images] : images.map((image) => [image]);
+      const hashGroups = outputMode === 'composite' ? [hashes] : hashes.map((hash) => [hash]);
+      const batchId = randomUUID();
+      // Variants mode: several candidates per output, the customer replies with a pick
+      const variantCount = normalizeVariantCount(variant_count);
+
+      const params = {
+        productCategory: values.product_category,
+        sceneDescription: values.scene_description,
+        scenePreset: scene_preset || null,
+        priceOverlay: values.price_overlay,
+        flowToken: decryptedBody.flow_token || null,
+        outputMode,
+        batchId,
+        // Set when the customer asks for a new render of a photo they already sent
+        forceFresh: fresh_render === true || fresh_render === 'true'
+      };
+
+      // A photo already rendered with these options is served from the result cache
+      // by the worker and isn't charged; a failed lookup just means it is charged
+      const cachedResults = await Promise.all(hashGroups.map((inputHashes) => {
+        const draft = { phone_number: toPhone, input_hashes: inputHashes, variant_count: variantCount, params };
+        return findCachedResult(draft, getResultCacheKey(draft)).catch((cacheError) => {
+          console.error('⚠️ Result cache lookup failed:', cacheError.message);
+          return null;
+        });
+      }));
+
+      // Generations are paid from the customer's credit wallet
+      if (isChargingEnabled()) {
+        const cost = cachedResults.filter((cached) => !cached).length * getJobCost(variantCount);
+        const balance = await getCreditBalance(toPhone);
+        if (balance < cost) {
+          return formScreen('COLLECT_IMAGE_SCENE', { error_message: insufficientCreditsMessage(balance, cost) });
+        }
+      }
+
+      // Every candidate is one generation; the whole submission must fit in the customer's limits
+      const rateLimit = await claimRateLimit(toPhone, inputGroups.length * variantCount);
+      if (!rateLimit.allowed) {
+        return formScreen('COLLECT_IMAGE_SCENE', { error_message: rateLimit.message });
       }
 
-      let actualImageData;
+      // Persist the jobs before returning so nothing is lost if the dispatch fails
+      let jobs;
       try {
-        console.log('=== IMAGE PROCESSING ===');
-        
-        if (Array.isArray(product_image) && product_image.length > 0) {
-          console.log('Processing WhatsApp image array');
-          const firstImage = product_image[0];
-          
-          if (firstImage.encryption_metadata) {
-            console.log('Decrypting WhatsApp encrypted image...');
-            actualImageData = await decryptWhatsAppImage(firstImage);
-          } else if (firstImage.cdn_url) {
-            console.log('Fetching unencrypted image from CDN...');
-            const response = await fetch(firstImage.cdn_url);
-            if (!response.ok) {
-              throw new Error(`Failed to fetch image: ${response.status}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            actualImageData = Buffer.from(arrayBuffer).toString('base64');
-          } else {
-            throw new Error('Invalid image format: no cdn_url or encryption_metadata found');
-          }
-        } else if (typeof product_image === 'string') {
-          console.log('Processing direct base64 string...');
-          actualImageData = product_image;
-        } else {
-          throw new Error('Invalid product_image format: expected array or string');
+        jobs = await Promise.all(inputGroups.map((inputImages, i) => createJob({
+          phoneNumber: toPhone,
+          inputImages,
+          inputHashes: hashGroups[i],
+          variantCount,
+          params
+        })));
+      } catch (jobError) {
+        console.error('❌ Failed to queue image job:', jobError);
+        await releaseRateLimit(rateLimit.claimId);
+        return formScreen('COLLECT_IMAGE_SCENE', {
+          error_message: 'We could not start your image right now. Please try again in a moment.'
+        });
+      }
+
+      // Charge each job before it is dispatched; a job that can't be paid (the balance
+      // was spent concurrently) is failed instead of generated
+      if (isChargingEnabled()) {
+        const charges = await Promise.allSettled(jobs.map((job, i) => (cachedResults[i] ? null : chargeJobCredits(job))));
+        await Promise.all(charges.map(async (charge, i) => {
+          if (charge.status === 'fulfilled') return;
+          console.error(`❌ Could not charge job ${jobs[i].id}:`, charge.reason.message);
+          await updateJob(jobs[i].id, {
+            status: JOB_STATUS.FAILED,
+            last_error: `Not charged: ${charge.reason.message}`,
+            completed_at: new Date().toISOString()
+          }).catch((updateError) => console.error(`⚠️ Failed to mark job ${jobs[i].id} as failed:`, updateError.message));
+        }));
+
+        jobs = jobs.filter((job, i) => charges[i].status === 'fulfilled');
+        if (jobs.length === 0) {
+          await releaseRateLimit(rateLimit.claimId);
+          return formScreen('COLLECT_IMAGE_SCENE', {
+            error_message: 'We could not charge your credits for this request. Please check your balance and try again.'
+          });
         }
-        
-        console.log('✅ Image processing successful');
-        
-      } catch (imageError) {
-        console.error('❌ Image processing failed:', imageError);
-        return {
-          screen: 'COLLECT_IMAGE_SCENE',
-          data: { error_message: `Failed to process image: ${imageError.message}. Please try uploading the image again.` }
-        };
       }
 
-      console.log('🚀 Starting async image processing...');
-      
-      console.log('🚀 Triggering async image processing...');
-      
-      // Get the base URL for the API call
-      const baseUrl = process.env.VERCEL_URL 
-        ? `https://${process.env.VERCEL_URL}` 
-        : req.headers.host 
-        ? `https://${req.headers.host}` 
-        : 'http://localhost:3000';
-      
-      // Make a non-blocking HTTP request to trigger async processing
-      fetch(`${baseUrl}/api/process-image`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          decryptedBody,
-          actualImageData,
-          productCategory: product_category.trim(),
-          sceneDescription: scene_description && scene_description.trim() ? scene_description.trim() : null,
-          priceOverlay: price_overlay && price_overlay.trim() ? price_overlay.trim() : null
-        })
-      }).catch(error => {
-        console.error('❌ Failed to trigger async processing:', error);
-      });
+      console.log('🚀 Dispatching image jobs:', jobs.map((job) => job.id));
+      await Promise.all(jobs.map(dispatchJob));
+
+      let message = jobs.length === 1
+        ? 'Processing your image... You will receive it via WhatsApp shortly!'
+        : `Processing your ${jobs.length} images... You will receive them via WhatsApp shortly!`;
+      if (variantCount > 1) {
+        message += ` We'll send ${variantCount} options for each; reply with the number you like best to get the high-resolution final.`;
+      }
+      if (imageFailures.length > 0) {
+        message += ` Some photos could not be used: ${imageFailures.join('; ')}.`;
+      }
 
       // Return success screen immediately
-      return { screen: 'SUCCESS_SCREEN', data: { message: 'Processing your image... You will receive it via WhatsApp shortly!' } };
+      return { screen: 'SUCCESS_SCREEN', data: { message } };
+    }
+  }
 
   if (action === 'BACK') {
     if (screen === 'COLLECT_IMAGE_SCENE') {
-      return { screen: 'COLLECT_INFO', data: {} };
+      return formScreen('COLLECT_INFO');
     }
-    return { screen: 'COLLECT_INFO', data: {} };
+    return formScreen('COLLECT_INFO');
   }
 
   console.log(`Unhandled action/screen combination: ${action}/${screen}`);
-  return { screen: 'COLLECT_INFO', data: { error_message: 'An unexpected error occurred.' } };
+  return formScreen('COLLECT_INFO', {
+    error_message: 'An unexpected error occurred.'
+  });
 }
 
 async function handleHealthCheck() {
@@ -848,21 +647,10 @@ async function handleDebugLeads(req, res) {
   console.log('=== DEBUG LEADS ENDPOINT ===');
   
   const debugInfo = {
-    latest: bspLeadStore.latest,
-    totalStored: bspLeadStore.byPhone.size,
-    recentCount: bspLeadStore.recent.length,
-    phoneNumbers: Array.from(bspLeadStore.byPhone.keys()),
-    recentLeads: bspLeadStore.recent.slice(0, 5).map(lead => ({
-      phone: lead.phoneNumber,
-      name: lead.firstName,
-      timestamp: lead.timestamp,
-      id: lead.id
-    })),
-    sessionMappings: Array.from(bspLeadStore.bySession.entries())
+    ...(await getLeadDebugInfo(5)),
+    webhookRejections: getRejectionStats()
   };
   
-  console.log('Debug info:', JSON.stringify(debugInfo, null, 2));
-  
   return res.status(200).json({
     success: true,
     message: 'BSP Lead Storage Debug Info',
@@ -887,28 +675,41 @@ export default async function handler(req, res) {
     res.setHeader(key, value);
   });
 
-  // DEBUG ENDPOINT: Check BSP lead storage
+  // DEBUG ENDPOINT: Check BSP lead storage (admin only: it lists customer details)
   if (req.method === 'GET' && req.url?.includes('/debug-leads')) {
+    if (!requireAdmin(req, res)) return;
     return handleDebugLeads(req, res);
   }
 
-  // FIRST: Check if this is a BSP lead webhook (before any WhatsApp Flow processing)
-  if (req.method === 'POST' && req.body) {
-    // BSP structure check: has phoneNumber/firstName/email/chat_id/first_name but no WhatsApp Flow encryption
-    const isBspLead = req.body.phoneNumber !== undefined || 
-                     req.body.firstName !== undefined || 
-                     req.body.email !== undefined ||
-                     req.body.chat_id !== undefined ||
-                     req.body.first_name !== undefined;
-    
-    const isWhatsAppFlow = req.body.encrypted_aes_key !== undefined || 
-                          req.body.encrypted_flow_data !== undefined || 
-                          req.body.initial_vector !== undefined;
-    
-    if (isBspLead && !isWhatsAppFlow) {
+  // FIRST: Authenticate POSTs by the credential they carry, not by their fields.
+  // Meta callbacks are signed with X-Hub-Signature-256; BSP lead posts carry
+  // the BSP shared secret signature or token.
+  if (req.method === 'POST') {
+    const rawBody = await readRawBody(req);
+    const source = detectWebhookSource(req);
+
+    if (source === 'bsp') {
+      if (!(await authenticateBspRequest(req, res, rawBody))) return;
       console.log('🔄 Processing BSP lead webhook');
       return handleBspLead(req, res);
     }
+
+    const parsedBody = parseJsonBody(rawBody);
+    const isWhatsAppFlow = parsedBody?.encrypted_flow_data !== undefined;
+    const verification = source === 'meta'
+      ? verifyMetaSignature(req, rawBody)
+      : { valid: false, reason: 'MISSING_SIGNATURE' };
+
+    if (!verification.valid) {
+      await recordRejection(req, 'meta', verification.reason);
+      // Flow endpoints answer signature failures with 432 per the Flows spec
+      return res.status(isWhatsAppFlow ? 432 : 401).json({ error: 'Invalid request signature' });
+    }
+
+    if (!parsedBody) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    req.body = parsedBody;
   }
 
   // Continue with existing WhatsApp Flow logic
@@ -938,6 +739,13 @@ export default async function handler(req, res) {
     try {
       const requestBody = req.body;
 
+      // Regular Cloud API events (messages, statuses) are not encrypted
+      if (isWhatsAppEventPayload(requestBody)) {
+        const results = await dispatchWhatsAppEvents(requestBody);
+        // Meta redelivers anything but a 200; failed events are logged instead
+        return res.status(200).json({ success: true, events: results.length });
+      }
+
       const privateKeyPem = process.env.PRIVATE_KEY;
       const privateKey = await importPrivateKey(privateKeyPem);
 
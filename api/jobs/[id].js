@@ -0,0 +1,37 @@
+// Vercel API Route for a single job
+// GET /api/jobs/:id - Status, parameters, prompt, timings, delivery details and edit history
+
+import { handleAdminRequest, requireJobId } from '../../lib/admin.js';
+import { getJob, listJobEdits, toJobSummary } from '../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  if (!handleAdminRequest(req, res, 'GET')) return;
+
+  const id = requireJobId(req, res);
+  if (!id) return;
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `No job found for id: ${id}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { ...toJobSummary(job), edits: await listJobEdits(job.id) },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Job lookup failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
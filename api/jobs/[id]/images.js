@@ -0,0 +1,79 @@
+// Vercel API Route for a job's stored images
+// GET /api/jobs/:id/images?expiresIn=<seconds> - Time-limited signed URLs for the output and every variant
+// The bucket is private; these URLs are the only way to view a stored image.
+
+import { handleAdminRequest, requireJobId } from '../../../lib/admin.js';
+import { getJob } from '../../../lib/jobs.js';
+import { createSignedImageUrl } from '../../../lib/storage.js';
+
+const MAX_EXPIRES_IN_SECONDS = 7 * 24 * 3600;
+
+// Sign a stored object; jobs from before the bucket went private still carry a plain URL
+async function signStoredImage(key, legacyUrl, expiresIn) {
+  if (key) {
+    return { key, ...(await createSignedImageUrl(key, expiresIn)) };
+  }
+  return legacyUrl ? { key: null, url: legacyUrl, expiresAt: null } : null;
+}
+
+export default async function handler(req, res) {
+  if (!handleAdminRequest(req, res, 'GET')) return;
+
+  const id = requireJobId(req, res);
+  if (!id) return;
+
+  let expiresIn;
+  if (req.query.expiresIn !== undefined) {
+    expiresIn = parseInt(req.query.expiresIn, 10);
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_EXPIRES_IN_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_EXPIRES_IN',
+        message: `expiresIn must be between 1 and ${MAX_EXPIRES_IN_SECONDS} seconds`
+      });
+    }
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `No job found for id: ${id}`
+      });
+    }
+
+    const output = await signStoredImage(job.output_key, job.output_url, expiresIn);
+    const variants = await Promise.all((job.variants || []).map(async (variant) => ({
+      index: variant.index,
+      style: variant.style,
+      output: await signStoredImage(variant.output_key, variant.output_url, expiresIn),
+      source: variant.source_key && variant.source_key !== variant.output_key
+        ? await signStoredImage(variant.source_key, null, expiresIn)
+        : null
+    })));
+
+    if (!output && variants.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'NO_IMAGES',
+        message: `Job ${id} has no stored images yet (status: ${job.status})`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { jobId: job.id, output, variants },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Signing job images failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
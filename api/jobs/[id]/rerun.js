@@ -0,0 +1,103 @@
+// Vercel API Route for re-running a past job
+// POST /api/jobs/:id/rerun { productCategory?, sceneDescription?, scenePreset?, priceOverlay?, variantCount?, forceFresh? }
+// Queues a new job from the stored original uploads with the given parameters changed
+// (everything else is copied from the original job). The result is delivered to the customer like any job.
+// forceFresh defaults to true; pass false to allow a cached result for the same photo and parameters.
+
+import { handleAdminRequest, requireJobId } from '../../../lib/admin.js';
+import { getJob, dispatchJob, toJobSummary } from '../../../lib/jobs.js';
+import { rerunJob } from '../../../lib/job-inputs.js';
+import { sanitizeFields } from '../../../lib/sanitize.js';
+import { getScenePreset } from '../../../lib/scene-presets.js';
+import { normalizeVariantCount } from '../../../lib/variants.js';
+
+// Request field -> sanitizer field, for the free-text parameters that reach the prompt
+const TEXT_PARAMS = {
+  productCategory: 'product_category',
+  sceneDescription: 'scene_description',
+  priceOverlay: 'price_overlay'
+};
+
+// Validate the requested changes: { changes } or { error, message }
+function parseChanges(body) {
+  const changes = {};
+
+  const textFields = Object.fromEntries(
+    Object.entries(TEXT_PARAMS)
+      .filter(([param]) => body[param] !== undefined)
+      .map(([param, field]) => [field, body[param]])
+  );
+  const sanitized = sanitizeFields(textFields);
+  if (sanitized.blocked) {
+    return { error: 'INVALID_PARAMS', message: sanitized.blocked.message };
+  }
+  for (const [param, field] of Object.entries(TEXT_PARAMS)) {
+    if (field in sanitized.values) changes[param] = sanitized.values[field];
+  }
+
+  if (changes.productCategory === null) {
+    return { error: 'INVALID_PARAMS', message: 'productCategory cannot be empty' };
+  }
+
+  if (body.scenePreset !== undefined) {
+    if (body.scenePreset && !getScenePreset(body.scenePreset)) {
+      return { error: 'INVALID_PARAMS', message: `Unknown scene preset: ${body.scenePreset}` };
+    }
+    changes.scenePreset = body.scenePreset || null;
+  }
+
+  return { changes };
+}
+
+export default async function handler(req, res) {
+  if (!handleAdminRequest(req, res, 'POST')) return;
+
+  const id = requireJobId(req, res);
+  if (!id) return;
+
+  const body = req.body || {};
+  const { changes, error, message } = parseChanges(body);
+  if (error) {
+    return res.status(400).json({ success: false, error, message });
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `No job found for id: ${id}`
+      });
+    }
+
+    const variantCount = body.variantCount !== undefined
+      ? normalizeVariantCount(body.variantCount)
+      : job.variant_count;
+
+    const rerun = await rerunJob(job, changes, { variantCount, forceFresh: body.forceFresh !== false, admin: true });
+    await dispatchJob(rerun);
+
+    return res.status(202).json({
+      success: true,
+      data: toJobSummary(rerun),
+      timestamp: new Date().toISOString()
+    });
+  } catch (rerunError) {
+    if (rerunError.code === 'NO_INPUTS') {
+      return res.status(409).json({
+        success: false,
+        error: 'NO_INPUTS',
+        message: rerunError.message
+      });
+    }
+
+    console.error('Job re-run failed:', rerunError);
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: rerunError.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,68 @@
+// Vercel API Route for picking a variant on the customer's behalf
+// POST /api/jobs/:id/select { variant: <1-based option> } - Records the pick and queues the high-resolution final
+// Customers normally pick by replying to the variants message on WhatsApp.
+
+import { handleAdminRequest, requireJobId } from '../../../lib/admin.js';
+import { getJob, toJobSummary, JOB_STATUS } from '../../../lib/jobs.js';
+import { selectVariant } from '../../../lib/variants.js';
+
+export default async function handler(req, res) {
+  if (!handleAdminRequest(req, res, 'POST')) return;
+
+  const id = requireJobId(req, res);
+  if (!id) return;
+
+  const variant = parseInt(req.body?.variant, 10);
+  if (!Number.isInteger(variant) || variant < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_VARIANT',
+      message: 'variant must be a positive option number'
+    });
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'JOB_NOT_FOUND',
+        message: `No job found for id: ${id}`
+      });
+    }
+
+    if (job.variant_count <= 1 || job.status !== JOB_STATUS.DELIVERED || !(job.variants || []).some((v) => v.index === variant)) {
+      return res.status(409).json({
+        success: false,
+        error: 'VARIANT_NOT_AVAILABLE',
+        message: `Job ${id} has no delivered option ${variant}`
+      });
+    }
+
+    const result = await selectVariant(job, variant, 'api');
+    if (result.alreadySelected) {
+      return res.status(409).json({
+        success: false,
+        error: 'ALREADY_SELECTED',
+        message: `An option was already selected for job ${id}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        job: toJobSummary(result.job),
+        finalJob: toJobSummary(result.finalJob)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Variant selection failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
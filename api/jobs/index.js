@@ -0,0 +1,39 @@
+// Vercel API Route for job history
+// GET /api/jobs?phone=<number>&limit=<n> - Recent image jobs for a customer
+
+import { handleAdminRequest } from '../../lib/admin.js';
+import { listJobsByPhone, toJobSummary } from '../../lib/jobs.js';
+import { normalizePhone } from '../../lib/leads.js';
+
+export default async function handler(req, res) {
+  if (!handleAdminRequest(req, res, 'GET')) return;
+
+  const phone = normalizePhone(req.query.phone);
+  if (!phone) {
+    return res.status(400).json({
+      success: false,
+      error: 'MISSING_PHONE',
+      message: 'phone query parameter is required'
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+
+  try {
+    const jobs = await listJobsByPhone(phone, limit);
+    return res.status(200).json({
+      success: true,
+      data: jobs.map(toJobSummary),
+      count: jobs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Job history lookup failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// api/payments-webhook.js
+// Credit top-ups from the payment provider (see lib/payments.js).
+// Every event must be signed with PAYMENT_WEBHOOK_SECRET; a payment is applied
+// once however often the provider redelivers it.
+//
+// Local stand-in (PAYMENT_PROVIDER=local):
+//   body='{"event":"payment.captured","id":"pay_test_1","phone":"919876543210","amount":50000,"currency":"INR"}'
+//   sig=$(printf '%s' "$body" | openssl dgst -sha256 -hmac "$PAYMENT_WEBHOOK_SECRET" -hex | sed 's/^.* //')
+//   curl -X POST localhost:3000/api/payments-webhook -H "X-Payment-Signature: sha256=$sig" -d "$body"
+
+import { readRawBody, parseJsonBody, verifyPaymentSignature, recordRejection } from '../lib/webhook-auth.js';
+import { getPaymentProvider, parsePaymentEvent } from '../lib/payments.js';
+import { applyTopUp } from '../lib/credits.js';
+import { sendWhatsAppTextMessage } from '../lib/whatsapp.js';
+
+// Signatures are verified against the raw body, so Vercel must not parse it first
+export const config = { api: { bodyParser: false } };
+
+// Let the customer know the credits arrived; a failed message must not fail the webhook
+async function notifyTopUp(phoneNumber, credits, balance) {
+  try {
+    await sendWhatsAppTextMessage(
+      phoneNumber,
+      `✅ ${credits} credit${credits === 1 ? '' : 's'} added. Your balance is now ${balance} credit${balance === 1 ? '' : 's'}.`
+    );
+  } catch (error) {
+    console.error(`⚠️ Failed to notify ${phoneNumber} about their top-up:`, error.message);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const provider = getPaymentProvider();
+
+  try {
+    const rawBody = await readRawBody(req);
+
+    const verification = verifyPaymentSignature(req, rawBody, provider);
+    if (!verification.valid) {
+      await recordRejection(req, 'payment', verification.reason);
+      return res.status(401).json({ success: false, error: 'UNAUTHORIZED', reason: verification.reason });
+    }
+
+    const body = parseJsonBody(rawBody);
+    if (!body) {
+      return res.status(400).json({ success: false, error: 'INVALID_JSON' });
+    }
+
+    const payment = parsePaymentEvent(provider, body);
+    if (!payment) {
+      console.log(`ℹ️ Ignoring ${provider} event:`, body.event);
+      return res.status(200).json({ success: true, ignored: true });
+    }
+
+    // Retrying won't fix these, so the provider gets a 200 and we get a loud log
+    if (payment.error) {
+      console.error(`❌ Unusable ${provider} payment:`, payment.error, JSON.stringify(body));
+      return res.status(200).json({ success: false, error: 'PAYMENT_NOT_APPLIED', message: payment.error });
+    }
+
+    const { balance, applied } = await applyTopUp({
+      phoneNumber: payment.phoneNumber,
+      credits: payment.credits,
+      provider,
+      reference: payment.reference,
+      details: { amount: payment.amount, currency: payment.currency, event: body.event }
+    });
+
+    if (applied) {
+      await notifyTopUp(payment.phoneNumber, payment.credits, balance);
+    } else {
+      console.log(`ℹ️ Payment ${provider}:${payment.reference} was already applied`);
+    }
+
+    return res.status(200).json({
+      success: true,
+      applied,
+      credits: payment.credits,
+      balance
+    });
+  } catch (error) {
+    console.error('❌ Payment webhook failed:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
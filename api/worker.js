@@ -0,0 +1,33 @@
+// api/worker.js
+// Worker sweep: claims queued or stalled image jobs and runs them.
+// Called on a schedule by .github/workflows/keep-warm.yml; requires CRON_SECRET.
+
+import { processQueuedJobs } from '../lib/worker.js';
+import { verifyCronRequest, recordRejection } from '../lib/webhook-auth.js';
+
+const WORKER_BATCH_SIZE = parseInt(process.env.WORKER_BATCH_SIZE || '3', 10);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const verification = verifyCronRequest(req);
+  if (!verification.valid) {
+    await recordRejection(req, 'cron', verification.reason);
+    return res.status(401).json({ success: false, error: 'UNAUTHORIZED', reason: verification.reason });
+  }
+
+  try {
+    const results = await processQueuedJobs({ limit: WORKER_BATCH_SIZE });
+    return res.status(200).json({
+      success: true,
+      processed: results.length,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Worker sweep failed:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
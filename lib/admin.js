@@ -0,0 +1,68 @@
+// Bearer-token guard and shared request checks for support/admin API routes
+
+import { timingSafeEqual } from 'crypto';
+
+// Returns true when the request carries ADMIN_API_TOKEN; otherwise sends 401/500 and returns false
+export function requireAdmin(req, res) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    console.error('ADMIN_API_TOKEN is not configured; refusing admin request');
+    res.status(500).json({ success: false, error: 'ADMIN_TOKEN_NOT_CONFIGURED' });
+    return false;
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(adminToken);
+
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    res.status(401).json({ success: false, error: 'UNAUTHORIZED', message: 'Valid admin bearer token required' });
+    return false;
+  }
+
+  return true;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The start of every admin route: CORS headers, the OPTIONS preflight, the one
+// allowed method and the admin token. Returns true when the handler should go
+// on; otherwise the response has been sent.
+export function handleAdminRequest(req, res, method) {
+  const allowedMethods = [method, 'OPTIONS'];
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'authorization, x-client-info, apikey, content-type');
+  res.setHeader('Access-Control-Allow-Methods', allowedMethods.join(', '));
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return false;
+  }
+
+  if (req.method !== method) {
+    res.status(405).json({
+      success: false,
+      error: 'METHOD_NOT_ALLOWED',
+      message: `Method ${req.method} not allowed`,
+      allowedMethods
+    });
+    return false;
+  }
+
+  return requireAdmin(req, res);
+}
+
+// The job id of a /api/jobs/:id route, or null once a 400 has been sent
+export function requireJobId(req, res) {
+  const { id } = req.query;
+  if (!id || !UUID_PATTERN.test(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'INVALID_JOB_ID',
+      message: 'A valid job id is required'
+    });
+    return null;
+  }
+  return id;
+}
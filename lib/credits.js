@@ -0,0 +1,179 @@
+// Credit wallet per phone number
+// A job costs CREDITS_PER_IMAGE per rendered image (variant sets pay for every
+// candidate; the high-resolution final is included). Credits are charged when
+// the job is queued and refunded if it fails or is served from the result
+// cache, so only successful generations are paid for. New wallets start with
+// CREDITS_SIGNUP_BONUS credits.
+//
+// Charging is off until CREDITS_PER_IMAGE is set above 0. To roll it out, set
+// CREDITS_SIGNUP_BONUS (so new and existing customers can still try the
+// service: a wallet is only created, with the bonus, on the first charge or
+// top-up) and CREDITS_TOPUP_URL, then turn on CREDITS_PER_IMAGE. With charging
+// on and no bonus, every customer is refused until they top up.
+
+import { getSupabaseClient } from './supabase.js';
+import { updateJob, JOB_STATUS } from './jobs.js';
+
+const WALLETS_TABLE = 'credit_wallets';
+const JOBS_TABLE = 'image_jobs';
+
+export const CREDITS_PER_IMAGE = parseInt(process.env.CREDITS_PER_IMAGE || '0', 10);
+const SIGNUP_BONUS = parseInt(process.env.CREDITS_SIGNUP_BONUS || '0', 10);
+const TOPUP_URL = process.env.CREDITS_TOPUP_URL || null;
+
+function requireSupabase() {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new Error('Credit wallets require SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  return supabase;
+}
+
+export function isChargingEnabled() {
+  return CREDITS_PER_IMAGE > 0;
+}
+
+// Credits one job costs
+export function getJobCost(variantCount = 1) {
+  return CREDITS_PER_IMAGE * Math.max(1, variantCount);
+}
+
+// Current balance (a phone without a wallet yet has the signup bonus waiting)
+export async function getCreditBalance(phoneNumber) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(WALLETS_TABLE)
+    .select('balance')
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load credit balance for ${phoneNumber}: ${error.message}`);
+  }
+
+  return data ? data.balance : Math.max(SIGNUP_BONUS, 0);
+}
+
+export function formatCreditBalance(balance) {
+  return `You have ${balance} credit${balance === 1 ? '' : 's'} (${CREDITS_PER_IMAGE} per image)`;
+}
+
+// Customer-facing message when a request costs more than the balance
+export function insufficientCreditsMessage(balance, cost) {
+  const message = `This request needs ${cost} credit${cost === 1 ? '' : 's'} but you have ${balance}.`;
+  return TOPUP_URL
+    ? `${message} Top up at ${TOPUP_URL} and try again.`
+    : `${message} Please top up your credits and try again.`;
+}
+
+// Charge a queued job. Returns the balance left; throws with code INSUFFICIENT_CREDITS when it can't be paid.
+export async function chargeJobCredits(job) {
+  const amount = getJobCost(job.variant_count);
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase.rpc('charge_job_credits', {
+    p_job_id: job.id,
+    p_phone: job.phone_number,
+    p_amount: amount,
+    p_signup_bonus: SIGNUP_BONUS
+  });
+
+  if (error) {
+    if ((error.message || '').includes('INSUFFICIENT_CREDITS')) {
+      throw Object.assign(new Error(`Not enough credits for job ${job.id}`), { code: 'INSUFFICIENT_CREDITS' });
+    }
+    throw new Error(`Failed to charge credits for job ${job.id}: ${error.message}`);
+  }
+
+  console.log(`💳 Charged ${amount} credit(s) for job ${job.id}; balance ${data}`);
+  return data;
+}
+
+// Charge a job the customer queued from the chat (an edit or a follow-up button).
+// A job that can't be paid is marked failed. Returns null once it is paid for (or
+// charging is off), otherwise the message to send the customer.
+export async function chargeChatJob(job) {
+  if (!isChargingEnabled()) return null;
+
+  try {
+    await chargeJobCredits(job);
+    return null;
+  } catch (error) {
+    console.error(`❌ Could not charge job ${job.id}:`, error.message);
+    await updateJob(job.id, {
+      status: JOB_STATUS.FAILED,
+      last_error: `Not charged: ${error.message}`,
+      completed_at: new Date().toISOString()
+    });
+    if (error.code !== 'INSUFFICIENT_CREDITS') throw error;
+    return insufficientCreditsMessage(await getCreditBalance(job.phone_number), getJobCost(job.variant_count));
+  }
+}
+
+// Refund a failed or cache-served job (no-op unless it was charged and wasn't refunded yet). Returns the credits refunded.
+export async function refundJobCredits(jobId) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase.rpc('refund_job_credits', { p_job_id: jobId });
+  if (error) {
+    throw new Error(`Failed to refund credits for job ${jobId}: ${error.message}`);
+  }
+
+  if (data > 0) {
+    console.log(`↩️ Refunded ${data} credit(s) for job ${jobId}`);
+  }
+  return data || 0;
+}
+
+// Refund failed and cache-served jobs that were missed (e.g. jobs the claim RPC failed after a crash)
+export async function refundPendingJobCredits(limit = 20) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select('id')
+    .or('status.eq.failed,cached_from.not.is.null')
+    .gt('credits_charged', 0)
+    .is('credits_refunded_at', null)
+    .order('updated_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to list jobs awaiting a refund: ${error.message}`);
+  }
+
+  let refunded = 0;
+  for (const { id } of data || []) {
+    refunded += await refundJobCredits(id);
+  }
+  return refunded;
+}
+
+// Add purchased credits once per payment reference. Returns { balance, applied }.
+export async function applyTopUp({ phoneNumber, credits, provider, reference, details = null }) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase.rpc('top_up_credits', {
+    p_phone: phoneNumber,
+    p_credits: credits,
+    p_provider: provider,
+    p_reference: reference,
+    p_details: details,
+    p_signup_bonus: SIGNUP_BONUS
+  });
+
+  if (error) {
+    // A concurrent delivery of the same payment loses the race on the ledger index
+    if (error.code === '23505') {
+      return { balance: await getCreditBalance(phoneNumber), applied: false };
+    }
+    throw new Error(`Failed to apply top-up ${provider}:${reference}: ${error.message}`);
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  if (row?.applied) {
+    console.log(`💰 Added ${credits} credit(s) to ${phoneNumber} (${provider} ${reference}); balance ${row.balance}`);
+  }
+  return { balance: row?.balance ?? null, applied: Boolean(row?.applied) };
+}
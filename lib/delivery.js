@@ -0,0 +1,160 @@
+// Delivery tracking for messages the worker sends
+// Each send is recorded under its wamid; WhatsApp status webhooks move it
+// through sent -> delivered -> read, or to failed. Statuses can arrive out of
+// order, so a row never moves back to an earlier status.
+// Inbound messages are tracked per phone to know whether the 24-hour service
+// window for free-form messages is still open.
+
+import { getSupabaseClient } from './supabase.js';
+
+const MESSAGES_TABLE = 'whatsapp_messages';
+const JOBS_TABLE = 'image_jobs';
+const CONTACTS_TABLE = 'whatsapp_contacts';
+
+const SERVICE_WINDOW_MS = 24 * 3600 * 1000;
+
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+function requireSupabase() {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new Error('Delivery tracking requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  return supabase;
+}
+
+// Record a message accepted by the Cloud API.
+// kind: 'image' | 'variant' | 'selection_prompt'; sentVia says how an image was referenced ('media_id' or 'link').
+export async function recordOutboundMessage({ wamid, job, kind, variantIndex = null, attempt = 1, sentVia = null }) {
+  if (!wamid) {
+    console.warn(`⚠️ No message id returned for job ${job.id} (${kind}); delivery can't be tracked`);
+    return null;
+  }
+
+  const supabase = requireSupabase();
+  const { data, error } = await supabase
+    .from(MESSAGES_TABLE)
+    .insert({
+      wamid,
+      job_id: job.id,
+      phone_number: job.phone_number,
+      kind,
+      variant_index: variantIndex,
+      attempt,
+      sent_via: sentVia
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Tracking is best-effort; the message itself was sent
+    console.error(`Failed to record message ${wamid} for job ${job.id}:`, error.message);
+    return null;
+  }
+
+  return data;
+}
+
+// A message we sent, by its wamid (null when it isn't one of ours)
+export async function getOutboundMessage(wamid) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(MESSAGES_TABLE)
+    .select('*')
+    .eq('wamid', wamid)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load message ${wamid}: ${error.message}`);
+  }
+  return data;
+}
+
+// Apply a status webhook. Returns the updated message row, or null when the
+// wamid isn't ours or the status is older than what we already have.
+export async function recordMessageStatus(status) {
+  const supabase = requireSupabase();
+
+  const { data: message, error } = await supabase
+    .from(MESSAGES_TABLE)
+    .select('*')
+    .eq('wamid', status.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load message ${status.id}: ${error.message}`);
+  }
+  if (!message) return null;
+
+  if ((STATUS_RANK[status.status] ?? -1) <= (STATUS_RANK[message.status] ?? -1)) {
+    return null;
+  }
+
+  const statusAt = status.timestamp
+    ? new Date(Number(status.timestamp) * 1000).toISOString()
+    : new Date().toISOString();
+
+  const { data: updated, error: updateError } = await supabase
+    .from(MESSAGES_TABLE)
+    .update({ status: status.status, status_at: statusAt, error: status.errors || null })
+    .eq('wamid', status.id)
+    .select()
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update message ${status.id}: ${updateError.message}`);
+  }
+
+  // Mirrored on the job while this is its current main message (the image, or a variants set's selection prompt)
+  const { error: jobError } = await supabase
+    .from(JOBS_TABLE)
+    .update({ delivery_status: status.status, delivery_status_at: statusAt })
+    .eq('id', message.job_id)
+    .eq('whatsapp_message_id', status.id);
+
+  if (jobError) {
+    console.error(`Failed to mirror status of ${status.id} on job ${message.job_id}:`, jobError.message);
+  }
+
+  return updated;
+}
+
+// Note an inbound message (timestamp in epoch seconds, as WhatsApp sends it)
+export async function recordInboundMessage(phoneNumber, timestamp) {
+  const supabase = requireSupabase();
+  const lastInboundAt = timestamp
+    ? new Date(Number(timestamp) * 1000).toISOString()
+    : new Date().toISOString();
+
+  const { error } = await supabase
+    .from(CONTACTS_TABLE)
+    .upsert(
+      { phone_number: phoneNumber, last_inbound_at: lastInboundAt, updated_at: new Date().toISOString() },
+      { onConflict: 'phone_number' }
+    );
+
+  if (error) {
+    console.error(`Failed to record inbound message from ${phoneNumber}:`, error.message);
+  }
+}
+
+// true/false when we know the customer's last message, null when we've never seen one
+// (e.g. before inbound tracking existed); callers then try free-form and fall back on rejection.
+export async function isServiceWindowOpen(phoneNumber) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(CONTACTS_TABLE)
+    .select('last_inbound_at')
+    .eq('phone_number', phoneNumber)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Failed to load last inbound message of ${phoneNumber}:`, error.message);
+    return null;
+  }
+  if (!data) return null;
+
+  return Date.now() - Date.parse(data.last_inbound_at) < SERVICE_WINDOW_MS;
+}
@@ -0,0 +1,96 @@
+// Short-lived signed tokens for internal /api/process-image dispatches
+// Token: base64url(JSON { jobId, phone, exp, nonce }) + '.' + base64url(HMAC-SHA256)
+// The token is bound to one job and its recipient, expires quickly and can
+// only be used once.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { getSupabaseClient } from './supabase.js';
+
+const NONCES_TABLE = 'dispatch_nonces';
+const TOKEN_TTL_SECONDS = parseInt(process.env.DISPATCH_TOKEN_TTL_SECONDS || '120', 10);
+
+// Per-instance record of used nonces (the table is the source of truth)
+const usedNonces = new Map();
+
+function getSecret() {
+  const secret = process.env.INTERNAL_DISPATCH_SECRET;
+  if (!secret) {
+    throw new Error('Missing INTERNAL_DISPATCH_SECRET environment variable');
+  }
+  return secret;
+}
+
+function sign(encodedPayload) {
+  return createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+export function signDispatchToken({ jobId, phoneNumber }) {
+  const payload = {
+    jobId,
+    phone: phoneNumber,
+    exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+    nonce: randomBytes(16).toString('base64url')
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+// Check signature, expiry and that the token was issued for this job.
+// Does not consume the nonce; call consumeDispatchNonce once the job is confirmed.
+export function verifyDispatchToken(token, { jobId }) {
+  if (!token || typeof token !== 'string' || !token.includes('.')) {
+    return { valid: false, reason: 'MISSING_TOKEN' };
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  const expected = Buffer.from(sign(encodedPayload));
+  const provided = Buffer.from(signature || '');
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'MALFORMED_TOKEN' };
+  }
+
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'EXPIRED_TOKEN' };
+  }
+
+  if (payload.jobId !== jobId) {
+    return { valid: false, reason: 'JOB_MISMATCH' };
+  }
+
+  return { valid: true, payload };
+}
+
+// Mark a token's nonce as used. Returns false if it was already used (replay).
+export async function consumeDispatchNonce(payload) {
+  if (usedNonces.has(payload.nonce)) {
+    return false;
+  }
+
+  const supabase = getSupabaseClient();
+  if (supabase) {
+    const { error } = await supabase.from(NONCES_TABLE).insert({
+      nonce: payload.nonce,
+      job_id: payload.jobId,
+      expires_at: new Date(payload.exp * 1000).toISOString()
+    });
+
+    if (error) {
+      // 23505 = unique violation: another instance already used this nonce
+      if (error.code === '23505') return false;
+      throw new Error(`Failed to record dispatch nonce: ${error.message}`);
+    }
+  }
+
+  usedNonces.set(payload.nonce, payload.exp);
+  for (const [nonce, exp] of usedNonces) {
+    if (exp * 1000 < Date.now()) usedNonces.delete(nonce);
+  }
+  return true;
+}
@@ -0,0 +1,130 @@
+// Conversational edits of delivered images
+// A customer replying to one of our images (WhatsApp sends the replied-to
+// wamid as context.id) with text like "make the background blue" gets a new
+// job: the product photos plus the replied-to image, rendered again with the
+// text as an edit instruction. Edit jobs point at the job they edit
+// (edit_of), so replying to an edited image continues the chain and every
+// job keeps its own edit history.
+
+import { createJob, dispatchJob, getJob, JOB_STATUS } from './jobs.js';
+import { getOutboundMessage } from './delivery.js';
+import { downloadStoredImage } from './storage.js';
+import { sanitizeField } from './sanitize.js';
+import { recordModerationEvent } from './moderation.js';
+import { claimRateLimit, releaseRateLimit } from './rate-limit.js';
+import {
+  isChargingEnabled,
+  getJobCost,
+  getCreditBalance,
+  chargeChatJob,
+  insufficientCreditsMessage
+} from './credits.js';
+
+// "remove the price", "without price tag", "no price" drop the price badge from the edit
+const PRICE_REMOVAL_PATTERN = /\b(remove|delete|drop|hide|without|no)\b[^.!?]{0,20}\bprice\b/i;
+
+// The customer's product photos behind a job: { keys } of the images in the bucket,
+// or { images } (base64) for jobs from before inputs were stored there
+async function getProductPhotos(job) {
+  // A final's input is the chosen candidate (or the delivered image); the photos
+  // are on the job it was made from
+  const source = job.params?.finalOf ? await getJob(job.params.finalOf.jobId) : job;
+  // An edit's last input is the image it edited
+  const end = source?.params?.editOf ? -1 : undefined;
+
+  if (source?.input_image_keys?.length) {
+    return { keys: source.input_image_keys.slice(0, end) };
+  }
+  return { images: (source?.input_images || []).slice(0, end) };
+}
+
+// Treat a reply to one of our images as an edit instruction.
+// Returns null when the reply isn't to an editable image of this customer, otherwise
+// { job, editJob } once the edit is queued or { job, message } when it can't be made.
+export async function handleEditReply(phoneNumber, contextWamid, text) {
+  const message = await getOutboundMessage(contextWamid);
+  if (!message || message.phone_number !== phoneNumber || !['image', 'variant'].includes(message.kind)) {
+    return null;
+  }
+
+  const job = await getJob(message.job_id);
+  if (!job || job.status !== JOB_STATUS.DELIVERED) {
+    return null;
+  }
+
+  const sanitized = sanitizeField('edit_instruction', text);
+  if (sanitized.blocked || !sanitized.value) {
+    await recordModerationEvent({
+      stage: 'text',
+      phoneNumber,
+      jobId: job.id,
+      field: 'edit_instruction',
+      reason: sanitized.reason || 'EMPTY',
+      details: sanitized.term ? { term: sanitized.term } : null
+    });
+    // The Flow's "should only describe your product" wording doesn't fit an edit
+    return {
+      job,
+      message: sanitized.blocked && !['EMPTY', 'INSTRUCTION_LIKE'].includes(sanitized.reason)
+        ? sanitized.message
+        : 'Please describe the change you want in a few words, like "make the background blue".'
+    };
+  }
+  const instruction = sanitized.value;
+
+  // Edits start from the unbadged render; the price badge is composited again afterwards
+  const entry = message.kind === 'variant'
+    ? (job.variants || []).find((variant) => variant.index === message.variant_index)
+    : job;
+  const imageKey = entry && (entry.source_key || entry.output_key || entry.source_url || entry.output_url);
+  if (!imageKey) {
+    console.warn(`⚠️ Edit reply to job ${job.id} points at a missing image (variant ${message.variant_index ?? '-'})`);
+    return { job, message: "We couldn't find the image you replied to. Please reply to the image you want to change." };
+  }
+
+  const cost = getJobCost(1);
+  if (isChargingEnabled()) {
+    const balance = await getCreditBalance(phoneNumber);
+    if (balance < cost) {
+      return { job, message: insufficientCreditsMessage(balance, cost) };
+    }
+  }
+
+  // An edit is a new generation and counts towards the customer's limits
+  const rateLimit = await claimRateLimit(phoneNumber);
+  if (!rateLimit.allowed) {
+    return { job, message: rateLimit.message };
+  }
+
+  const photos = await getProductPhotos(job);
+  const inputs = photos.keys
+    ? { inputImageKeys: [...photos.keys, imageKey] }
+    : { inputImages: [...photos.images, (await downloadStoredImage(imageKey)).base64] };
+
+  const { finalOf, editOf, forceFresh, ...params } = job.params || {};
+  if (PRICE_REMOVAL_PATTERN.test(instruction)) {
+    params.priceOverlay = null;
+  }
+
+  const editJob = await createJob({
+    phoneNumber,
+    ...inputs,
+    parentJobId: job.id,
+    editOf: job.id,
+    params: {
+      ...params,
+      editOf: { jobId: job.id, variant: message.variant_index ?? null, instruction }
+    }
+  });
+
+  const unpaid = await chargeChatJob(editJob);
+  if (unpaid) {
+    await releaseRateLimit(rateLimit.claimId);
+    return { job, message: unpaid };
+  }
+
+  console.log(`✏️ Edit of job ${job.id} queued as ${editJob.id}:`, instruction);
+  await dispatchJob(editJob);
+
+  return { job, editJob };
+}
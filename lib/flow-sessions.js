@@ -0,0 +1,105 @@
+// Flow session store keyed by the WhatsApp Flow `flow_token`
+// The BSP registers the token together with the recipient's phone when it
+// sends the Flow; every data_exchange then resolves the phone from its token
+// instead of guessing from whichever lead arrived last.
+
+import { getSupabaseClient } from './supabase.js';
+import { normalizePhone } from './leads.js';
+
+const SESSIONS_TABLE = 'flow_sessions';
+const SESSION_TTL_HOURS = parseInt(process.env.FLOW_SESSION_TTL_HOURS || '72', 10);
+
+// Per-instance cache: flow_token -> session
+const sessionCache = new Map();
+
+function isExpired(session) {
+  return Date.parse(session.expires_at) <= Date.now();
+}
+
+// Register (or refresh) the session for a flow_token
+export async function registerFlowSession({ flowToken, phoneNumber, leadId = null }) {
+  const phone = normalizePhone(phoneNumber);
+  if (!flowToken || !phone) {
+    throw new Error('flowToken and phoneNumber are required to register a Flow session');
+  }
+
+  const session = {
+    flow_token: flowToken,
+    phone_number: phone,
+    lead_id: leadId,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000).toISOString()
+  };
+
+  sessionCache.set(flowToken, session);
+
+  const supabase = getSupabaseClient();
+  if (supabase) {
+    const { error } = await supabase
+      .from(SESSIONS_TABLE)
+      .upsert(session, { onConflict: 'flow_token' });
+
+    if (error) {
+      console.error('Failed to persist Flow session:', error);
+      return { ...session, persisted: false };
+    }
+  }
+
+  console.log('🔗 Flow session registered:', { flowToken, phone });
+  return { ...session, persisted: Boolean(supabase) };
+}
+
+// Look up an unexpired session by flow_token
+export async function getFlowSession(flowToken) {
+  if (!flowToken) return null;
+
+  const cached = sessionCache.get(flowToken);
+  if (cached && !isExpired(cached)) {
+    return cached;
+  }
+
+  const supabase = getSupabaseClient();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(SESSIONS_TABLE)
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('flow_token', flowToken)
+    .gt('expires_at', new Date().toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Failed to load Flow session:', error);
+    return null;
+  }
+
+  if (data) {
+    sessionCache.set(flowToken, data);
+  }
+  return data;
+}
+
+// Resolve the recipient phone for a decrypted Flow payload.
+// Order: the registered flow_token session, then the WhatsApp-provided user.wa_id.
+// Phone fields inside the form data are customer-editable and never trusted;
+// nor is another customer's lead. Returns null when unknown.
+export async function resolveFlowPhone(decryptedBody) {
+  console.log('=== PHONE NUMBER DETECTION ===');
+
+  const flowToken = decryptedBody?.flow_token;
+  const session = await getFlowSession(flowToken);
+  if (session?.phone_number) {
+    console.log('📱 Phone from Flow session:', session.phone_number);
+    return session.phone_number;
+  }
+
+  const flowPhone = normalizePhone(decryptedBody?.user?.wa_id);
+  if (flowPhone) {
+    console.log('📱 Phone from WhatsApp user id:', flowPhone);
+    return flowPhone;
+  }
+
+  console.log('❌ No phone number found for flow_token:', flowToken || 'missing');
+  return null;
+}
@@ -0,0 +1,129 @@
+// Follow-up buttons sent after a delivered image
+// A single image is followed by an interactive message with quick-reply
+// buttons; a tap comes back as a button reply whose id names the action and
+// the job ("regenerate:<job id>"), so it's handled here without the customer
+// reopening the Flow. FOLLOW_UP_BUTTONS=false turns the message off.
+//   regenerate  render the same photo and options again
+//   scene       re-run with the next scene preset
+//   hd          render the image again at high resolution, the way the final of
+//               a picked candidate is rendered
+
+import { createJob, getJob, dispatchJob, JOB_STATUS } from './jobs.js';
+import { rerunJob } from './job-inputs.js';
+import { getScenePreset, getNextScenePreset } from './scene-presets.js';
+import { chargeChatJob } from './credits.js';
+import { claimRateLimit, releaseRateLimit } from './rate-limit.js';
+import { sendWhatsAppButtonsMessage } from './whatsapp.js';
+
+const FOLLOW_UP_ENABLED = process.env.FOLLOW_UP_BUTTONS !== 'false';
+
+const FOLLOW_UP_PATTERN = /^(regenerate|scene|hd):([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// Buttons offered for a job. A new scene only makes sense for a fresh render,
+// not for a high-resolution final or an edit; a final is already high resolution.
+function getFollowUpButtons(job) {
+  const { finalOf, editOf } = job.params || {};
+  return [
+    { id: `regenerate:${job.id}`, title: 'Regenerate' },
+    ...(finalOf || editOf ? [] : [{ id: `scene:${job.id}`, title: 'Try another scene' }]),
+    ...(finalOf ? [] : [{ id: `hd:${job.id}`, title: 'Get HD version' }])
+  ];
+}
+
+export function isFollowUpEnabled() {
+  return FOLLOW_UP_ENABLED;
+}
+
+export async function sendFollowUpButtons(job) {
+  return sendWhatsAppButtonsMessage(
+    job.phone_number,
+    'Want something different? Tap an option, or reply to the image with the change you want.',
+    getFollowUpButtons(job)
+  );
+}
+
+// { action, jobId } for one of our button ids, otherwise null
+export function parseFollowUpReply(replyId) {
+  const match = String(replyId || '').match(FOLLOW_UP_PATTERN);
+  return match ? { action: match[1].toLowerCase(), jobId: match[2].toLowerCase() } : null;
+}
+
+// The high-resolution final of a delivered image, rendered from the unbadged image
+// like the final of a picked candidate (the badge is composited again on top)
+function queueHdFinal(job) {
+  const { editOf, forceFresh, ...params } = job.params || {};
+  return createJob({
+    phoneNumber: job.phone_number,
+    inputImageKeys: [job.source_key || job.output_key || job.source_url || job.output_url],
+    parentJobId: job.id,
+    params: { ...params, finalOf: { jobId: job.id, variant: null } }
+  });
+}
+
+// Queue the job behind a button. It is a new generation: it counts towards the
+// customer's limits (`images` of them) and is charged.
+async function queueFromButton(job, images, queue, confirmation) {
+  const rateLimit = await claimRateLimit(job.phone_number, images);
+  if (!rateLimit.allowed) {
+    return { job, message: rateLimit.message };
+  }
+
+  let queued;
+  try {
+    queued = await queue();
+  } catch (error) {
+    await releaseRateLimit(rateLimit.claimId);
+    if (error.code !== 'NO_INPUTS') throw error;
+    return { job, message: "Sorry, we can't create this image again. Please send your photo through the form once more." };
+  }
+
+  const unpaid = await chargeChatJob(queued);
+  if (unpaid) {
+    await releaseRateLimit(rateLimit.claimId);
+    return { job, message: unpaid };
+  }
+
+  await dispatchJob(queued);
+  return { job, rerun: queued, message: confirmation };
+}
+
+function rerunFromButton(job, changes, confirmation) {
+  return queueFromButton(job, job.variant_count || 1, () => rerunJob(job, changes), confirmation);
+}
+
+// Run the action behind a follow-up button tap.
+// Returns null when the button isn't ours (or not for this customer's delivered job), otherwise
+// { job, rerun?, message? } where rerun is the job queued for the tap (a re-run or
+// the high-resolution final) and message is the text to send back.
+export async function handleFollowUpReply(phoneNumber, replyId) {
+  const reply = parseFollowUpReply(replyId);
+  if (!reply) return null;
+
+  const job = await getJob(reply.jobId);
+  if (!job || job.phone_number !== phoneNumber || job.status !== JOB_STATUS.DELIVERED) {
+    return null;
+  }
+
+  console.log(`🔘 Follow-up "${reply.action}" for job ${job.id}`);
+
+  if (reply.action === 'hd') {
+    if (job.params?.finalOf) {
+      return { job, message: 'This image is already the high-resolution version 🎨' };
+    }
+    return queueFromButton(job, 1, () => queueHdFinal(job), 'Creating the high-resolution version of your image now 🎨');
+  }
+
+  if (reply.action === 'scene') {
+    const next = getNextScenePreset(job.params?.scenePreset);
+    if (!next || next.id === getScenePreset(job.params?.scenePreset)?.id) {
+      return { job, message: 'Sorry, there are no other scenes to try right now.' };
+    }
+    return rerunFromButton(
+      job,
+      { scenePreset: next.id, sceneDescription: null },
+      `Trying a new scene: ${next.title} 🎬 Your image is on its way!`
+    );
+  }
+
+  return rerunFromButton(job, {}, 'Creating a fresh take on your image now 🔄');
+}
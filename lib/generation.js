@@ -0,0 +1,110 @@
+// Product photo generation: prompt building and provider dispatch
+// Prompts come from the versioned templates in lib/prompt-templates.js.
+
+import { generateWithFallback } from './providers/index.js';
+import { getScenePreset } from './scene-presets.js';
+import { buildProductPrompt, buildFinalPrompt, buildEditPrompt } from './prompt-templates.js';
+import { detectMimeType } from './image-input.js';
+
+// Image generation through the configured provider chain
+// productImages is one base64 string or an array of them (several angles of one product).
+// options: { scenePreset } preset id, { assignmentKey } (the job id) for prompt template
+// A/B assignment, plus { variationHint, seed } for variant candidates. With { editInstruction }
+// the last image is a previous output to change as instructed, the others its product photos.
+// Returns the generated image as { base64, mimeType, prompt, promptVersion, promptCategory, provider };
+// uploading is left to the caller.
+export async function generateImageFromAi(productImages, productCategory, sceneDescription = null, priceOverlay = null, options = {}) {
+  const { variationHint = null, seed, scenePreset: scenePresetId = null, assignmentKey = null, editInstruction = null } = options;
+  const scenePreset = getScenePreset(scenePresetId);
+  const productImageList = Array.isArray(productImages) ? productImages : [productImages];
+
+  console.log('=== GENERATE IMAGE FROM AI ===');
+  console.log('Parameters:');
+  console.log('- product images:', productImageList.map((img) => (img ? img.length : 0)));
+  console.log('- productCategory:', productCategory || 'MISSING');
+  console.log('- sceneDescription:', sceneDescription || 'not provided');
+  console.log('- scenePreset:', scenePreset ? scenePreset.id : 'not provided');
+  console.log('- priceOverlay:', priceOverlay || 'not provided');
+  if (variationHint) console.log('- variation:', variationHint, `(seed ${seed})`);
+  if (editInstruction) console.log('- edit:', editInstruction);
+  
+  if (productImageList.length === 0 || productImageList.some((img) => !img || typeof img !== 'string')) {
+    throw new Error("Product image data is missing or invalid");
+  }
+  
+  if (!productCategory || typeof productCategory !== 'string') {
+    throw new Error("Product category is required");
+  }
+
+  console.log("Step 1: Cleaning base64 data...");
+  
+  const cleanImages = productImageList.map((productImageBase64) => {
+    if (productImageBase64.startsWith('data:')) {
+      const base64Index = productImageBase64.indexOf(',');
+      if (base64Index !== -1) {
+        console.log("✅ Data URL prefix removed");
+        return productImageBase64.substring(base64Index + 1);
+      }
+    }
+    return productImageBase64;
+  });
+
+  console.log("Step 2: Building prompt from template...");
+  
+  const { prompt, promptVersion, promptCategory } = editInstruction
+    ? buildEditPrompt({
+      productCategory,
+      instruction: editInstruction,
+      priceOverlay,
+      imageCount: cleanImages.length,
+      assignmentKey
+    })
+    : buildProductPrompt({
+      productCategory,
+      sceneDescription,
+      scenePreset,
+      priceOverlay,
+      imageCount: cleanImages.length,
+      variationHint,
+      assignmentKey
+    });
+  console.log(`Prompt (${promptVersion}, category ${promptCategory}):`, prompt);
+
+  console.log("Step 3: Sending to image provider...");
+
+  try {
+    const generated = await generateWithFallback({
+      prompt,
+      images: cleanImages.map((base64) => ({ base64, mimeType: detectMimeType(base64) })),
+      seed
+    });
+
+    console.log(`✅ Image generated successfully (${generated.provider})`);
+    return { ...generated, prompt, promptVersion, promptCategory };
+  } catch (error) {
+    console.error('❌ Error in generateImageFromAi:', error);
+    throw error;
+  }
+}
+
+// Re-render a chosen candidate as the high-resolution final
+// image is the unbadged candidate ({ base64, mimeType }); the price badge is composited again afterwards.
+export async function renderHighResFinal(image, productCategory, { assignmentKey = null } = {}) {
+  if (!image?.base64) {
+    throw new Error("Candidate image data is missing");
+  }
+
+  const { prompt, promptVersion, promptCategory } = buildFinalPrompt({ productCategory, assignmentKey });
+
+  console.log('=== RENDER HIGH-RES FINAL ===');
+  console.log(`Prompt (${promptVersion}):`, prompt);
+
+  const generated = await generateWithFallback({
+    prompt,
+    images: [{ base64: image.base64, mimeType: image.mimeType || detectMimeType(image.base64) }],
+    highRes: true
+  });
+
+  console.log(`✅ High-res final rendered (${generated.provider})`);
+  return { ...generated, prompt, promptVersion, promptCategory };
+}
@@ -0,0 +1,145 @@
+// Pure-JS image decode/encode (PNG via pngjs, JPEG via jpeg-js)
+// Images are handled as { width, height, data } with RGBA pixel data.
+// Format and dimensions of other types are read from their headers only.
+
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+
+const JPEG_QUALITY = parseInt(process.env.JPEG_QUALITY || '90', 10);
+
+export function canDecode(mimeType) {
+  return mimeType === 'image/png' || mimeType === 'image/jpeg';
+}
+
+export function decodeImage(buffer, mimeType) {
+  if (mimeType === 'image/png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  if (mimeType === 'image/jpeg') {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data.buffer) };
+  }
+
+  throw new Error(`Unsupported image format for decoding: ${mimeType}`);
+}
+
+export function encodeImage(image, mimeType) {
+  if (mimeType === 'image/png') {
+    const png = new PNG({ width: image.width, height: image.height });
+    png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+    return PNG.sync.write(png);
+  }
+
+  if (mimeType === 'image/jpeg') {
+    return jpeg.encode({ width: image.width, height: image.height, data: image.data }, JPEG_QUALITY).data;
+  }
+
+  throw new Error(`Unsupported image format for encoding: ${mimeType}`);
+}
+
+// HEIF-family brands found in the ISO-BMFF `ftyp` box
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Detect the real image type from magic bytes; returns a MIME type or null
+export function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+  if (buffer[0] === 0x42 && buffer[1] === 0x4d) return 'image/bmp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'image/tiff';
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (AVIF_BRANDS.includes(brand)) return 'image/avif';
+    if (HEIC_BRANDS.includes(brand)) return 'image/heic';
+  }
+
+  return null;
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Read width/height from the file header without decoding pixels; null when unknown
+export function readImageDimensions(buffer, mimeType) {
+  try {
+    if (mimeType === 'image/png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mimeType === 'image/jpeg') return readJpegDimensions(buffer);
+    if (mimeType === 'image/webp') return readWebpDimensions(buffer);
+    if (mimeType === 'image/gif') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+  } catch {
+    // Truncated header
+  }
+  return null;
+}
+
+// EXIF orientation (1-8) of a JPEG, 1 when absent
+export function readJpegOrientation(buffer) {
+  let offset = 2;
+  while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (marker === 0xe1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+      const tiff = offset + 10;
+      const little = buffer.toString('ascii', tiff, tiff + 2) === 'II';
+      const read16 = (at) => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+      const read32 = (at) => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+      const ifd = tiff + read32(tiff + 4);
+      const entries = read16(ifd);
+      for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (read16(entry) === 0x0112) {
+          const orientation = read16(entry + 8);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+
+    // Orientation lives in APP1, which comes before the image data
+    if (marker === 0xda) break;
+    offset += 2 + length;
+  }
+  return 1;
+}
@@ -0,0 +1,172 @@
+// Validation and preparation of uploaded product photos
+// The real format is sniffed from magic bytes (never trusted from the upload),
+// formats that can't be downscaled here (HEIC, AVIF, WebP, GIF) are rejected
+// with a message the customer can act on, size, dimension and pixel limits are enforced from the file header, and
+// large JPEG/PNG photos are downscaled before they are sent to the model.
+// Validation is cheap and runs while the customer waits; decoding and
+// downscaling run in the worker (prepareJobInputs in job-inputs.js).
+
+import { decodeImage, encodeImage, sniffImageType, readImageDimensions, readJpegOrientation } from './image-codec.js';
+
+const MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES || String(15 * 1024 * 1024), 10);
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION || '6000', 10);
+// A decoded photo takes 4 bytes per pixel; 24 MP is about 96 MB in memory
+const MAX_PIXELS = parseInt(process.env.IMAGE_MAX_PIXELS || '24000000', 10);
+const MIN_DIMENSION = parseInt(process.env.IMAGE_MIN_DIMENSION || '256', 10);
+// Longest side sent to the model; larger photos are downscaled to this
+const TARGET_DIMENSION = parseInt(process.env.IMAGE_TARGET_DIMENSION || '1536', 10);
+
+// Formats every provider accepts as input and that can be decoded here to downscale
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png'];
+
+const UNSUPPORTED_MESSAGES = {
+  'image/heic': 'HEIC photos are not supported. Please send it as a JPEG (on iPhone: Settings > Camera > Formats > Most Compatible)',
+  'image/avif': 'AVIF photos are not supported. Please send it as a JPEG or PNG',
+  'image/webp': 'WebP images are not supported. Please send it as a JPEG or PNG',
+  'image/gif': 'GIFs are not supported. Please send a still photo (JPEG or PNG)'
+};
+
+function rejectImage(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Map a target pixel back to the source for EXIF orientations 1-8
+function orientedSize(width, height, orientation) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+function sourcePixel(x, y, width, height, orientation) {
+  switch (orientation) {
+    case 2: return [width - 1 - x, y];
+    case 3: return [width - 1 - x, height - 1 - y];
+    case 4: return [x, height - 1 - y];
+    case 5: return [y, x];
+    case 6: return [y, height - 1 - x];
+    case 7: return [width - 1 - y, height - 1 - x];
+    case 8: return [width - 1 - y, x];
+    default: return [x, y];
+  }
+}
+
+// Area-average downscale to fit maxDimension, applying the EXIF orientation on the way
+export function resizeImage(image, maxDimension, orientation = 1) {
+  const upright = orientedSize(image.width, image.height, orientation);
+  const scale = Math.min(1, maxDimension / Math.max(upright.width, upright.height));
+  const width = Math.max(1, Math.round(upright.width * scale));
+  const height = Math.max(1, Math.round(upright.height * scale));
+
+  const out = Buffer.alloc(width * height * 4);
+  const stepX = upright.width / width;
+  const stepY = upright.height / height;
+
+  for (let ty = 0; ty < height; ty++) {
+    const y0 = Math.floor(ty * stepY);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * stepY));
+
+    for (let tx = 0; tx < width; tx++) {
+      const x0 = Math.floor(tx * stepX);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * stepX));
+      let r = 0, g = 0, b = 0, a = 0;
+
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const [sx, sy] = sourcePixel(x, y, image.width, image.height, orientation);
+          const idx = (sy * image.width + sx) << 2;
+          r += image.data[idx];
+          g += image.data[idx + 1];
+          b += image.data[idx + 2];
+          a += image.data[idx + 3];
+        }
+      }
+
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (ty * width + tx) << 2;
+      out[o] = Math.round(r / count);
+      out[o + 1] = Math.round(g / count);
+      out[o + 2] = Math.round(b / count);
+      out[o + 3] = Math.round(a / count);
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+// Sniff the MIME type of stored base64 image data (falls back to JPEG for unknown data)
+export function detectMimeType(base64) {
+  return sniffImageType(Buffer.from(base64.slice(0, 64), 'base64')) || 'image/jpeg';
+}
+
+// Validate one uploaded photo from its header, without decoding it.
+// input is a Buffer or base64 string. Returns { buffer, mimeType, width, height };
+// throws an Error with a customer-facing message (and a code) when the photo can't be used.
+export function validateInputImage(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+
+  if (buffer.length > MAX_BYTES) {
+    throw rejectImage('TOO_LARGE', `The photo is too large (${(buffer.length / 1048576).toFixed(1)} MB). Please send one under ${Math.floor(MAX_BYTES / 1048576)} MB`);
+  }
+
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) {
+    throw rejectImage('UNKNOWN_FORMAT', "This file doesn't look like a photo. Please upload a JPEG or PNG image");
+  }
+  if (!SUPPORTED_TYPES.includes(mimeType)) {
+    throw rejectImage('UNSUPPORTED_FORMAT', UNSUPPORTED_MESSAGES[mimeType] || `${mimeType} images are not supported. Please send a JPEG or PNG`);
+  }
+
+  const dimensions = readImageDimensions(buffer, mimeType);
+  if (!dimensions) {
+    throw rejectImage('UNREADABLE', "We couldn't read this photo. Please upload it again");
+  }
+
+  const { width, height } = dimensions;
+  if (Math.max(width, height) > MAX_DIMENSION || width * height > MAX_PIXELS) {
+    throw rejectImage('TOO_MANY_PIXELS', `The photo is too big (${width}x${height}). Please send one up to ${MAX_DIMENSION} pixels on each side and ${Math.floor(MAX_PIXELS / 1e6)} megapixels`);
+  }
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    throw rejectImage('TOO_SMALL', `The photo is too small (${width}x${height}). Please send one at least ${MIN_DIMENSION} pixels on each side`);
+  }
+
+  return { buffer, mimeType, width, height };
+}
+
+// Validate one photo and shrink it for the model.
+// input is a Buffer or base64 string. Returns { base64, mimeType, width, height, bytes, resized };
+// throws like validateInputImage, or with code UNREADABLE when the photo can't be decoded.
+export function prepareInputImage(input) {
+  const { buffer, mimeType, width, height } = validateInputImage(input);
+
+  let orientation = 1;
+  if (mimeType === 'image/jpeg') {
+    try {
+      orientation = readJpegOrientation(buffer);
+    } catch {
+      orientation = 1;
+    }
+  }
+
+  const needsResize = Math.max(width, height) > TARGET_DIMENSION || orientation !== 1;
+  if (!needsResize) {
+    return { base64: buffer.toString('base64'), mimeType, width, height, bytes: buffer.length, resized: false };
+  }
+
+  let decoded;
+  try {
+    decoded = decodeImage(buffer, mimeType);
+  } catch {
+    throw rejectImage('UNREADABLE', "We couldn't read this photo. Please upload it again");
+  }
+
+  const resized = resizeImage(decoded, TARGET_DIMENSION, orientation);
+  const encoded = encodeImage(resized, mimeType);
+  console.log(`🗜️ Photo downscaled ${width}x${height} -> ${resized.width}x${resized.height} (${buffer.length} -> ${encoded.length} bytes)`);
+
+  return {
+    base64: Buffer.from(encoded).toString('base64'),
+    mimeType,
+    width: resized.width,
+    height: resized.height,
+    bytes: encoded.length,
+    resized: true
+  };
+}
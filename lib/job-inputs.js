@@ -0,0 +1,81 @@
+// Original uploads, kept next to each job's outputs
+// The photo exactly as the customer sent it (before validation and
+// downscaling) is stored in the job's storage folder as input-N, so a bad
+// result can be audited, debugged or re-run with changed parameters.
+// The images a job renders from are kept in the bucket too (input_image_keys);
+// only jobs from before that carry them on the row (input_images).
+
+import { createJob, updateJob } from './jobs.js';
+import { uploadJobImage, downloadStoredImage } from './storage.js';
+import { prepareInputImage } from './image-input.js';
+
+// A job's input images as base64, loaded from the bucket
+export async function loadJobInputs(job) {
+  if (!job.input_image_keys?.length) {
+    return job.input_images || [];
+  }
+
+  const images = await Promise.all(job.input_image_keys.map((key) => downloadStoredImage(key)));
+  return images.map((image) => image.base64);
+}
+
+// Decode and downscale a job's input images for the model, in the worker rather
+// than in the request that queued the job. Returns { job, inputImages }. The smaller
+// images are stored and replace the job's inputs so retries don't decode them again.
+// A photo that can't be decoded fails the job without retries.
+export async function prepareJobInputs(job) {
+  const images = await loadJobInputs(job);
+
+  let prepared;
+  try {
+    prepared = images.map((image) => prepareInputImage(image));
+  } catch (error) {
+    throw Object.assign(new Error(`Input photo rejected: ${error.message}`), { code: error.code || 'UNREADABLE', retryable: false });
+  }
+
+  const inputImages = prepared.map((image) => image.base64);
+  if (!prepared.some((image) => image.resized)) {
+    return { job, inputImages };
+  }
+
+  const inputImageKeys = await Promise.all(prepared.map((image, i) => uploadJobImage({
+    base64Data: image.base64,
+    mimeType: image.mimeType,
+    phoneNumber: job.phone_number,
+    jobId: job.id,
+    kind: `model-input-${i + 1}`
+  })));
+  return { job: await updateJob(job.id, { input_image_keys: inputImageKeys }), inputImages };
+}
+
+// Queue a new job from a past job's originals with some parameters changed.
+// Edits and finals have no originals of their own and re-run from their inputs.
+// changes uses the job params names (productCategory, sceneDescription, ...) and is expected to be validated.
+// A re-run renders again unless forceFresh is false, in which case a cached result may be reused.
+// admin marks a re-run started by an operator, which the customer's rate limits ignore.
+export async function rerunJob(job, changes = {}, { variantCount = job.variant_count, forceFresh = true, admin = false } = {}) {
+  const inputImageKeys = job.input_keys?.length ? job.input_keys : job.input_image_keys || [];
+  // Jobs from before inputs were stored in the bucket
+  const inputImages = inputImageKeys.length === 0 ? job.input_images || [] : [];
+  if (inputImageKeys.length === 0 && inputImages.length === 0) {
+    throw Object.assign(new Error(`Job ${job.id} has no stored inputs to re-run`), { code: 'NO_INPUTS' });
+  }
+
+  const rerun = await createJob({
+    phoneNumber: job.phone_number,
+    inputImages,
+    inputImageKeys,
+    inputKeys: job.input_keys || [],
+    inputHashes: job.input_hashes || [],
+    variantCount,
+    parentJobId: job.parent_job_id,
+    rerunOf: job.id,
+    adminRerun: admin,
+    // A re-run of an edit is another take on the same edit
+    editOf: job.edit_of || null,
+    params: { ...job.params, ...changes, forceFresh }
+  });
+
+  console.log(`🔁 Job ${job.id} re-run as ${rerun.id} with:`, changes);
+  return rerun;
+}
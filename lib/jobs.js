@@ -0,0 +1,390 @@
+// Durable image-generation job queue
+// Every Flow submission becomes a row in `image_jobs` before anything is
+// dispatched, so a dropped request or frozen function never loses a job.
+// Lifecycle: queued -> generating -> uploaded -> delivered, or failed once
+// the retry budget is exhausted.
+
+import { randomUUID } from 'crypto';
+import { getSupabaseClient } from './supabase.js';
+import { signDispatchToken } from './dispatch-token.js';
+import { uploadJobImage } from './storage.js';
+import { detectMimeType } from './image-input.js';
+import { normalizeCategory } from './prompt-templates.js';
+
+const JOBS_TABLE = 'image_jobs';
+
+// Everything except the (large) input images, for listings
+const JOB_LIST_COLUMNS = 'id, status, phone_number, params, prompt, prompt_version, prompt_category, provider, output_key, source_key, output_url, whatsapp_media_id, whatsapp_media_uploaded_at, whatsapp_message_id, delivery_status, delivery_status_at, variant_count, variants, selected_variant, selected_at, selection_source, parent_job_id, input_image_keys, input_keys, input_hashes, cache_key, cached_from, rerun_of, admin_rerun, edit_of, credits_charged, credits_refunded_at, attempts, max_attempts, next_attempt_at, last_error, timings, created_at, updated_at, completed_at';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  GENERATING: 'generating',
+  UPLOADED: 'uploaded',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '4', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30', 10);
+const RETRY_MAX_SECONDS = parseInt(process.env.JOB_RETRY_MAX_SECONDS || '900', 10);
+const STALE_LOCK_SECONDS = parseInt(process.env.JOB_STALE_LOCK_SECONDS || '300', 10);
+const DISPATCH_TIMEOUT_MS = parseInt(process.env.JOB_DISPATCH_TIMEOUT_MS || '1500', 10);
+
+function requireSupabase() {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new Error('Job queue requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+  return supabase;
+}
+
+// Identifies the function instance holding a job lock
+export function createWorkerId(prefix = 'worker') {
+  return `${prefix}-${randomUUID().slice(0, 8)}`;
+}
+
+// Persist a new queued job
+// Input images are kept in the bucket, never on the row: input_image_keys lists the
+// images the worker renders from (several are used together as references for one output).
+// inputImages: base64 photos as the customer sent them; they are stored in the new
+//   job's folder as its original uploads (input-N, also recorded as input_keys)
+// inputImageKeys: images already in the bucket to render from (re-runs, edits, finals)
+// variantCount > 1 renders that many candidates for the customer to pick from
+// inputKeys: storage keys of the original uploads, when they are already stored (re-runs)
+// inputHashes: SHA-256 of each original upload, for the result cache
+// editOf: the job whose delivered image this job edits (see lib/edits.js)
+// adminRerun marks a re-run started from the admin API; it doesn't count towards the customer's limits
+export async function createJob({ phoneNumber, params, inputImages = [], inputImageKeys = [], inputKeys = [], inputHashes = [], variantCount = 1, parentJobId = null, rerunOf = null, adminRerun = false, editOf = null }) {
+  const supabase = requireSupabase();
+  const now = new Date().toISOString();
+  // Chosen here so the photos can be stored in the job's folder before the row exists
+  const id = randomUUID();
+
+  const uploadedKeys = inputImages.length > 0
+    ? await Promise.all(inputImages.map((base64, i) => uploadJobImage({
+      base64Data: base64,
+      mimeType: detectMimeType(base64),
+      phoneNumber,
+      jobId: id,
+      kind: `input-${i + 1}`,
+      metadata: { category: normalizeCategory(params?.productCategory) }
+    })))
+    : null;
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .insert({
+      id,
+      status: JOB_STATUS.QUEUED,
+      phone_number: phoneNumber,
+      params,
+      input_image_keys: uploadedKeys || inputImageKeys,
+      input_keys: uploadedKeys || inputKeys,
+      input_hashes: inputHashes,
+      variant_count: variantCount,
+      parent_job_id: parentJobId,
+      rerun_of: rerunOf,
+      admin_rerun: adminRerun,
+      edit_of: editOf,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: now,
+      timings: { queued_at: now }
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create image job: ${error.message}`);
+  }
+
+  console.log('🗂️ Image job queued:', data.id);
+  return data;
+}
+
+// Claim due jobs (or one specific job) for this worker
+export async function claimJobs({ workerId, limit = 1, jobId = null }) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase.rpc('claim_image_jobs', {
+    p_worker: workerId,
+    p_limit: limit,
+    p_job_id: jobId,
+    p_stale_seconds: STALE_LOCK_SECONDS
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim image jobs: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+export async function updateJob(jobId, patch) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update image job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+export async function getJob(jobId) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load image job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Record the customer's pick, only if nothing was picked yet. Returns null when already selected.
+export async function recordVariantSelection(jobId, variantIndex, source) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .update({
+      selected_variant: variantIndex,
+      selected_at: new Date().toISOString(),
+      selection_source: source,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .is('selected_variant', null)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to record variant selection for ${jobId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+// Most recent delivered variants set for a customer that still has no pick
+export async function findJobAwaitingSelection(phoneNumber, maxAgeHours) {
+  const supabase = requireSupabase();
+  const since = new Date(Date.now() - maxAgeHours * 3600 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select(JOB_LIST_COLUMNS)
+    .eq('phone_number', phoneNumber)
+    .eq('status', JOB_STATUS.DELIVERED)
+    .gt('variant_count', 1)
+    .is('selected_variant', null)
+    .gt('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to look up variants awaiting selection for ${phoneNumber}: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+// Most recent job whose stored output matches a result cache key
+export async function findCachedJob(cacheKey, maxAgeHours) {
+  const supabase = requireSupabase();
+  const since = new Date(Date.now() - maxAgeHours * 3600 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select(JOB_LIST_COLUMNS)
+    .eq('cache_key', cacheKey)
+    .not('output_key', 'is', null)
+    .gt('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to look up cached result ${cacheKey}: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+// Exponential backoff with jitter: 30s, 60s, 120s, ... capped at RETRY_MAX_SECONDS
+export function getRetryDelaySeconds(attempts) {
+  const exponential = RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1);
+  const jitter = Math.random() * RETRY_BASE_SECONDS;
+  return Math.min(RETRY_MAX_SECONDS, Math.round(exponential + jitter));
+}
+
+// Record a failed attempt; requeue with backoff or mark the job failed.
+// Errors flagged retryable: false (e.g. a blocked output) fail the job straight away.
+export async function failJob(job, error) {
+  const message = error?.message || String(error);
+  const exhausted = job.attempts >= job.max_attempts || error?.retryable === false;
+
+  if (exhausted) {
+    console.error(`❌ Image job ${job.id} failed permanently after ${job.attempts} attempt(s):`, message);
+    return updateJob(job.id, {
+      status: JOB_STATUS.FAILED,
+      last_error: message,
+      locked_at: null,
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  const delaySeconds = getRetryDelaySeconds(job.attempts);
+  console.warn(`🔁 Image job ${job.id} attempt ${job.attempts} failed, retrying in ${delaySeconds}s:`, message);
+
+  return updateJob(job.id, {
+    status: JOB_STATUS.QUEUED,
+    last_error: message,
+    locked_at: null,
+    locked_by: null,
+    next_attempt_at: new Date(Date.now() + delaySeconds * 1000).toISOString()
+  });
+}
+
+// Base URL used for internal calls between routes
+export function getInternalBaseUrl() {
+  if (process.env.APP_BASE_URL) return process.env.APP_BASE_URL.replace(/\/+$/, '');
+  if (process.env.VERCEL_URL) return `https://${process.env.VERCEL_URL}`;
+  return 'http://localhost:3000';
+}
+
+// Ask /api/process-image to start on a job right away, with a signed dispatch token.
+// This is only a fast path: if the call is lost, the worker sweep picks the job up.
+export async function dispatchJob(job) {
+  const jobId = job.id;
+  try {
+    const token = signDispatchToken({ jobId, phoneNumber: job.phone_number });
+    await fetch(`${getInternalBaseUrl()}/api/process-image`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Dispatch-Token': token
+      },
+      body: JSON.stringify({ jobId }),
+      signal: AbortSignal.timeout(DISPATCH_TIMEOUT_MS)
+    });
+    return true;
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      // The worker keeps running after we stop waiting for it
+      return true;
+    }
+    console.error(`⚠️ Failed to dispatch image job ${jobId}; leaving it for the worker sweep:`, error);
+    return false;
+  }
+}
+
+export async function listJobsByPhone(phoneNumber, limit = 20) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select(JOB_LIST_COLUMNS)
+    .eq('phone_number', phoneNumber)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to list image jobs for ${phoneNumber}: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+// Edit history of a job: the edits customers asked for on its image, oldest first
+export async function listJobEdits(jobId) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select('id, status, params, output_key, last_error, created_at, completed_at')
+    .eq('edit_of', jobId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list edits of job ${jobId}: ${error.message}`);
+  }
+
+  return (data || []).map((edit) => ({
+    id: edit.id,
+    status: edit.status,
+    instruction: edit.params?.editOf?.instruction || null,
+    variant: edit.params?.editOf?.variant || null,
+    outputKey: edit.output_key,
+    error: edit.last_error,
+    createdAt: edit.created_at,
+    completedAt: edit.completed_at
+  }));
+}
+
+// Public view of a job for the status API (never includes the input images)
+export function toJobSummary(job) {
+  const totalMs = job.completed_at
+    ? Date.parse(job.completed_at) - Date.parse(job.created_at)
+    : null;
+
+  return {
+    id: job.id,
+    status: job.status,
+    phoneNumber: job.phone_number,
+    params: job.params,
+    inputImageCount: job.input_image_keys?.length || (Array.isArray(job.input_images) ? job.input_images.length : undefined),
+    inputKeys: job.input_keys || [],
+    prompt: job.prompt,
+    promptVersion: job.prompt_version,
+    promptCategory: job.prompt_category,
+    provider: job.provider,
+    outputKey: job.output_key,
+    // Only set on jobs stored while the bucket was public; use /api/jobs/:id/images for signed URLs
+    outputUrl: job.output_url || undefined,
+    whatsappMediaId: job.whatsapp_media_id,
+    whatsappMessageId: job.whatsapp_message_id,
+    deliveryStatus: job.delivery_status,
+    deliveryStatusAt: job.delivery_status_at,
+    variantCount: job.variant_count,
+    variants: (job.variants || []).map((variant) => ({
+      index: variant.index,
+      style: variant.style,
+      promptVersion: variant.prompt_version,
+      provider: variant.provider,
+      outputKey: variant.output_key || null,
+      whatsappMessageId: variant.whatsapp_message_id || null
+    })),
+    selectedVariant: job.selected_variant,
+    selectedAt: job.selected_at,
+    selectionSource: job.selection_source,
+    parentJobId: job.parent_job_id,
+    rerunOf: job.rerun_of,
+    adminRerun: job.admin_rerun,
+    editOf: job.edit_of,
+    cachedFrom: job.cached_from,
+    creditsCharged: job.credits_charged,
+    creditsRefundedAt: job.credits_refunded_at,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    nextAttemptAt: job.status === JOB_STATUS.QUEUED ? job.next_attempt_at : null,
+    error: job.last_error,
+    timings: {
+      ...job.timings,
+      total_ms: totalMs
+    },
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+}
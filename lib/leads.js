@@ -0,0 +1,206 @@
+// Shared BSP lead registry used by every API route
+// Leads are persisted to the Supabase `bsp_leads` table; the in-memory store
+// is only a per-instance cache and is rebuilt from the table on cold starts.
+
+import { getSupabaseClient } from './supabase.js';
+
+const LEADS_TABLE = process.env.SUPABASE_LEADS_TABLE || 'bsp_leads';
+
+// --- In-memory cache ---
+const bspLeadStore = {
+  latest: null,           // Most recent lead seen by this instance
+  byPhone: new Map(),     // Map phone -> lead data
+  bySession: new Map(),   // Map session/chat_id -> phone
+  recent: []              // Array of recent leads (max 100)
+};
+
+// Normalize a phone number to digits with the Indian country code for 10-digit numbers
+export function normalizePhone(value) {
+  if (value === undefined || value === null) return null;
+  const digits = String(value).replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.length === 10 ? `91${digits}` : digits;
+}
+
+function cacheLead(lead) {
+  if (!lead) return lead;
+
+  if (!bspLeadStore.latest || lead.timestamp >= bspLeadStore.latest.timestamp) {
+    bspLeadStore.latest = lead;
+  }
+
+  if (lead.phoneNumber) {
+    bspLeadStore.byPhone.set(lead.phoneNumber, lead);
+
+    if (lead.chatId) {
+      bspLeadStore.bySession.set(lead.chatId, lead.phoneNumber);
+    }
+  }
+
+  bspLeadStore.recent = [lead, ...bspLeadStore.recent.filter((l) => l.id !== lead.id)].slice(0, 100);
+  return lead;
+}
+
+function leadToRow(lead) {
+  return {
+    phone_number: lead.phoneNumber,
+    first_name: lead.firstName || lead.first_name || null,
+    email: lead.email || null,
+    chat_id: lead.chatId || lead.chat_id || null,
+    subscriber_id: lead.subscriberId || null,
+    user_message: lead.userMessage || lead.user_message || null,
+    postback_id: lead.postbackId || lead.postbackid || null,
+    source: lead.source || 'BSP',
+    raw: lead,
+    updated_at: lead.timestamp
+  };
+}
+
+function rowToLead(row) {
+  if (!row) return null;
+  return {
+    ...(row.raw || {}),
+    id: row.raw?.id || `${row.phone_number}-${Date.parse(row.updated_at)}`,
+    phoneNumber: row.phone_number,
+    firstName: row.first_name,
+    email: row.email,
+    chatId: row.chat_id,
+    subscriberId: row.subscriber_id,
+    userMessage: row.user_message,
+    postbackId: row.postback_id,
+    source: row.source,
+    timestamp: row.updated_at
+  };
+}
+
+// Persist a lead to Supabase (one row per phone number, latest data wins)
+async function persistBspLead(leadData) {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    console.warn('⚠️ BSP lead kept in memory only (Supabase not configured)');
+    return false;
+  }
+
+  try {
+    const { error } = await supabase
+      .from(LEADS_TABLE)
+      .upsert(leadToRow(leadData), { onConflict: 'phone_number' });
+
+    if (error) throw error;
+
+    console.log('💾 BSP lead persisted:', leadData.phoneNumber);
+    return true;
+  } catch (error) {
+    console.error('Failed to persist BSP lead:', error);
+    return false;
+  }
+}
+
+// Store BSP lead data in the cache and the leads table
+export async function storeBspLead(leadData) {
+  const phoneNumber = normalizePhone(leadData.phoneNumber || leadData.chat_id);
+  const timestamp = new Date().toISOString();
+
+  const enrichedLead = {
+    ...leadData,
+    phoneNumber,
+    chatId: leadData.chatId || leadData.chat_id,
+    timestamp,
+    id: `${phoneNumber}-${Date.now()}`
+  };
+
+  cacheLead(enrichedLead);
+  const persisted = await persistBspLead(enrichedLead);
+
+  console.log('📍 BSP Lead stored:', {
+    phone: phoneNumber,
+    name: leadData.firstName || leadData.first_name,
+    persisted,
+    cachedCount: bspLeadStore.byPhone.size
+  });
+
+  return { ...enrichedLead, persisted };
+}
+
+async function fetchLeadRow(column, value) {
+  const supabase = getSupabaseClient();
+  if (!supabase) return null;
+
+  let query = supabase.from(LEADS_TABLE).select('*');
+  query = column
+    ? query.eq(column, value)
+    : query.order('updated_at', { ascending: false });
+
+  const { data, error } = await query.limit(1).maybeSingle();
+  if (error) {
+    console.error(`Failed to load BSP lead (${column || 'latest'}):`, error);
+    return null;
+  }
+  return data;
+}
+
+// Get BSP lead data by phone number, chat_id/session or 'latest'
+export async function getBspLead(identifier = 'latest') {
+  if (!identifier) return null;
+
+  if (identifier === 'latest') {
+    const row = await fetchLeadRow(null);
+    return row ? cacheLead(rowToLead(row)) : bspLeadStore.latest;
+  }
+
+  // Cache hits first: by phone, then by session/chat_id
+  const phone = normalizePhone(identifier);
+  if (phone && bspLeadStore.byPhone.has(phone)) {
+    return bspLeadStore.byPhone.get(phone);
+  }
+
+  if (bspLeadStore.bySession.has(identifier)) {
+    return bspLeadStore.byPhone.get(bspLeadStore.bySession.get(identifier)) || null;
+  }
+
+  // Fall back to the table
+  const row = (phone && await fetchLeadRow('phone_number', phone))
+    || await fetchLeadRow('chat_id', identifier);
+
+  return row ? cacheLead(rowToLead(row)) : null;
+}
+
+// Summary of stored leads for the debug endpoints
+export async function getLeadDebugInfo(limit = 10) {
+  const supabase = getSupabaseClient();
+  let recentLeads = bspLeadStore.recent.slice(0, limit);
+  let totalStored = bspLeadStore.byPhone.size;
+
+  if (supabase) {
+    const { data, count, error } = await supabase
+      .from(LEADS_TABLE)
+      .select('*', { count: 'exact' })
+      .order('updated_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('Failed to load BSP leads for debug info:', error);
+    } else {
+      recentLeads = data.map(rowToLead);
+      totalStored = count;
+    }
+  }
+
+  return {
+    latest: recentLeads[0] || bspLeadStore.latest,
+    totalStored,
+    persistent: Boolean(supabase),
+    cache: {
+      size: bspLeadStore.byPhone.size,
+      phoneNumbers: Array.from(bspLeadStore.byPhone.keys()),
+      sessionMappings: Array.from(bspLeadStore.bySession.entries())
+    },
+    recentLeads: recentLeads.map(lead => ({
+      phone: lead.phoneNumber,
+      name: lead.firstName,
+      timestamp: lead.timestamp,
+      id: lead.id,
+      source: lead.source
+    }))
+  };
+}
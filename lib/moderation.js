@@ -0,0 +1,184 @@
+// Image moderation for uploaded photos and generated outputs
+// The policy in config/moderation-policy.json sets the classifier and a score
+// threshold per category; any category at or above its threshold blocks the
+// image. MODERATION_PROVIDER overrides the configured classifier per
+// deployment ("openai", "gemini", "mock" or "none").
+
+import { readFileSync } from 'fs';
+import { getSupabaseClient } from './supabase.js';
+
+const policy = JSON.parse(
+  readFileSync(new URL('../config/moderation-policy.json', import.meta.url), 'utf8')
+).images;
+
+const EVENTS_TABLE = 'moderation_events';
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_MODERATION_MODEL = process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest';
+const GEMINI_MODERATION_MODEL = process.env.GEMINI_MODERATION_MODEL || 'gemini-2.5-flash';
+
+const thresholds = policy.thresholds || {};
+
+// --- Classifiers: each resolves to { [category]: score between 0 and 1 } ---
+
+async function classifyWithOpenAI(image) {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('Missing OPENAI_API_KEY environment variable');
+  }
+
+  const response = await fetch(`${OPENAI_BASE_URL}/moderations`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: OPENAI_MODERATION_MODEL,
+      input: [{ type: 'image_url', image_url: { url: `data:${image.mimeType || 'image/jpeg'};base64,${image.base64}` } }]
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI moderation failed (${response.status}): ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  const scores = data?.results?.[0]?.category_scores;
+  if (!scores) {
+    throw new Error('OpenAI moderation returned no scores');
+  }
+  return scores;
+}
+
+async function classifyWithGemini(image) {
+  const apiKey = process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('Missing GEMINI_API_KEY environment variable');
+  }
+
+  const categories = Object.keys(thresholds);
+  const prompt = 'You are a content moderation classifier for an e-commerce product photo service. '
+    + 'Rate how strongly the attached image contains each category, from 0 (not at all) to 1 (certainly). '
+    + `Categories: ${categories.join(', ')}. `
+    + 'Respond with a single JSON object mapping each category name to its score and nothing else.';
+
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODERATION_MODEL}:generateContent?key=${apiKey}`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      contents: [{
+        parts: [
+          { text: prompt },
+          { inlineData: { mimeType: image.mimeType || 'image/jpeg', data: image.base64 } }
+        ]
+      }],
+      generationConfig: { temperature: 0, responseMimeType: 'application/json' }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Gemini moderation failed (${response.status}): ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  const text = data?.candidates?.[0]?.content?.parts?.find((part) => part.text)?.text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Gemini moderation returned unreadable scores: ${text}`);
+  }
+}
+
+// MOCK_MODERATION_MODE=block flags everything, =error simulates an outage
+async function classifyWithMock() {
+  const mode = process.env.MOCK_MODERATION_MODE;
+  if (mode === 'error') {
+    throw new Error('Mock moderation failure');
+  }
+  return Object.fromEntries(Object.keys(thresholds).map((category) => [category, mode === 'block' ? 1 : 0]));
+}
+
+const classifiers = {
+  openai: classifyWithOpenAI,
+  gemini: classifyWithGemini,
+  mock: classifyWithMock
+};
+
+export function getModerationProvider() {
+  if (!policy.enabled) return 'none';
+  return (process.env.MODERATION_PROVIDER || policy.provider || 'none').trim().toLowerCase();
+}
+
+// API key each hosted classifier needs
+const providerKeys = {
+  openai: 'OPENAI_API_KEY',
+  gemini: 'GEMINI_API_KEY'
+};
+
+// Environment variables the active classifier needs. Without them every image
+// would fail moderation, so the webhook refuses to start instead.
+export function getModerationEnvVars() {
+  const key = providerKeys[getModerationProvider()];
+  return key ? [key] : [];
+}
+
+// Best-effort audit trail of everything moderation blocked
+export async function recordModerationEvent({ stage, phoneNumber = null, jobId = null, field = null, reason, details = null }) {
+  console.warn('🛡️ Moderation blocked content:', { stage, phoneNumber, jobId, field, reason });
+
+  const supabase = getSupabaseClient();
+  if (!supabase) return;
+
+  const { error } = await supabase.from(EVENTS_TABLE).insert({
+    stage,
+    phone_number: phoneNumber,
+    job_id: jobId,
+    field,
+    reason,
+    details
+  });
+
+  if (error) {
+    console.error('Failed to record moderation event:', error);
+  }
+}
+
+// Check one image against the policy.
+// stage is 'input' (uploaded photo) or 'output' (generated image).
+// Returns { allowed, provider, flagged: [{ category, score }], reason }.
+export async function moderateImage(image, { stage, phoneNumber = null, jobId = null } = {}) {
+  const provider = getModerationProvider();
+  if (provider === 'none') {
+    return { allowed: true, provider, flagged: [], skipped: true };
+  }
+
+  const classify = classifiers[provider];
+  if (!classify) {
+    throw new Error(`Unknown moderation provider: ${provider}`);
+  }
+
+  let scores;
+  try {
+    scores = await classify(image);
+  } catch (error) {
+    console.error(`⚠️ Moderation (${provider}) unavailable for ${stage} image:`, error.message);
+    if (policy.failOpen) {
+      return { allowed: true, provider, flagged: [], error: error.message };
+    }
+    await recordModerationEvent({ stage, phoneNumber, jobId, reason: 'MODERATION_UNAVAILABLE', details: { provider, error: error.message } });
+    return { allowed: false, provider, flagged: [], reason: 'MODERATION_UNAVAILABLE' };
+  }
+
+  const flagged = Object.entries(thresholds)
+    .filter(([category, threshold]) => Number(scores?.[category]) >= threshold)
+    .map(([category]) => ({ category, score: Number(scores[category]) }));
+
+  if (flagged.length > 0) {
+    await recordModerationEvent({ stage, phoneNumber, jobId, reason: 'POLICY_VIOLATION', details: { provider, flagged } });
+    return { allowed: false, provider, flagged, reason: 'POLICY_VIOLATION' };
+  }
+
+  return { allowed: true, provider, flagged: [] };
+}
@@ -0,0 +1,71 @@
+// Payment provider events for credit top-ups
+// PAYMENT_PROVIDER selects how /api/payments-webhook reads events:
+//   razorpay  Razorpay `payment.captured` webhooks; the phone number comes from
+//             the payment notes (notes.phone) or the payer's contact
+//   local     a stand-in for development and tests:
+//             { "event": "payment.captured", "id": "...", "phone": "...", "amount": 50000, "currency": "INR" }
+// Amounts are in minor units (paise); every CREDIT_PRICE_MINOR_UNITS buys one credit.
+
+import { normalizePhone } from './leads.js';
+
+const CREDIT_PRICE_MINOR_UNITS = parseInt(process.env.CREDIT_PRICE_MINOR_UNITS || '1000', 10);
+const CREDIT_CURRENCY = (process.env.CREDIT_CURRENCY || 'INR').toUpperCase();
+
+export function getPaymentProvider() {
+  return (process.env.PAYMENT_PROVIDER || 'razorpay').trim().toLowerCase();
+}
+
+function parseRazorpayEvent(body) {
+  if (body?.event !== 'payment.captured') return null;
+
+  const payment = body.payload?.payment?.entity || {};
+  return {
+    reference: payment.id,
+    phoneNumber: normalizePhone(payment.notes?.phone || payment.contact),
+    amount: payment.amount,
+    currency: payment.currency
+  };
+}
+
+function parseLocalEvent(body) {
+  if (body?.event !== 'payment.captured') return null;
+
+  return {
+    reference: body.id,
+    phoneNumber: normalizePhone(body.phone),
+    amount: body.amount,
+    currency: body.currency
+  };
+}
+
+const parsers = {
+  razorpay: parseRazorpayEvent,
+  local: parseLocalEvent
+};
+
+// Read a verified provider event.
+// Returns null for events that don't add credits, otherwise
+// { reference, phoneNumber, amount, currency, credits } or { error } when the payment can't be applied.
+export function parsePaymentEvent(provider, body) {
+  const parse = parsers[provider];
+  if (!parse) {
+    return { error: `Unknown payment provider: ${provider}` };
+  }
+
+  const payment = parse(body);
+  if (!payment) return null;
+
+  if (!payment.reference || !payment.phoneNumber) {
+    return { error: 'Payment is missing its id or phone number' };
+  }
+  if (String(payment.currency || '').toUpperCase() !== CREDIT_CURRENCY) {
+    return { error: `Unsupported currency: ${payment.currency}` };
+  }
+
+  const credits = Math.floor(Number(payment.amount) / CREDIT_PRICE_MINOR_UNITS);
+  if (!(credits > 0)) {
+    return { error: `Amount ${payment.amount} is below the price of one credit` };
+  }
+
+  return { ...payment, credits };
+}
@@ -0,0 +1,280 @@
+// Deterministic price badge compositing
+// The price is formatted by us (e.g. ₹1,299) and drawn onto the generated image
+// with a built-in 5x7 bitmap font, so digits and currency are always exact.
+// Defaults live in config/price-overlay.json; callers may override per image.
+
+import { readFileSync } from 'fs';
+import { decodeImage, encodeImage, canDecode } from './image-codec.js';
+
+const defaultConfig = JSON.parse(
+  readFileSync(new URL('../config/price-overlay.json', import.meta.url), 'utf8')
+);
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+const BADGES = ['pill', 'rounded', 'rect', 'circle', 'none'];
+const FONTS = ['pixel', 'pixel-bold'];
+
+// --- 5x7 bitmap font ---
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+const GLYPHS = {
+  '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+  '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+  '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+  '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+  '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+  '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+  '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+  '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+  '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+  '₹': ['#####', '...#.', '#####', '..#..', '##...', '..#..', '...##'],
+  '$': ['..#..', '.####', '#.#..', '.###.', '..#.#', '####.', '..#..'],
+  '€': ['..###', '.#...', '####.', '.#...', '####.', '.#...', '..###'],
+  '£': ['..##.', '.#..#', '.#...', '###..', '.#...', '.#..#', '#####'],
+  ',': ['.....', '.....', '.....', '.....', '.##..', '..#..', '.#...'],
+  '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+  '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+  '/': ['....#', '....#', '...#.', '..#..', '.#...', '#....', '#....'],
+  '%': ['##..#', '##..#', '...#.', '..#..', '.#...', '#..##', '#..##'],
+  ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+  '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+  '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+  ' ': ['.....', '.....', '.....', '.....', '.....', '.....', '.....'],
+  'A': ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  'B': ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+  'C': ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+  'D': ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+  'E': ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+  'F': ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+  'G': ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+  'H': ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+  'I': ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+  'J': ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+  'K': ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+  'L': ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+  'M': ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+  'N': ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+  'O': ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  'P': ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+  'Q': ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+  'R': ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+  'S': ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+  'T': ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+  'U': ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+  'V': ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+  'W': ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+  'X': ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+  'Y': ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+  'Z': ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####']
+};
+
+// --- Currency formatting ---
+const CURRENCY_MARKERS = [
+  { pattern: /₹|\brs\.?|\binr\b/i, currency: 'INR', locale: 'en-IN' },
+  { pattern: /\$|\busd\b/i, currency: 'USD', locale: 'en-US' },
+  { pattern: /€|\beur\b/i, currency: 'EUR', locale: 'en-IE' },
+  { pattern: /£|\bgbp\b/i, currency: 'GBP', locale: 'en-GB' }
+];
+
+// A price is a single plain amount: an optional currency marker, digits with
+// optional grouping separators and decimals, and the Indian "/-" suffix.
+// Anything else ("50% off", "2 for 999", "1.5k") is not parsed.
+const CURRENCY_PATTERN = String.raw`(?:₹|rs\.?|inr|\$|usd|€|eur|£|gbp)`;
+const PLAIN_PRICE_PATTERN = new RegExp(
+  String.raw`^${CURRENCY_PATTERN}?\s*(\d{1,3}(?:,\d{2,3})+|\d+)(\.\d{1,2})?\s*(?:\/-)?\s*${CURRENCY_PATTERN}?$`,
+  'iu'
+);
+
+// Format a plain price ("1299", "Rs 1299/-", "₹1,299.00") as currency text.
+// Returns null when the input is anything but a single amount; callers then show
+// the text as the customer wrote it rather than guess a number out of it.
+export function formatPrice(rawPrice, options = {}) {
+  if (!rawPrice || typeof rawPrice !== 'string') return null;
+
+  const match = rawPrice.trim().match(PLAIN_PRICE_PATTERN);
+  if (!match) return null;
+
+  const amount = parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+  const marker = CURRENCY_MARKERS.find((m) => m.pattern.test(rawPrice));
+  const currency = marker?.currency || options.currency || defaultConfig.currency;
+  const locale = marker?.locale || options.locale || defaultConfig.locale;
+  const hasFraction = amount % 1 !== 0;
+
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: hasFraction ? 2 : 0,
+    maximumFractionDigits: hasFraction ? 2 : 0
+  }).format(amount);
+}
+
+// Text for the badge: the formatted price, or the customer's own text
+// (already sanitized) when it isn't a plain amount
+export function getPriceBadgeText(rawPrice, options = {}) {
+  if (!rawPrice || typeof rawPrice !== 'string' || !rawPrice.trim()) return null;
+  return formatPrice(rawPrice, options) || rawPrice.replace(/\s+/g, ' ').trim();
+}
+
+function resolveConfig(overrides = {}) {
+  const config = { ...defaultConfig, ...overrides };
+  if (!POSITIONS.includes(config.position)) config.position = defaultConfig.position;
+  if (!BADGES.includes(config.badge)) config.badge = defaultConfig.badge;
+  if (!FONTS.includes(config.font)) config.font = defaultConfig.font;
+  return config;
+}
+
+// Describe where the badge goes so the prompt can ask the model to keep it clear
+export function describeOverlayPosition(overrides = {}) {
+  const { position } = resolveConfig(overrides);
+  return position === 'center' ? 'center' : `${position.replace('-', ' ')} corner`;
+}
+
+function parseHexColor(hex) {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map((i) => parseInt(value.substring(i, i + 2), 16));
+}
+
+// Alpha-blend a colour into the RGBA buffer at (x, y)
+function blendPixel(image, x, y, rgb, alpha) {
+  if (alpha <= 0 || x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+  const idx = (image.width * y + x) << 2;
+  for (let c = 0; c < 3; c++) {
+    image.data[idx + c] = Math.round(rgb[c] * alpha + image.data[idx + c] * (1 - alpha));
+  }
+  image.data[idx + 3] = Math.max(image.data[idx + 3], Math.round(alpha * 255));
+}
+
+// Signed-distance anti-aliased rounded rectangle
+function drawRoundedRect(image, left, top, width, height, radius, rgb, opacity) {
+  const cx = left + width / 2;
+  const cy = top + height / 2;
+  const hx = width / 2 - radius;
+  const hy = height / 2 - radius;
+
+  for (let y = Math.floor(top); y < Math.ceil(top + height); y++) {
+    for (let x = Math.floor(left); x < Math.ceil(left + width); x++) {
+      const qx = Math.abs(x + 0.5 - cx) - hx;
+      const qy = Math.abs(y + 0.5 - cy) - hy;
+      const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0));
+      const distance = outside + Math.min(Math.max(qx, qy), 0) - radius;
+      const coverage = Math.min(1, Math.max(0, 0.5 - distance));
+      blendPixel(image, x, y, rgb, coverage * opacity);
+    }
+  }
+}
+
+function measureText(text, scale, bold) {
+  const advance = (GLYPH_WIDTH + 1 + (bold ? 1 : 0)) * scale;
+  return { width: text.length * advance - scale, height: GLYPH_HEIGHT * scale, advance };
+}
+
+function drawText(image, text, left, top, scale, bold, rgb) {
+  const { advance } = measureText(text, scale, bold);
+
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    const originX = left + index * advance;
+
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+        if (row[gx] !== '#') continue;
+        const strokeWidth = bold ? 2 : 1;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale * strokeWidth; dx++) {
+            blendPixel(image, originX + gx * scale + dx, top + gy * scale + dy, rgb, 1);
+          }
+        }
+      }
+    });
+  });
+}
+
+// Draw the price badge onto decoded RGBA image data (mutates image)
+export function drawPriceBadge(image, text, overrides = {}) {
+  const config = resolveConfig(overrides);
+  const bold = config.font === 'pixel-bold';
+
+  let scale = Math.max(1, Math.round((image.width * config.size) / GLYPH_HEIGHT));
+  let metrics;
+  let padX;
+  let padY;
+  let badgeWidth;
+  let badgeHeight;
+
+  // Shrink the text until the badge fits inside the margins
+  const margin = Math.round(image.width * config.margin);
+  for (; scale >= 1; scale--) {
+    metrics = measureText(text, scale, bold);
+    padX = Math.round(metrics.height * 0.6);
+    padY = Math.round(metrics.height * 0.4);
+    badgeWidth = metrics.width + padX * 2;
+    badgeHeight = metrics.height + padY * 2;
+    if (config.badge === 'circle') {
+      badgeWidth = badgeHeight = Math.max(badgeWidth, badgeHeight);
+    }
+    if (badgeWidth + margin * 2 <= image.width && badgeHeight + margin * 2 <= image.height) break;
+  }
+  scale = Math.max(scale, 1);
+
+  const [vertical, horizontal] = config.position === 'center'
+    ? ['center', 'center']
+    : config.position.split('-');
+
+  const left = horizontal === 'left' ? margin
+    : horizontal === 'right' ? image.width - margin - badgeWidth
+    : Math.round((image.width - badgeWidth) / 2);
+  const top = vertical === 'top' ? margin
+    : vertical === 'bottom' ? image.height - margin - badgeHeight
+    : Math.round((image.height - badgeHeight) / 2);
+
+  if (config.badge !== 'none') {
+    const radius = config.badge === 'pill' || config.badge === 'circle' ? badgeHeight / 2
+      : config.badge === 'rounded' ? badgeHeight / 4
+      : 0;
+    drawRoundedRect(image, left, top, badgeWidth, badgeHeight, Math.min(radius, badgeWidth / 2),
+      parseHexColor(config.badgeColor), config.badgeOpacity);
+  }
+
+  const textLeft = left + Math.round((badgeWidth - metrics.width) / 2);
+  const textTop = top + Math.round((badgeHeight - metrics.height) / 2);
+  drawText(image, text, textLeft, textTop, scale, bold, parseHexColor(config.textColor));
+
+  return { left, top, width: badgeWidth, height: badgeHeight, scale };
+}
+
+// Composite the formatted price onto a generated image.
+// Returns { base64, mimeType, priceText, applied }; the image is unchanged when
+// the overlay is disabled, the text has characters the font lacks or the format is unsupported.
+export function applyPriceOverlay(generated, rawPrice, overrides = {}) {
+  const config = resolveConfig(overrides);
+  const priceText = getPriceBadgeText(rawPrice, config);
+
+  if (!config.enabled || !priceText) {
+    return { ...generated, priceText, applied: false };
+  }
+
+  const text = priceText.replace(/[\u00a0\u202f]/g, ' ').toUpperCase();
+  const missing = [...text].filter((char) => !GLYPHS[char]);
+  if (missing.length > 0) {
+    console.warn('⚠️ Price overlay skipped; no glyphs for:', missing.join(''));
+    return { ...generated, priceText, applied: false };
+  }
+
+  if (!canDecode(generated.mimeType)) {
+    console.warn('⚠️ Price overlay skipped; cannot decode', generated.mimeType);
+    return { ...generated, priceText, applied: false };
+  }
+
+  const image = decodeImage(Buffer.from(generated.base64, 'base64'), generated.mimeType);
+  const badge = drawPriceBadge(image, text, config);
+  console.log('🏷️ Price overlay applied:', { priceText, ...badge });
+
+  return {
+    base64: encodeImage(image, generated.mimeType).toString('base64'),
+    mimeType: generated.mimeType,
+    priceText,
+    applied: true
+  };
+}
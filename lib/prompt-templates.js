@@ -0,0 +1,173 @@
+// Category-aware, versioned prompt templates
+// config/prompt-templates.json maps free-text product categories onto a
+// normalized category (food, apparel, jewellery, ...) and lists weighted
+// template versions for each. Templates use {{variable}} placeholders; the
+// chosen version id is stored with every generation so output quality can be
+// compared between versions.
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { describeOverlayPosition } from './price-overlay.js';
+
+const catalog = JSON.parse(
+  readFileSync(new URL('../config/prompt-templates.json', import.meta.url), 'utf8')
+);
+
+export const DEFAULT_CATEGORY = 'default';
+
+const TEMPLATE_VARIABLES = ['category', 'scene', 'angles', 'variation', 'price_space', 'instruction'];
+
+// Refuse to start with a catalog that would silently produce bad prompts
+function validateTemplateList(key, versions) {
+  if (!Array.isArray(versions) || versions.length === 0) {
+    throw new Error(`Prompt templates for "${key}" must be a non-empty list`);
+  }
+
+  for (const entry of versions) {
+    if (!entry.version || !entry.template || !(entry.weight > 0)) {
+      throw new Error(`Prompt template in "${key}" needs a version, a template and a positive weight`);
+    }
+
+    const unknown = [...entry.template.matchAll(/\{\{(\w+)\}\}/g)]
+      .map((match) => match[1])
+      .filter((name) => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Prompt template ${entry.version} uses unknown variable(s): ${unknown.join(', ')}`);
+    }
+  }
+}
+
+if (!catalog.templates?.[DEFAULT_CATEGORY]) {
+  throw new Error('Prompt templates must define a "default" category');
+}
+Object.entries(catalog.templates).forEach(([key, versions]) => validateTemplateList(key, versions));
+validateTemplateList('final', catalog.final);
+validateTemplateList('edit', catalog.edit);
+
+// alias -> normalized category, in catalog order
+const aliases = Object.entries(catalog.categories || {}).flatMap(([key, words]) =>
+  words.map((word) => [word.toLowerCase(), key])
+);
+const aliasLookup = new Map([...aliases].reverse());
+const MAX_ALIAS_WORDS = Math.max(1, ...aliases.map(([alias]) => alias.split(' ').length));
+
+// Map free text such as "Silk Sarees" or "gold earrings" onto a template category.
+// Aliases match whole words and phrases only, so "cooking oil" is food and
+// "hair oil" beauty. A longer phrase wins over the words in it; among phrases of
+// the same length the last one wins, since the product usually comes last
+// ("laptop bag", "gold earrings").
+export function normalizeCategory(productCategory) {
+  const text = String(productCategory || '').toLowerCase().replace(/[^a-z0-9\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return DEFAULT_CATEGORY;
+
+  if (aliasLookup.has(text)) return aliasLookup.get(text);
+
+  const words = text.split(' ');
+  for (let size = Math.min(MAX_ALIAS_WORDS, words.length); size >= 1; size--) {
+    for (let start = words.length - size; start >= 0; start--) {
+      const phrase = words.slice(start, start + size).join(' ');
+      // Plurals: "sarees", "watches", "earrings"
+      for (const candidate of [phrase, phrase.replace(/(es|s)$/, ''), phrase.replace(/s$/, '')]) {
+        if (aliasLookup.has(candidate)) return aliasLookup.get(candidate);
+      }
+    }
+  }
+
+  return DEFAULT_CATEGORY;
+}
+
+// Weighted A/B pick. The same assignmentKey (the job id) always gets the same
+// version, so retries and every candidate of a variants set share one template.
+export function selectTemplateVersion(versions, assignmentKey) {
+  const totalWeight = versions.reduce((sum, entry) => sum + entry.weight, 0);
+  const point = assignmentKey
+    ? createHash('sha256').update(String(assignmentKey)).digest().readUInt32BE(0) % totalWeight
+    : Math.random() * totalWeight;
+
+  let cumulative = 0;
+  for (const entry of versions) {
+    cumulative += entry.weight;
+    if (point < cumulative) return entry;
+  }
+  return versions[versions.length - 1];
+}
+
+export function renderTemplate(template, variables) {
+  return template
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => variables[name] || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Build the generation prompt for a product.
+// Returns { prompt, promptVersion, promptCategory }.
+export function buildProductPrompt({
+  productCategory,
+  sceneDescription = null,
+  scenePreset = null,
+  priceOverlay = null,
+  imageCount = 1,
+  variationHint = null,
+  assignmentKey = null
+}) {
+  const promptCategory = normalizeCategory(productCategory);
+  const versions = catalog.templates[promptCategory] || catalog.templates[DEFAULT_CATEGORY];
+  const entry = selectTemplateVersion(versions, assignmentKey ? `${assignmentKey}:${promptCategory}` : null);
+
+  let scene = entry.defaultScene || '';
+  if (scenePreset) {
+    scene = `${scenePreset.prompt}.`;
+    if (sceneDescription && sceneDescription.trim()) {
+      scene += ` Additional scene details: ${sceneDescription}.`;
+    }
+  } else if (sceneDescription && sceneDescription.trim()) {
+    scene = `Show it in this setting: ${sceneDescription}.`;
+  }
+
+  // The price badge is composited afterwards by lib/price-overlay.js; the model only keeps room for it
+  const priceSpace = priceOverlay && priceOverlay.trim()
+    ? `Leave clean, uncluttered space in the ${describeOverlayPosition()} for a price tag that will be added later. Do not draw any text, numbers, prices or labels on the image.`
+    : '';
+
+  const prompt = renderTemplate(entry.template, {
+    category: productCategory,
+    scene,
+    angles: imageCount > 1
+      ? `The ${imageCount} attached photos show the same product from different angles; use all of them as reference and produce one single image.`
+      : '',
+    variation: variationHint ? `${variationHint}.` : '',
+    price_space: priceSpace
+  });
+
+  return { prompt, promptVersion: entry.version, promptCategory };
+}
+
+// Prompt for re-rendering a chosen candidate at high resolution
+export function buildFinalPrompt({ productCategory, assignmentKey = null }) {
+  const entry = selectTemplateVersion(catalog.final, assignmentKey);
+  return {
+    prompt: renderTemplate(entry.template, { category: productCategory }),
+    promptVersion: entry.version,
+    promptCategory: normalizeCategory(productCategory)
+  };
+}
+
+// Prompt for a customer's edit of a delivered image.
+// The attached images are the product photos followed by the image being edited.
+export function buildEditPrompt({ productCategory, instruction, priceOverlay = null, imageCount = 2, assignmentKey = null }) {
+  const entry = selectTemplateVersion(catalog.edit, assignmentKey);
+  const photoCount = imageCount - 1;
+
+  const prompt = renderTemplate(entry.template, {
+    category: productCategory,
+    instruction: instruction.replace(/[.!?\s]+$/, ''),
+    angles: photoCount > 0
+      ? `The ${photoCount === 1 ? 'first attached photo is' : `first ${photoCount} attached photos are`} the original product; keep the product true to ${photoCount === 1 ? 'it' : 'them'}.`
+      : '',
+    price_space: priceOverlay && priceOverlay.trim()
+      ? `Leave clean, uncluttered space in the ${describeOverlayPosition()} for a price tag that will be added later. Do not draw any text, numbers, prices or labels on the image.`
+      : 'Do not add any text, numbers, prices or labels.'
+  });
+
+  return { prompt, promptVersion: entry.version, promptCategory: normalizeCategory(productCategory) };
+}
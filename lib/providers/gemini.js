@@ -0,0 +1,79 @@
+// Gemini image provider (generateContent with inline image parts)
+
+const GEMINI_IMAGE_MODEL = process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image-preview';
+// High-resolution finals need a model that accepts imageConfig.imageSize
+const GEMINI_HD_IMAGE_MODEL = process.env.GEMINI_HD_IMAGE_MODEL || 'gemini-3-pro-image-preview';
+const GEMINI_HD_IMAGE_SIZE = process.env.GEMINI_HD_IMAGE_SIZE || '2K';
+
+export const geminiProvider = {
+  name: 'gemini',
+
+  async generateImage({ prompt, images, seed, highRes }) {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error("Missing GEMINI_API_KEY environment variable");
+    }
+
+    const model = highRes ? GEMINI_HD_IMAGE_MODEL : GEMINI_IMAGE_MODEL;
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+
+    const requestBody = {
+      contents: [
+        {
+          parts: [
+            { text: prompt },
+            ...images.map((image) => ({
+              inlineData: {
+                mimeType: image.mimeType || "image/jpeg",
+                data: image.base64
+              }
+            }))
+          ]
+        }
+      ],
+      generationConfig: {
+        temperature: 0.8,
+        maxOutputTokens: 1024,
+        topP: 0.9,
+        topK: 40,
+        ...(Number.isInteger(seed) && { seed }),
+        ...(highRes && { imageConfig: { imageSize: GEMINI_HD_IMAGE_SIZE } })
+      }
+    };
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(requestBody)
+    });
+
+    console.log("Gemini response status:", response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("Gemini API error response:", errorText);
+      throw new Error(`Gemini API failed (${response.status}): ${errorText}`);
+    }
+
+    const responseData = await response.json();
+    const candidate = responseData?.candidates?.[0];
+    if (!candidate?.content?.parts) {
+      throw new Error("No response parts found in Gemini API response");
+    }
+
+    const imagePart = candidate.content.parts.find((p) => p.inlineData);
+    if (imagePart) {
+      return {
+        base64: imagePart.inlineData.data,
+        mimeType: imagePart.inlineData.mimeType
+      };
+    }
+
+    const textPart = candidate.content.parts.find((p) => p.text);
+    if (textPart) {
+      throw new Error(`Model returned text instead of image: ${textPart.text}`);
+    }
+
+    throw new Error("No image data found in Gemini API response");
+  }
+};
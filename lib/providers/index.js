@@ -0,0 +1,51 @@
+// Image-generation provider registry
+// Each provider implements generateImage({ prompt, images: [{ base64, mimeType }], seed, highRes })
+// and resolves to { base64, mimeType }, throwing when it errors or returns no image.
+// seed (variation) and highRes (final renders) are hints; providers ignore what they can't honour.
+// IMAGE_PROVIDERS sets the ordered chain per deployment, e.g. "gemini,openai".
+
+import { geminiProvider } from './gemini.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+
+const providers = {
+  [geminiProvider.name]: geminiProvider,
+  [openaiProvider.name]: openaiProvider,
+  [mockProvider.name]: mockProvider
+};
+
+export function getProviderChain() {
+  const names = (process.env.IMAGE_PROVIDERS || 'gemini')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !providers[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown image provider(s) in IMAGE_PROVIDERS: ${unknown.join(', ')}`);
+  }
+
+  return names.map((name) => providers[name]);
+}
+
+// Try each provider in order until one returns an image
+export async function generateWithFallback(request) {
+  const chain = getProviderChain();
+  const failures = [];
+
+  for (const provider of chain) {
+    try {
+      console.log(`🎨 Generating with provider: ${provider.name}`);
+      const result = await provider.generateImage(request);
+      if (!result?.base64) {
+        throw new Error('Provider returned no image data');
+      }
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      console.error(`⚠️ Provider ${provider.name} failed:`, error.message);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All image providers failed (${failures.join(' | ')})`);
+}
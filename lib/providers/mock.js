@@ -0,0 +1,47 @@
+// Local deterministic mock provider for tests and development
+// Produces a gradient PNG whose colours are derived from a hash of the prompt
+// and input images, so the same request always yields the same bytes.
+// Set MOCK_PROVIDER_MODE=text or =error to exercise the fallback chain.
+
+import { createHash } from 'crypto';
+import { PNG } from 'pngjs';
+
+const MOCK_IMAGE_SIZE = 256;
+const MOCK_HD_IMAGE_SIZE = 512;
+
+export const mockProvider = {
+  name: 'mock',
+
+  async generateImage({ prompt, images, seed, highRes }) {
+    const mode = process.env.MOCK_PROVIDER_MODE;
+    if (mode === 'error') {
+      throw new Error('Mock provider failure');
+    }
+    if (mode === 'text') {
+      throw new Error('Model returned text instead of image: mock text response');
+    }
+
+    const hash = createHash('sha256').update(prompt);
+    images.forEach((image) => hash.update(image.base64));
+    if (Number.isInteger(seed)) hash.update(String(seed));
+    const digest = hash.digest();
+
+    const size = highRes ? MOCK_HD_IMAGE_SIZE : MOCK_IMAGE_SIZE;
+    const png = new PNG({ width: size, height: size });
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const idx = (size * y + x) << 2;
+        const t = (x + y) / (2 * size);
+        png.data[idx] = Math.round(digest[0] * (1 - t) + digest[3] * t);
+        png.data[idx + 1] = Math.round(digest[1] * (1 - t) + digest[4] * t);
+        png.data[idx + 2] = Math.round(digest[2] * (1 - t) + digest[5] * t);
+        png.data[idx + 3] = 255;
+      }
+    }
+
+    return {
+      base64: PNG.sync.write(png).toString('base64'),
+      mimeType: 'image/png'
+    };
+  }
+};
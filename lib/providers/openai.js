@@ -0,0 +1,73 @@
+// OpenAI-images-compatible provider (POST /images/edits)
+// Works with OpenAI and any gateway exposing the same API via OPENAI_BASE_URL.
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const OPENAI_IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+const OPENAI_IMAGE_SIZE = process.env.OPENAI_IMAGE_SIZE || '1024x1024';
+const OPENAI_HD_IMAGE_SIZE = process.env.OPENAI_HD_IMAGE_SIZE || '1536x1024';
+
+export const openaiProvider = {
+  name: 'openai',
+
+  async generateImage({ prompt, images, highRes }) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error("Missing OPENAI_API_KEY environment variable");
+    }
+
+    const form = new FormData();
+    form.append('model', OPENAI_IMAGE_MODEL);
+    form.append('prompt', prompt);
+    form.append('size', highRes ? OPENAI_HD_IMAGE_SIZE : OPENAI_IMAGE_SIZE);
+    if (highRes) {
+      form.append('quality', 'high');
+    }
+    form.append('n', '1');
+
+    images.forEach((image, index) => {
+      const mimeType = image.mimeType || 'image/jpeg';
+      const ext = mimeType.split('/')[1] || 'jpg';
+      const blob = new Blob([Buffer.from(image.base64, 'base64')], { type: mimeType });
+      form.append(images.length > 1 ? 'image[]' : 'image', blob, `product-${index + 1}.${ext}`);
+    });
+
+    const response = await fetch(`${OPENAI_BASE_URL}/images/edits`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body: form
+    });
+
+    console.log("OpenAI images response status:", response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("OpenAI images API error response:", errorText);
+      throw new Error(`OpenAI images API failed (${response.status}): ${errorText}`);
+    }
+
+    const responseData = await response.json();
+    const result = responseData?.data?.[0];
+
+    if (result?.b64_json) {
+      return { base64: result.b64_json, mimeType: 'image/png' };
+    }
+
+    // Some compatible gateways only return a URL
+    if (result?.url) {
+      const imageResponse = await fetch(result.url);
+      if (!imageResponse.ok) {
+        throw new Error(`Failed to fetch generated image: ${imageResponse.status}`);
+      }
+      return {
+        base64: Buffer.from(await imageResponse.arrayBuffer()).toString('base64'),
+        mimeType: imageResponse.headers.get('content-type') || 'image/png'
+      };
+    }
+
+    if (result?.revised_prompt) {
+      throw new Error(`Model returned text instead of image: ${result.revised_prompt}`);
+    }
+
+    throw new Error("No image data found in OpenAI images API response");
+  }
+};
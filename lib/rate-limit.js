@@ -0,0 +1,133 @@
+// Per-customer and global limits on image generation
+// Limits are rolling windows over the images customers claimed (rate_limit_claims;
+// a variant set claims one per candidate), so they hold across function instances.
+// claimRateLimit checks and records a claim atomically in the claim_rate_limit RPC,
+// so concurrent submissions can't overshoot a limit. Each limit is configurable
+// and 0 turns it off:
+//   RATE_LIMIT_DAILY_PER_PHONE     images per phone per 24 hours
+//   RATE_LIMIT_BURST_PER_PHONE     images per phone per RATE_LIMIT_BURST_WINDOW_MINUTES
+//   RATE_LIMIT_DAILY_GLOBAL        images across all customers per 24 hours
+// Phones in RATE_LIMIT_EXEMPT_PHONES (comma-separated) are never limited.
+
+import { getSupabaseClient } from './supabase.js';
+import { normalizePhone } from './leads.js';
+
+const CLAIMS_TABLE = 'rate_limit_claims';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const LIMITS = [
+  {
+    reason: 'BURST_LIMIT',
+    perPhone: true,
+    limit: parseInt(process.env.RATE_LIMIT_BURST_PER_PHONE || '3', 10),
+    windowMs: parseInt(process.env.RATE_LIMIT_BURST_WINDOW_MINUTES || '10', 10) * 60 * 1000
+  },
+  {
+    reason: 'DAILY_LIMIT',
+    perPhone: true,
+    limit: parseInt(process.env.RATE_LIMIT_DAILY_PER_PHONE || '5', 10),
+    windowMs: DAY_MS
+  },
+  {
+    reason: 'GLOBAL_LIMIT',
+    perPhone: false,
+    limit: parseInt(process.env.RATE_LIMIT_DAILY_GLOBAL || '1000', 10),
+    windowMs: DAY_MS
+  }
+];
+
+const EXEMPT_PHONES = new Set(
+  (process.env.RATE_LIMIT_EXEMPT_PHONES || '').split(',').map(normalizePhone).filter(Boolean)
+);
+
+function describeWait(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  if (minutes < 60) return minutes === 1 ? 'a minute' : `about ${minutes} minutes`;
+  const hours = Math.round(minutes / 60);
+  return hours === 1 ? 'about an hour' : `about ${hours} hours`;
+}
+
+function limitMessage({ reason, limit }, available, waitMs) {
+  if (available > 0) {
+    return `You can create ${available} more image${available === 1 ? '' : 's'} right now. Please send fewer photos and try again.`;
+  }
+  switch (reason) {
+    case 'BURST_LIMIT':
+      return `You're creating images very quickly. Please wait ${describeWait(waitMs)} and try again.`;
+    case 'DAILY_LIMIT':
+      return `You've reached your limit of ${limit} images per day. You can create more in ${describeWait(waitMs)}.`;
+    default:
+      return `We're receiving a lot of requests right now. Please try again in ${describeWait(waitMs)}.`;
+  }
+}
+
+async function applyRateLimit(phoneNumber, images, claim) {
+  if (EXEMPT_PHONES.has(normalizePhone(phoneNumber))) {
+    return { allowed: true, exempt: true };
+  }
+
+  const rules = LIMITS.filter((rule) => rule.limit > 0);
+  const supabase = getSupabaseClient();
+  if (rules.length === 0 || !supabase) {
+    return { allowed: true };
+  }
+
+  const { data, error } = await supabase.rpc('claim_rate_limit', {
+    p_phone: phoneNumber,
+    p_images: images,
+    p_rules: rules.map((rule) => ({
+      reason: rule.reason,
+      per_phone: rule.perPhone,
+      limit: rule.limit,
+      window_seconds: Math.round(rule.windowMs / 1000)
+    })),
+    p_claim: claim
+  });
+
+  if (error) {
+    // Job creation reports a database outage on its own; don't turn it into a limit
+    console.error('⚠️ Rate limit check failed, allowing request:', error.message);
+    return { allowed: true };
+  }
+
+  if (data.allowed) {
+    return claim ? { allowed: true, claimId: data.claim_id } : { allowed: true };
+  }
+
+  const rule = rules.find((candidate) => candidate.reason === data.reason);
+  const available = Math.max(0, rule.limit - data.used);
+  const waitMs = data.oldest_at ? Date.parse(data.oldest_at) + rule.windowMs - Date.now() : rule.windowMs;
+  console.warn('🚦 Rate limit reached:', { phoneNumber, reason: rule.reason, used: data.used, requested: images, limit: rule.limit });
+
+  return {
+    allowed: false,
+    reason: rule.reason,
+    message: limitMessage(rule, available, waitMs),
+    retryAfterSeconds: available > 0 ? 0 : Math.max(1, Math.ceil(waitMs / 1000))
+  };
+}
+
+// Check whether a phone may start `images` more images, without using them up.
+// Returns { allowed: true } or { allowed: false, reason, message, retryAfterSeconds }
+// where message is meant for the customer.
+export async function checkRateLimit(phoneNumber, images = 1) {
+  return applyRateLimit(phoneNumber, images, false);
+}
+
+// Check and use up `images` images in one step, right before the jobs are created.
+// Returns the checkRateLimit result, with the claimId to release when the jobs are not created after all.
+export async function claimRateLimit(phoneNumber, images = 1) {
+  return applyRateLimit(phoneNumber, images, true);
+}
+
+// Give back a claim whose jobs were not created or not paid for
+export async function releaseRateLimit(claimId) {
+  const supabase = getSupabaseClient();
+  if (!claimId || !supabase) return;
+
+  const { error } = await supabase.from(CLAIMS_TABLE).delete().eq('id', claimId);
+  if (error) {
+    console.error(`⚠️ Failed to release rate limit claim ${claimId}:`, error.message);
+  }
+}
@@ -0,0 +1,67 @@
+// Result cache: reuse a stored output when a customer submits the same photo with the same options
+// The key combines the customer's phone number and the SHA-256 of every input
+// photo (WhatsApp's plaintext_hash) with the category, scene, price and the
+// prompt template version the job is assigned, so a template change never
+// serves stale renders and one customer's outputs are never handed to another.
+// The version is assigned by customer and photos rather than job id, so a repeat
+// submission lands on the same version and can hit the cache.
+// Only single-image jobs are cached; variant sets and high-resolution finals
+// always render. The Flow looks the cache up at submission and doesn't charge
+// for a hit; a job the worker serves from the cache gets its credits back.
+
+import { createHash } from 'crypto';
+import { findCachedJob } from './jobs.js';
+import { buildProductPrompt } from './prompt-templates.js';
+import { getScenePreset } from './scene-presets.js';
+
+// 0 disables the cache
+const MAX_AGE_HOURS = parseInt(process.env.RESULT_CACHE_MAX_AGE_HOURS || '720', 10);
+
+// SHA-256 of image bytes in the format WhatsApp uses for plaintext_hash
+export function hashImage(base64) {
+  return createHash('sha256').update(Buffer.from(base64, 'base64')).digest('base64');
+}
+
+// A/B assignment key for a job's prompt template version: the customer and their
+// photos, falling back to the job id for jobs without input hashes (edits)
+export function getPromptAssignmentKey(job) {
+  return job.input_hashes?.length ? `${job.phone_number}:${job.input_hashes.join(',')}` : job.id;
+}
+
+// Cache key for a job (or a job about to be created), or null when the job can't be served from the cache
+export function getResultCacheKey(job) {
+  const { productCategory, sceneDescription, scenePreset, priceOverlay, finalOf, editOf } = job.params || {};
+  if (MAX_AGE_HOURS <= 0 || job.variant_count > 1 || finalOf || editOf || !job.input_hashes?.length) {
+    return null;
+  }
+
+  const { promptVersion } = buildProductPrompt({
+    productCategory,
+    sceneDescription: sceneDescription || null,
+    scenePreset: getScenePreset(scenePreset),
+    priceOverlay: priceOverlay || null,
+    imageCount: job.input_hashes.length,
+    assignmentKey: getPromptAssignmentKey(job)
+  });
+
+  return createHash('sha256').update(JSON.stringify({
+    phone: job.phone_number,
+    inputs: job.input_hashes,
+    category: String(productCategory || '').trim().toLowerCase(),
+    scene: sceneDescription || null,
+    scenePreset: scenePreset || null,
+    price: priceOverlay || null,
+    promptVersion
+  })).digest('hex');
+}
+
+// Earlier job holding a stored output for this key, unless the job asks for a fresh render
+export async function findCachedResult(job, cacheKey) {
+  if (!cacheKey || job.params?.forceFresh) return null;
+
+  const cached = await findCachedJob(cacheKey, MAX_AGE_HOURS);
+  if (cached) {
+    console.log(`♻️ Cache hit for ${job.id ? `job ${job.id}` : 'submission'}: reusing output of job ${cached.id}`);
+  }
+  return cached;
+}
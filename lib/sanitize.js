@@ -0,0 +1,133 @@
+// Sanitization of the free-text Flow fields that end up in the prompt
+// Text is normalized, control and zero-width characters are removed, length
+// and character limits from config/moderation-policy.json are enforced, and
+// sentences that read like instructions to the model are stripped. Terms the
+// policy blocks reject the field outright.
+
+import { readFileSync } from 'fs';
+
+const policy = JSON.parse(
+  readFileSync(new URL('../config/moderation-policy.json', import.meta.url), 'utf8')
+).text;
+
+const fieldRules = Object.fromEntries(
+  Object.entries(policy.fields || {}).map(([field, rule]) => [
+    field,
+    { maxLength: rule.maxLength, allowed: rule.allowed ? new RegExp(rule.allowed, 'u') : null }
+  ])
+);
+
+const injectionPatterns = (policy.injectionPatterns || []).map((pattern) => new RegExp(pattern, 'iu'));
+
+const blockedTerms = (policy.blockedTerms || []).map((term) => ({
+  term,
+  pattern: new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')}s?\\b`, 'iu')
+}));
+
+// Human-readable field names for error messages
+const FIELD_LABELS = {
+  product_category: 'Product category',
+  scene_description: 'Scene description',
+  price_overlay: 'Price',
+  edit_instruction: 'Your change'
+};
+
+// Control characters (tab and line breaks aside), zero-width and bidi overrides
+function isInvisible(char) {
+  const code = char.codePointAt(0);
+  return (code <= 0x1f && code !== 0x09 && code !== 0x0a && code !== 0x0d)
+    || code === 0x7f
+    || (code >= 0x200b && code <= 0x200f)
+    || (code >= 0x202a && code <= 0x202e)
+    || (code >= 0x2060 && code <= 0x2064)
+    || code === 0xfeff;
+}
+
+function normalizeText(value) {
+  return Array.from(String(value).normalize('NFKC'))
+    .filter((char) => !isInvisible(char))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isInstructionLike(text) {
+  return injectionPatterns.some((pattern) => pattern.test(text));
+}
+
+// Sanitize one Flow field.
+// Returns { value, stripped } on success or { blocked: true, reason, message } when it must be re-entered.
+export function sanitizeField(field, rawValue) {
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return { value: null, stripped: false };
+  }
+
+  const label = FIELD_LABELS[field] || field;
+  const rule = fieldRules[field] || {};
+  let text = normalizeText(rawValue);
+
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return {
+      blocked: true,
+      reason: 'TOO_LONG',
+      message: `${label} is too long. Please keep it under ${rule.maxLength} characters.`
+    };
+  }
+
+  // Drop instruction-like sentences, keep the rest of the description
+  const sentences = text.split(/(?<=[.!?;\n])\s+/);
+  const kept = sentences.filter((sentence) => !isInstructionLike(sentence));
+  const stripped = kept.length !== sentences.length;
+  text = kept.join(' ');
+
+  if (stripped) {
+    console.warn(`🧹 Stripped instruction-like content from ${field}:`, { original: rawValue, sanitized: text });
+  }
+
+  if (text && rule.allowed && !rule.allowed.test(text)) {
+    return {
+      blocked: true,
+      reason: 'INVALID_CHARACTERS',
+      message: `${label} contains characters we can't use. Please use plain words and numbers.`
+    };
+  }
+
+  // Markup and template delimiters have no place in a product description
+  text = text.replace(/[`{}<>[\]]/g, '').trim();
+
+  if (!text) {
+    return {
+      blocked: true,
+      reason: stripped ? 'INSTRUCTION_LIKE' : 'EMPTY',
+      message: `${label} should only describe your product. Please rephrase it.`
+    };
+  }
+
+  const blockedTerm = blockedTerms.find(({ pattern }) => pattern.test(text));
+  if (blockedTerm) {
+    return {
+      blocked: true,
+      reason: 'BLOCKED_TERM',
+      term: blockedTerm.term,
+      message: `${label} includes content we can't create images for. Please change it and try again.`
+    };
+  }
+
+  return { value: text, stripped };
+}
+
+// Sanitize several fields at once; stops at the first blocked field
+// Returns { values } or { blocked: { field, reason, message } }.
+export function sanitizeFields(fields) {
+  const values = {};
+
+  for (const [field, rawValue] of Object.entries(fields)) {
+    const result = sanitizeField(field, rawValue);
+    if (result.blocked) {
+      return { blocked: { field, ...result } };
+    }
+    values[field] = result.value;
+  }
+
+  return { values };
+}
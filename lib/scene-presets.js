@@ -0,0 +1,34 @@
+// Scene style presets offered in the Flow
+// The catalog lives in config/scene-presets.json: each preset has an id, the
+// title/description shown in the Flow dropdown and a tuned prompt fragment.
+// The Flow receives the list in its data_exchange responses, so presets can be
+// added or retired here without republishing the Flow JSON.
+
+import { readFileSync } from 'fs';
+
+const catalog = JSON.parse(
+  readFileSync(new URL('../config/scene-presets.json', import.meta.url), 'utf8')
+);
+
+const presets = (catalog.presets || []).filter((preset) => preset.enabled !== false);
+const presetsById = new Map(presets.map((preset) => [preset.id, preset]));
+
+export function getScenePreset(id) {
+  return (id && presetsById.get(id)) || null;
+}
+
+// Dropdown data source for the Flow: [{ id, title, description }]
+export function getScenePresetOptions() {
+  return presets.map(({ id, title, description }) => ({
+    id,
+    title,
+    ...(description && { description })
+  }));
+}
+
+// The preset after id in catalog order (wrapping around), for "try another scene"
+export function getNextScenePreset(id) {
+  if (presets.length === 0) return null;
+  const index = presets.findIndex((preset) => preset.id === id);
+  return presets[(index + 1) % presets.length];
+}
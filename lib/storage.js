@@ -0,0 +1,119 @@
+// Supabase Storage helpers (S3-compatible API, SigV4)
+// The bucket is private. Objects are keyed per customer and per job:
+//   customers/<customer id>/jobs/<job id>/<kind>-<timestamp>-<random>.<ext>
+// where the customer id is a hash of the phone number, so keys never expose
+// it. Reads go through the S3 API; people get time-limited signed URLs that
+// the API creates on demand.
+
+import { createHash, randomUUID } from 'crypto';
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSupabaseClient } from './supabase.js';
+
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.SIGNED_URL_TTL_SECONDS || '3600', 10);
+
+let s3Client = null;
+
+function getBucket() {
+  return process.env.SUPABASE_S3_BUCKET || 'generated-images';
+}
+
+function getS3Client() {
+  if (s3Client) return s3Client;
+
+  const s3Endpoint = process.env.SUPABASE_S3_ENDPOINT; // e.g. https://<ref>.storage.supabase.co/storage/v1/s3
+  const s3Region = process.env.SUPABASE_S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.SUPABASE_S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.SUPABASE_S3_SECRET_ACCESS_KEY;
+
+  if (!s3Endpoint || !accessKeyId || !secretAccessKey) {
+    throw new Error('Missing SUPABASE_S3_ENDPOINT or S3 credentials');
+  }
+
+  s3Client = new S3Client({
+    region: s3Region,
+    endpoint: s3Endpoint,
+    credentials: { accessKeyId, secretAccessKey },
+    forcePathStyle: true
+  });
+  return s3Client;
+}
+
+// Stable, non-reversible folder name for a customer
+export function getCustomerStorageId(phoneNumber) {
+  return createHash('sha256').update(String(phoneNumber)).digest('hex').slice(0, 24);
+}
+
+export function buildJobObjectKey({ phoneNumber, jobId, kind, mimeType }) {
+  const ext = (mimeType && mimeType.split('/')[1]) || 'jpg';
+  // Several images of one job can be uploaded within the same millisecond (variants)
+  const filename = `${kind}-${Date.now()}-${randomUUID().slice(0, 8)}.${ext}`;
+  return `customers/${getCustomerStorageId(phoneNumber)}/jobs/${jobId}/${filename}`;
+}
+
+// Upload one image of a job to the private bucket and return its object key.
+// kind names the image within the job (output, source, variant-2, ...);
+// metadata (category, prompt version, ...) is stored as S3 object metadata next to the job id.
+export async function uploadJobImage({ base64Data, mimeType, phoneNumber, jobId, kind, metadata = {} }) {
+  if (!phoneNumber || !jobId || !kind) {
+    throw new Error('phoneNumber, jobId and kind are required to store a job image');
+  }
+
+  const key = buildJobObjectKey({ phoneNumber, jobId, kind, mimeType });
+
+  // Metadata travels as HTTP headers, so values are kept ASCII
+  const objectMetadata = Object.fromEntries(
+    Object.entries({ ...metadata, 'job-id': jobId, kind })
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([name, value]) => [name, encodeURIComponent(String(value))])
+  );
+
+  await getS3Client().send(new PutObjectCommand({
+    Bucket: getBucket(),
+    Key: key,
+    Body: Buffer.from(base64Data, 'base64'),
+    ContentType: mimeType || 'image/jpeg',
+    Metadata: objectMetadata
+  }));
+
+  console.log('Job image stored (S3):', key);
+  return key;
+}
+
+// Load a stored image back as { base64, mimeType }.
+// Accepts an object key, or the public URL recorded by jobs created before the bucket went private.
+export async function downloadStoredImage(keyOrUrl) {
+  if (/^https?:\/\//.test(keyOrUrl)) {
+    const response = await fetch(keyOrUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to download stored image (${response.status}): ${keyOrUrl}`);
+    }
+    return {
+      base64: Buffer.from(await response.arrayBuffer()).toString('base64'),
+      mimeType: response.headers.get('content-type') || 'image/jpeg'
+    };
+  }
+
+  const object = await getS3Client().send(new GetObjectCommand({ Bucket: getBucket(), Key: keyOrUrl }));
+  return {
+    base64: Buffer.from(await object.Body.transformToByteArray()).toString('base64'),
+    mimeType: object.ContentType || 'image/jpeg'
+  };
+}
+
+// Time-limited URL for one stored object; returns { url, expiresAt }
+export async function createSignedImageUrl(key, expiresInSeconds = SIGNED_URL_TTL_SECONDS) {
+  const supabase = getSupabaseClient();
+  if (!supabase) {
+    throw new Error('Signed URLs require SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  const { data, error } = await supabase.storage.from(getBucket()).createSignedUrl(key, expiresInSeconds);
+  if (error) {
+    throw new Error(`Failed to sign URL for ${key}: ${error.message}`);
+  }
+
+  return {
+    url: data.signedUrl,
+    expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString()
+  };
+}
@@ -0,0 +1,32 @@
+// Shared Supabase client for all API routes
+// Uses the service role key so server-side tables can stay behind RLS.
+
+import { createClient } from '@supabase/supabase-js';
+
+let supabaseClient = null;
+let warnedMissingConfig = false;
+
+// Lazily create a single client per function instance.
+// Returns null when Supabase is not configured so callers can degrade gracefully.
+export function getSupabaseClient() {
+  if (supabaseClient) {
+    return supabaseClient;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    if (!warnedMissingConfig) {
+      console.warn('⚠️ SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not set; database features disabled');
+      warnedMissingConfig = true;
+    }
+    return null;
+  }
+
+  supabaseClient = createClient(supabaseUrl, supabaseKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+
+  return supabaseClient;
+}
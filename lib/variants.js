@@ -0,0 +1,110 @@
+// Variants mode: render several candidates, let the customer pick one
+// Each candidate gets its own style hint and seed. The customer replies with
+// the option number; the pick is recorded on the job (so we can see which
+// styles convert) and a follow-up job renders the high-resolution final.
+
+import { createHash } from 'crypto';
+import {
+  createJob,
+  dispatchJob,
+  findJobAwaitingSelection,
+  recordVariantSelection,
+  JOB_STATUS
+} from './jobs.js';
+
+export const MAX_VARIANTS = parseInt(process.env.VARIANT_MAX_COUNT || '4', 10);
+const SELECTION_TTL_HOURS = parseInt(process.env.VARIANT_SELECTION_TTL_HOURS || '72', 10);
+
+// Offered in this order; a set of N uses the first N styles
+export const VARIANT_STYLES = [
+  { id: 'hero', label: 'Hero shot', hint: 'Frame it as a straight-on hero shot with soft, even studio lighting' },
+  { id: 'lifestyle', label: 'Lifestyle', hint: 'Place it in a natural lifestyle setting with warm ambient light and a shallow depth of field' },
+  { id: 'close_up', label: 'Close-up', hint: 'Use a tight three-quarter close-up that highlights texture and detail, with dramatic side lighting' },
+  { id: 'flat_lay', label: 'Flat lay', hint: 'Shoot it as a top-down flat lay with a few tasteful complementary props' }
+];
+
+// Clamp a requested count to 1..MAX_VARIANTS (anything unparseable means a single image)
+export function normalizeVariantCount(value) {
+  const count = parseInt(value, 10);
+  if (!Number.isFinite(count) || count < 1) return 1;
+  return Math.min(count, MAX_VARIANTS, VARIANT_STYLES.length);
+}
+
+// Style and seed for every candidate of a job; seeds derive from the job id so retries render the same set
+export function getVariantPlan(job) {
+  const baseSeed = createHash('sha256').update(job.id).digest().readUInt32BE(0) % 1_000_000;
+
+  return VARIANT_STYLES.slice(0, job.variant_count).map((style, position) => ({
+    index: position + 1,
+    style: style.id,
+    label: style.label,
+    hint: style.hint,
+    seed: baseSeed + position
+  }));
+}
+
+export function createVariantCaption(variant, count) {
+  return `Option ${variant.index} of ${count}: ${variant.label}`;
+}
+
+export function createSelectionPrompt(count) {
+  const options = Array.from({ length: count }, (_, i) => i + 1);
+  const list = `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`;
+  return `Which one do you like best? Reply ${list} and we'll send you the high-resolution final. ✨`;
+}
+
+// Parse "2", "#2", "option 2" into a 1-based index within count; null when it isn't a choice
+export function parseVariantChoice(text, count) {
+  const match = String(text || '').trim().match(/^(?:option\s*|#)?(\d{1,2})[.!)]?$/i);
+  if (!match) return null;
+
+  const index = parseInt(match[1], 10);
+  return index >= 1 && index <= count ? index : null;
+}
+
+// Record the pick and queue the high-resolution final for it
+// source says where the pick came from (e.g. 'whatsapp_reply', 'api').
+export async function selectVariant(job, variantIndex, source = 'api') {
+  if (job.variant_count <= 1 || job.status !== JOB_STATUS.DELIVERED) {
+    throw new Error(`Job ${job.id} has no delivered variants to choose from`);
+  }
+
+  const variant = (job.variants || []).find((candidate) => candidate.index === variantIndex);
+  if (!variant) {
+    throw new Error(`Job ${job.id} has no option ${variantIndex}`);
+  }
+
+  const selected = await recordVariantSelection(job.id, variantIndex, source);
+  if (!selected) {
+    return { alreadySelected: true, job };
+  }
+
+  console.log(`🎯 Variant ${variantIndex} (${variant.style}) selected for job ${job.id} via ${source}`);
+
+  // The final is rendered from the unbadged candidate; the badge is composited again on top
+  const finalJob = await createJob({
+    phoneNumber: job.phone_number,
+    inputImageKeys: [variant.source_key || variant.output_key || variant.source_url || variant.output_url],
+    parentJobId: job.id,
+    params: {
+      ...job.params,
+      finalOf: { jobId: job.id, variant: variantIndex, style: variant.style }
+    }
+  });
+
+  await dispatchJob(finalJob);
+
+  return { alreadySelected: false, job: selected, finalJob };
+}
+
+// Treat an inbound text as a pick for the customer's latest open variants set.
+// Returns null when there is no open set or the text isn't a valid option.
+export async function handleVariantReply(phoneNumber, text) {
+  const job = await findJobAwaitingSelection(phoneNumber, SELECTION_TTL_HOURS);
+  if (!job) return null;
+
+  const variantIndex = parseVariantChoice(text, job.variant_count);
+  if (!variantIndex) return null;
+
+  return selectVariant(job, variantIndex, 'whatsapp_reply');
+}
@@ -0,0 +1,209 @@
+// Webhook authentication for Meta callbacks, BSP lead posts and payment events
+// Meta signs every callback with X-Hub-Signature-256 (HMAC-SHA256 of the raw
+// body with the app secret). BSP posts must carry either an HMAC signature of
+// the raw body (X-BSP-Signature) or the shared token (X-BSP-Token / Bearer).
+// Payment events are signed with PAYMENT_WEBHOOK_SECRET in the provider's header.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { getSupabaseClient } from './supabase.js';
+
+const REJECTIONS_TABLE = 'webhook_rejections';
+
+// Per-instance rejection counters, keyed by `${source}:${reason}`
+const rejectionCounts = new Map();
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+function hmacHex(secret, rawBody) {
+  return createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+// Read the unparsed request body. Signatures must be checked against the exact
+// bytes that were sent, so routes using this disable Vercel's body parser.
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) {
+    return req.rawBody;
+  }
+
+  if (req.readable && !req.readableEnded) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    req.rawBody = Buffer.concat(chunks);
+    return req.rawBody;
+  }
+
+  // Body already consumed by a parser; signatures over this will not match
+  console.warn('⚠️ Raw body unavailable; falling back to re-serialized JSON');
+  req.rawBody = Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {}));
+  return req.rawBody;
+}
+
+// Parse a raw JSON body, returning {} for empty bodies and null for invalid JSON
+export function parseJsonBody(rawBody) {
+  if (!rawBody || rawBody.length === 0) return {};
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Log, count and (best effort) persist a rejected webhook call
+export async function recordRejection(req, source, reason) {
+  const key = `${source}:${reason}`;
+  rejectionCounts.set(key, (rejectionCounts.get(key) || 0) + 1);
+
+  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || null;
+  console.warn('🚫 Webhook rejected:', { source, reason, ip, count: rejectionCounts.get(key) });
+
+  const supabase = getSupabaseClient();
+  if (!supabase) return;
+
+  const { error } = await supabase.from(REJECTIONS_TABLE).insert({
+    source,
+    reason,
+    ip,
+    path: req.url || null,
+    user_agent: req.headers['user-agent'] || null
+  });
+
+  if (error) {
+    console.error('Failed to record webhook rejection:', error);
+  }
+}
+
+export function getRejectionStats() {
+  return Object.fromEntries(rejectionCounts);
+}
+
+// Which credential a POST carries decides how it is authenticated
+export function detectWebhookSource(req) {
+  if (req.headers['x-hub-signature-256']) return 'meta';
+  if (req.headers['x-bsp-signature'] || req.headers['x-bsp-token'] || req.headers.authorization) return 'bsp';
+  return null;
+}
+
+// Verify X-Hub-Signature-256 against META_APP_SECRET
+export function verifyMetaSignature(req, rawBody) {
+  const appSecret = process.env.META_APP_SECRET;
+  if (!appSecret) {
+    return { valid: false, reason: 'META_APP_SECRET_NOT_CONFIGURED' };
+  }
+
+  const header = req.headers['x-hub-signature-256'];
+  if (!header || !header.startsWith('sha256=')) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  const expected = `sha256=${hmacHex(appSecret, rawBody)}`;
+  return safeEqual(header, expected)
+    ? { valid: true }
+    : { valid: false, reason: 'INVALID_SIGNATURE' };
+}
+
+// Verify a BSP lead post by HMAC signature (BSP_WEBHOOK_SECRET) or shared token (BSP_WEBHOOK_TOKEN)
+export function verifyBspRequest(req, rawBody) {
+  const secret = process.env.BSP_WEBHOOK_SECRET;
+  const token = process.env.BSP_WEBHOOK_TOKEN;
+
+  if (!secret && !token) {
+    return { valid: false, reason: 'BSP_AUTH_NOT_CONFIGURED' };
+  }
+
+  const signature = req.headers['x-bsp-signature'];
+  if (signature && secret) {
+    const provided = signature.replace(/^sha256=/, '');
+    return safeEqual(provided, hmacHex(secret, rawBody))
+      ? { valid: true }
+      : { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  const providedToken = req.headers['x-bsp-token']
+    || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  if (providedToken && token) {
+    return safeEqual(providedToken, token)
+      ? { valid: true }
+      : { valid: false, reason: 'INVALID_TOKEN' };
+  }
+
+  return { valid: false, reason: 'MISSING_CREDENTIALS' };
+}
+
+// Header carrying the HMAC-SHA256 (hex) of the raw body, per payment provider
+const PAYMENT_SIGNATURE_HEADERS = {
+  razorpay: 'x-razorpay-signature',
+  local: 'x-payment-signature'
+};
+
+// Verify a payment provider event against PAYMENT_WEBHOOK_SECRET
+export function verifyPaymentSignature(req, rawBody, provider) {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    return { valid: false, reason: 'PAYMENT_WEBHOOK_SECRET_NOT_CONFIGURED' };
+  }
+
+  const headerName = PAYMENT_SIGNATURE_HEADERS[provider];
+  if (!headerName) {
+    return { valid: false, reason: 'UNKNOWN_PAYMENT_PROVIDER' };
+  }
+
+  const signature = req.headers[headerName];
+  if (!signature) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  return safeEqual(signature.replace(/^sha256=/, ''), hmacHex(secret, rawBody))
+    ? { valid: true }
+    : { valid: false, reason: 'INVALID_SIGNATURE' };
+}
+
+// Verify a scheduled worker call: Authorization: Bearer <CRON_SECRET>.
+// Without a configured secret every call is refused.
+export function verifyCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return { valid: false, reason: 'CRON_SECRET_NOT_CONFIGURED' };
+  }
+
+  const header = req.headers.authorization;
+  if (!header) {
+    return { valid: false, reason: 'MISSING_TOKEN' };
+  }
+
+  return safeEqual(header, `Bearer ${secret}`)
+    ? { valid: true }
+    : { valid: false, reason: 'INVALID_TOKEN' };
+}
+
+// Authenticate a BSP lead post from its raw body.
+// On success req.body holds the parsed JSON; otherwise a 400/401 is sent and false returned.
+export async function authenticateBspRequest(req, res, rawBody = null) {
+  const body = rawBody || await readRawBody(req);
+  const verification = verifyBspRequest(req, body);
+
+  if (!verification.valid) {
+    await recordRejection(req, 'bsp', verification.reason);
+    res.status(401).json({
+      success: false,
+      error: 'UNAUTHORIZED',
+      message: 'BSP webhook signature or token is missing or invalid'
+    });
+    return false;
+  }
+
+  const parsed = parseJsonBody(body);
+  if (!parsed) {
+    res.status(400).json({ success: false, error: 'INVALID_JSON', message: 'Request body must be valid JSON' });
+    return false;
+  }
+
+  req.body = parsed;
+  return true;
+}
@@ -0,0 +1,153 @@
+// Plain (unencrypted) WhatsApp Cloud API webhook events
+// Meta posts { object: 'whatsapp_business_account', entry: [{ changes: [{ field: 'messages', value }] }] }
+// to the same endpoint as the Flow. Each inbound message (text, image, button)
+// and each message status goes to its own handler; one failing event never
+// stops the rest of the batch.
+
+import { normalizePhone } from './leads.js';
+import { handleVariantReply, parseVariantChoice, MAX_VARIANTS } from './variants.js';
+import { handleEditReply } from './edits.js';
+import { handleFollowUpReply } from './follow-ups.js';
+import { sendWhatsAppTextMessage } from './whatsapp.js';
+import { recordInboundMessage, recordMessageStatus } from './delivery.js';
+import { retryFailedDelivery } from './worker.js';
+
+export function isWhatsAppEventPayload(body) {
+  return body?.object === 'whatsapp_business_account' && Array.isArray(body.entry);
+}
+
+// Inbound text: a reply to one of our images asking for an edit, or a pick
+// of one of the variants we sent
+async function handleTextMessage(message) {
+  const phoneNumber = normalizePhone(message.from);
+  const text = message.text?.body || '';
+  console.log(`💬 Text from ${phoneNumber}:`, text);
+
+  // A plain option number picks a variant even when sent as a reply to one of them
+  if (message.context?.id && !parseVariantChoice(text, MAX_VARIANTS)) {
+    const edit = await handleEditReply(phoneNumber, message.context.id, text);
+    if (edit?.editJob) {
+      await sendWhatsAppTextMessage(phoneNumber, 'Got it! Working on your change now ✏️');
+      return { handled: true, jobId: edit.job.id, editJobId: edit.editJob.id };
+    }
+    if (edit) {
+      await sendWhatsAppTextMessage(phoneNumber, edit.message);
+      return { handled: true, jobId: edit.job.id, editRejected: true };
+    }
+  }
+
+  const selection = await handleVariantReply(phoneNumber, text);
+  if (!selection) {
+    return { handled: false };
+  }
+
+  if (selection.alreadySelected) {
+    await sendWhatsAppTextMessage(phoneNumber, "You've already picked an option for these images. Your high-resolution version is on its way!");
+    return { handled: true, alreadySelected: true };
+  }
+
+  const variant = selection.finalJob.params.finalOf.variant;
+  await sendWhatsAppTextMessage(phoneNumber, `Great choice! Creating the high-resolution version of option ${variant} now 🎨`);
+  return { handled: true, jobId: selection.job.id, finalJobId: selection.finalJob.id };
+}
+
+async function handleImageMessage(message) {
+  const phoneNumber = normalizePhone(message.from);
+  console.log(`🖼️ Image from ${phoneNumber}:`, { mediaId: message.image?.id, caption: message.image?.caption || null });
+  return { handled: false };
+}
+
+// Quick-reply buttons arrive as type 'button' (template buttons) or 'interactive' (button/list replies).
+// Our follow-up buttons act on the job they were sent for.
+async function handleButtonMessage(message) {
+  const phoneNumber = normalizePhone(message.from);
+  const reply = message.type === 'button'
+    ? { id: message.button?.payload, title: message.button?.text }
+    : message.interactive?.button_reply || message.interactive?.list_reply || {};
+  console.log(`🔘 Button from ${phoneNumber}:`, reply);
+
+  const followUp = await handleFollowUpReply(phoneNumber, reply.id);
+  if (!followUp) {
+    return { handled: false };
+  }
+
+  if (followUp.message) {
+    await sendWhatsAppTextMessage(phoneNumber, followUp.message);
+  }
+  return { handled: true, jobId: followUp.job.id, rerunJobId: followUp.rerun?.id || null };
+}
+
+// Delivery receipts for messages the worker sent; failed ones are retried
+async function handleMessageStatus(status) {
+  console.log(`📬 Message ${status.id} to ${status.recipient_id}: ${status.status}`, status.errors || '');
+
+  const message = await recordMessageStatus(status);
+  if (!message) {
+    return { handled: false };
+  }
+
+  if (message.status === 'failed') {
+    const retry = await retryFailedDelivery(message, status.errors || []);
+    return { handled: true, jobId: message.job_id, retried: Boolean(retry), retryWamid: retry?.wamid || null };
+  }
+
+  return { handled: true, jobId: message.job_id };
+}
+
+const messageHandlers = {
+  text: handleTextMessage,
+  image: handleImageMessage,
+  button: handleButtonMessage,
+  interactive: handleButtonMessage
+};
+
+// Run every message and status in a webhook payload through its handler.
+// Returns one result per event: { kind, id, type, result } or { ..., error }.
+export async function dispatchWhatsAppEvents(body) {
+  const events = [];
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change.field !== 'messages') {
+        console.log('ℹ️ Ignoring WhatsApp webhook field:', change.field);
+        continue;
+      }
+
+      const value = change.value || {};
+      for (const message of value.messages || []) {
+        events.push({ kind: 'message', id: message.id, type: message.type, handler: messageHandlers[message.type], payload: message });
+      }
+      for (const status of value.statuses || []) {
+        events.push({ kind: 'status', id: status.id, type: status.status, handler: handleMessageStatus, payload: status });
+      }
+    }
+  }
+
+  const results = [];
+  for (const { handler, payload, ...event } of events) {
+    if (event.kind === 'message') {
+      // Any inbound message, handled or not, reopens the 24-hour service window.
+      // Best-effort: a missed record must not drop the message or the rest of the batch
+      try {
+        await recordInboundMessage(normalizePhone(payload.from), payload.timestamp);
+      } catch (error) {
+        console.error(`⚠️ Failed to record inbound message ${event.id}:`, error.message);
+      }
+    }
+
+    if (!handler) {
+      console.log(`ℹ️ No handler for WhatsApp ${event.kind} type:`, event.type);
+      results.push({ ...event, result: { handled: false } });
+      continue;
+    }
+
+    try {
+      results.push({ ...event, result: await handler(payload) });
+    } catch (error) {
+      console.error(`❌ WhatsApp ${event.kind} ${event.id} (${event.type}) failed:`, error);
+      results.push({ ...event, error: error.message });
+    }
+  }
+
+  return results;
+}
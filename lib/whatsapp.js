@@ -0,0 +1,169 @@
+// WhatsApp Cloud API helpers shared by the webhook and the image worker
+
+// WhatsApp API config
+const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
+const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
+const WHATSAPP_API_VERSION = process.env.WHATSAPP_API_VERSION || 'v23.0';
+
+// Approved template used to deliver an image once the 24-hour service window has closed.
+// It needs an IMAGE header and two body variables: {{1}} the customer's name, {{2}} the product category.
+const WHATSAPP_IMAGE_TEMPLATE = process.env.WHATSAPP_IMAGE_TEMPLATE || null;
+const WHATSAPP_IMAGE_TEMPLATE_LANGUAGE = process.env.WHATSAPP_IMAGE_TEMPLATE_LANGUAGE || 'en';
+
+// Cloud API error: more than 24 hours since the customer's last message
+export const SERVICE_WINDOW_CLOSED_ERROR = 131047;
+
+// Create personalized image caption
+export function createImageCaption(productCategory, priceOverlay, leadInfo) {
+  let caption = '';
+
+  // Personalized greeting if we have lead info
+  if (leadInfo?.firstName) {
+    caption += `Hi ${leadInfo.firstName}! `;
+  }
+
+  // Product info
+  caption += `Here's your enhanced ${productCategory}`;
+
+  // Price if provided
+  if (priceOverlay && priceOverlay.trim()) {
+    caption += ` — ${priceOverlay.trim()}`;
+  }
+
+  caption += ' image! 🎨✨';
+
+  return caption;
+}
+
+// Upload image bytes to WhatsApp's media store so messages can reference them by id.
+// Media ids stay valid for 30 days; no public URL is involved.
+export async function uploadWhatsAppMedia(base64Data, mimeType) {
+  if (!base64Data) throw new Error('Missing media data');
+
+  const url = `https://graph.facebook.com/${WHATSAPP_API_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}/media`;
+  const type = mimeType || 'image/jpeg';
+  const ext = type.split('/')[1] || 'jpg';
+
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', type);
+  form.append('file', new Blob([Buffer.from(base64Data, 'base64')], { type }), `image.${ext}`);
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${WHATSAPP_TOKEN}` },
+    body: form
+  });
+
+  const data = await resp.json();
+  if (!resp.ok || !data?.id) {
+    throw new Error(`WhatsApp media upload failed ${resp.status}: ${JSON.stringify(data)}`);
+  }
+  return data.id;
+}
+
+// media is a WhatsApp media id, or { link } for an HTTPS URL WhatsApp downloads itself
+function toMediaReference(media) {
+  return typeof media === 'string' ? { id: media } : { link: media.link };
+}
+
+export function isImageTemplateConfigured() {
+  return Boolean(WHATSAPP_IMAGE_TEMPLATE);
+}
+
+// POST a message to the Cloud API. payload is the message without the fields every
+// message shares ({ to, type, <type>: ... }). Refusals carry the Cloud API error code.
+async function postWhatsAppMessage(payload) {
+  const url = `https://graph.facebook.com/${WHATSAPP_API_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${WHATSAPP_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      ...payload
+    })
+  });
+
+  const data = await resp.json();
+  if (!resp.ok) {
+    const kind = payload.type === 'template' ? 'template send' : 'send';
+    throw Object.assign(new Error(`WhatsApp ${kind} failed ${resp.status}: ${JSON.stringify(data)}`), { code: data?.error?.code });
+  }
+  return data;
+}
+
+export async function sendWhatsAppImageMessage(toE164, media, caption) {
+  if (!toE164) throw new Error('Missing recipient phone number (E.164 format)');
+  if (!media) throw new Error('Missing WhatsApp media id');
+
+  return postWhatsAppMessage({
+    to: toE164,
+    type: 'image',
+    image: {
+      ...toMediaReference(media),
+      caption: caption || ''
+    }
+  });
+}
+
+export async function sendWhatsAppTextMessage(toE164, text) {
+  if (!toE164) throw new Error('Missing recipient phone number (E.164 format)');
+  if (!text) throw new Error('Missing message text');
+
+  return postWhatsAppMessage({
+    to: toE164,
+    type: 'text',
+    text: { body: text }
+  });
+}
+
+// Send an image through WHATSAPP_IMAGE_TEMPLATE; unlike free-form messages this works outside the service window
+export async function sendWhatsAppImageTemplate(toE164, media, { name, category }) {
+  if (!toE164) throw new Error('Missing recipient phone number (E.164 format)');
+  if (!media) throw new Error('Missing WhatsApp media id');
+  if (!WHATSAPP_IMAGE_TEMPLATE) throw new Error('WHATSAPP_IMAGE_TEMPLATE is not configured');
+
+  return postWhatsAppMessage({
+    to: toE164,
+    type: 'template',
+    template: {
+      name: WHATSAPP_IMAGE_TEMPLATE,
+      language: { code: WHATSAPP_IMAGE_TEMPLATE_LANGUAGE },
+      components: [
+        { type: 'header', parameters: [{ type: 'image', image: toMediaReference(media) }] },
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: name || 'there' },
+            { type: 'text', text: category || 'product' }
+          ]
+        }
+      ]
+    }
+  });
+}
+
+// Text with up to three quick-reply buttons ([{ id, title }], titles up to 20 characters).
+// Taps come back as interactive button_reply messages carrying the button id.
+export async function sendWhatsAppButtonsMessage(toE164, text, buttons) {
+  if (!toE164) throw new Error('Missing recipient phone number (E.164 format)');
+  if (!text) throw new Error('Missing message text');
+  if (!buttons?.length || buttons.length > 3) throw new Error('Interactive messages need one to three buttons');
+
+  return postWhatsAppMessage({
+    to: toE164,
+    type: 'interactive',
+    interactive: {
+      type: 'button',
+      body: { text },
+      action: {
+        buttons: buttons.map(({ id, title }) => ({ type: 'reply', reply: { id, title: title.slice(0, 20) } }))
+      }
+    }
+  });
+}
@@ -0,0 +1,491 @@
+// Image job worker: generate, upload and deliver one claimed job at a time
+
+import { claimJobs, createWorkerId, failJob, getJob, updateJob, JOB_STATUS } from './jobs.js';
+import { generateImageFromAi, renderHighResFinal } from './generation.js';
+import { uploadJobImage, downloadStoredImage, createSignedImageUrl } from './storage.js';
+import { applyPriceOverlay, formatPrice } from './price-overlay.js';
+import {
+  createImageCaption,
+  isImageTemplateConfigured,
+  sendWhatsAppImageMessage,
+  sendWhatsAppImageTemplate,
+  sendWhatsAppTextMessage,
+  uploadWhatsAppMedia,
+  SERVICE_WINDOW_CLOSED_ERROR
+} from './whatsapp.js';
+import { getVariantPlan, createVariantCaption, createSelectionPrompt } from './variants.js';
+import { getBspLead } from './leads.js';
+import { normalizeCategory } from './prompt-templates.js';
+import { moderateImage } from './moderation.js';
+import { getResultCacheKey, findCachedResult, getPromptAssignmentKey } from './result-cache.js';
+import { refundJobCredits, refundPendingJobCredits } from './credits.js';
+import { recordOutboundMessage, isServiceWindowOpen } from './delivery.js';
+import { isFollowUpEnabled, sendFollowUpButtons } from './follow-ups.js';
+import { loadJobInputs, prepareJobInputs } from './job-inputs.js';
+import { detectMimeType } from './image-input.js';
+
+// WhatsApp keeps uploaded media for 30 days; re-upload a little before that
+const MEDIA_REUSE_MS = 29 * 24 * 3600 * 1000;
+// Sends per message, including the first, before a failed delivery is given up
+const DELIVERY_MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '3', 10);
+
+// Cloud API error codes that no resend can fix
+const PERMANENT_DELIVERY_ERRORS = [
+  131021, // recipient is the sender
+  131026, // recipient can't receive WhatsApp messages
+  131031, // business account locked
+  SERVICE_WINDOW_CLOSED_ERROR, // retried as a template for single images when one is configured
+  131051 // unsupported message type
+];
+
+// Generate one image, check it against the moderation policy, composite the price badge and upload it.
+// kind names the object within the job's storage folder; sourceKey is the unbadged upload,
+// kept so a candidate can later be re-rendered or edited cleanly.
+async function renderAndUpload(job, render, priceOverlay, { keepSource = false, kind = 'output' } = {}) {
+  const generated = await render();
+
+  const moderation = await moderateImage(generated, { stage: 'output', phoneNumber: job.phone_number, jobId: job.id });
+  if (moderation.reason === 'MODERATION_UNAVAILABLE') {
+    // An outage is not a verdict; retry the job with backoff
+    throw new Error('Output moderation is unavailable');
+  }
+  if (!moderation.allowed) {
+    throw Object.assign(new Error(`Generated image blocked by moderation (${moderation.reason})`), {
+      code: 'OUTPUT_BLOCKED',
+      retryable: false
+    });
+  }
+
+  const finalImage = applyPriceOverlay(generated, priceOverlay);
+
+  const upload = (image, objectKind) => uploadJobImage({
+    base64Data: image.base64,
+    mimeType: image.mimeType,
+    phoneNumber: job.phone_number,
+    jobId: job.id,
+    kind: objectKind,
+    metadata: { category: generated.promptCategory, 'prompt-version': generated.promptVersion }
+  });
+
+  const uploadStart = Date.now();
+  const outputKey = await upload(finalImage, kind);
+  const sourceKey = keepSource && finalImage.applied
+    ? await upload(generated, `${kind}-source`)
+    : outputKey;
+
+  return { generated, finalImage, outputKey, sourceKey, uploadMs: Date.now() - uploadStart };
+}
+
+// Media id to send for a job or variant, uploading the image to WhatsApp when it has none (or it expired).
+// image is the rendered image when still in memory; otherwise it is read back from storage.
+// Returns the media fields to persist on the entry.
+async function ensureWhatsAppMedia(entry, image = null) {
+  const uploadedAt = Date.parse(entry.whatsapp_media_uploaded_at || '');
+  if (entry.whatsapp_media_id && Date.now() - uploadedAt < MEDIA_REUSE_MS) {
+    return { whatsapp_media_id: entry.whatsapp_media_id, whatsapp_media_uploaded_at: entry.whatsapp_media_uploaded_at };
+  }
+
+  const source = image || await downloadStoredImage(entry.output_key || entry.output_url);
+  const mediaId = await uploadWhatsAppMedia(source.base64, source.mimeType);
+  console.log('📎 Uploaded image to WhatsApp media:', mediaId);
+
+  return { whatsapp_media_id: mediaId, whatsapp_media_uploaded_at: new Date().toISOString() };
+}
+
+// Render every candidate of a variants job from its input images (base64)
+async function renderVariants(job, inputImages) {
+  const { productCategory, sceneDescription, priceOverlay, scenePreset } = job.params || {};
+  const variants = [];
+  const images = new Map();
+  let uploadMs = 0;
+
+  for (const plan of getVariantPlan(job)) {
+    const { generated, finalImage, outputKey, sourceKey, uploadMs: variantUploadMs } = await renderAndUpload(
+      job,
+      () => generateImageFromAi(inputImages, productCategory, sceneDescription || null, priceOverlay || null, {
+        scenePreset,
+        assignmentKey: job.id,
+        variationHint: plan.hint,
+        seed: plan.seed
+      }),
+      priceOverlay,
+      { keepSource: true, kind: `variant-${plan.index}` }
+    );
+
+    uploadMs += variantUploadMs;
+    images.set(plan.index, finalImage);
+    console.log(`✅ Variant ${plan.index}/${job.variant_count} (${plan.style}) uploaded:`, outputKey);
+    variants.push({
+      index: plan.index,
+      style: plan.style,
+      label: plan.label,
+      seed: plan.seed,
+      prompt: generated.prompt,
+      prompt_version: generated.promptVersion,
+      provider: generated.provider,
+      output_key: outputKey,
+      source_key: sourceKey
+    });
+  }
+
+  return { variants, images, uploadMs };
+}
+
+// Send each candidate, then ask for a pick. Candidates already sent on an earlier attempt are skipped.
+// images holds candidates rendered in this attempt, by index.
+async function deliverVariants(job, images = new Map()) {
+  let variants = job.variants;
+
+  for (const variant of job.variants) {
+    if (variant.whatsapp_message_id) continue;
+
+    const media = await ensureWhatsAppMedia(variant, images.get(variant.index));
+    const waResp = await sendWhatsAppImageMessage(
+      job.phone_number,
+      media.whatsapp_media_id,
+      createVariantCaption(variant, job.variant_count)
+    );
+    const messageId = waResp?.messages?.[0]?.id || null;
+    await recordOutboundMessage({ wamid: messageId, job, kind: 'variant', variantIndex: variant.index, sentVia: 'media_id' });
+
+    variants = variants.map((candidate) => candidate.index === variant.index
+      ? { ...candidate, ...media, whatsapp_message_id: messageId }
+      : candidate);
+    await updateJob(job.id, { variants });
+  }
+
+  const waResp = await sendWhatsAppTextMessage(job.phone_number, createSelectionPrompt(job.variant_count));
+  const messageId = waResp?.messages?.[0]?.id || null;
+  await recordOutboundMessage({ wamid: messageId, job, kind: 'selection_prompt' });
+  return { variants, messageId };
+}
+
+// Send a single-image job's image: free-form while the 24-hour service window is
+// open, as the image template once it has closed or when WhatsApp says so.
+// Variant sets always go free-form; picking an option needs an open conversation.
+async function sendJobImage(job, media, caption) {
+  if (isImageTemplateConfigured() && await isServiceWindowOpen(job.phone_number) === false) {
+    console.log(`⏰ Service window closed for ${job.phone_number}; sending the image template`);
+    return sendJobImageTemplate(job, media);
+  }
+
+  try {
+    const waResp = await sendWhatsAppImageMessage(job.phone_number, media, caption);
+    return { waResp, sentVia: typeof media === 'string' ? 'media_id' : 'link' };
+  } catch (error) {
+    if (error.code !== SERVICE_WINDOW_CLOSED_ERROR || !isImageTemplateConfigured()) throw error;
+    console.log(`⏰ Free-form image to ${job.phone_number} rejected outside the service window; sending the image template`);
+    return sendJobImageTemplate(job, media);
+  }
+}
+
+async function sendJobImageTemplate(job, media) {
+  const leadInfo = await getBspLead(job.phone_number);
+  const waResp = await sendWhatsAppImageTemplate(job.phone_number, media, {
+    name: leadInfo?.firstName,
+    category: job.params?.productCategory
+  });
+  return { waResp, sentVia: 'template' };
+}
+
+// Caption of a single-image job's delivery
+async function createJobCaption(job) {
+  const { productCategory, priceOverlay, finalOf, editOf } = job.params || {};
+  if (finalOf) {
+    // No variant for the final of a single image (the "Get HD version" button)
+    return finalOf.variant
+      ? `Here's the high-resolution version of option ${finalOf.variant}! 🎨✨`
+      : "Here's the high-resolution version of your image! 🎨✨";
+  }
+  if (editOf) {
+    return "Here's your edited image! ✏️ Reply to it with another change if you'd like.";
+  }
+  const leadInfo = await getBspLead(job.phone_number);
+  return createImageCaption(productCategory, formatPrice(priceOverlay) || priceOverlay, leadInfo);
+}
+
+// Let the customer know instead of going silent; delivery problems here must not mask the failure
+async function notifyBlockedOutput(job) {
+  try {
+    await sendWhatsAppTextMessage(
+      job.phone_number,
+      "Sorry, we couldn't create an image for this request because the result didn't pass our content checks. Please try again with a different photo or scene."
+    );
+  } catch (error) {
+    console.error(`⚠️ Failed to notify ${job.phone_number} about blocked job ${job.id}:`, error.message);
+  }
+}
+
+// Run a job that has already been claimed by this worker
+export async function runJob(job) {
+  console.log(`🚀 Running image job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  const { productCategory, sceneDescription, priceOverlay, scenePreset, finalOf, editOf } = job.params || {};
+  const isVariantSet = job.variant_count > 1;
+  let current = job;
+  // Rendered in this attempt and still in memory (absent on redelivery-only retries)
+  let rendered = null;
+
+  try {
+    // Skip generation on retries that only need redelivery
+    if (!current.output_key && !current.output_url) {
+      const generationStart = Date.now();
+      const cacheKey = getResultCacheKey(current);
+      const cached = await findCachedResult(current, cacheKey);
+      let patch;
+
+      // Uploads are stored as sent; a final renders the chosen candidate as-is
+      let inputImages = [];
+      if (!cached && finalOf) {
+        inputImages = await loadJobInputs(current);
+      } else if (!cached) {
+        ({ job: current, inputImages } = await prepareJobInputs(current));
+      }
+
+      if (cached) {
+        // Same photo and options as an earlier job: reuse its stored output (and WhatsApp media)
+        patch = {
+          uploadMs: 0,
+          prompt: cached.prompt,
+          prompt_version: cached.prompt_version,
+          prompt_category: cached.prompt_category,
+          provider: cached.provider,
+          output_key: cached.output_key,
+          source_key: cached.source_key,
+          whatsapp_media_id: cached.whatsapp_media_id,
+          whatsapp_media_uploaded_at: cached.whatsapp_media_uploaded_at,
+          cache_key: cacheKey,
+          cached_from: cached.id
+        };
+      } else if (isVariantSet) {
+        const { variants, images, uploadMs } = await renderVariants(current, inputImages);
+        rendered = images;
+        patch = {
+          uploadMs,
+          prompt: variants[0].prompt,
+          prompt_version: variants[0].prompt_version,
+          prompt_category: normalizeCategory(productCategory),
+          provider: variants[0].provider,
+          output_key: variants[0].output_key,
+          variants
+        };
+      } else {
+        // A final re-renders the customer's chosen candidate at high resolution;
+        // an edit changes the image the customer replied to (the last input)
+        const render = finalOf
+          ? () => renderHighResFinal({ base64: inputImages[0], mimeType: detectMimeType(inputImages[0]) }, productCategory, {
+            assignmentKey: current.id
+          })
+          : () => generateImageFromAi(inputImages, productCategory, sceneDescription || null, priceOverlay || null, {
+            scenePreset,
+            // Must match the version the cache key was built with
+            assignmentKey: getPromptAssignmentKey(current),
+            editInstruction: editOf?.instruction || null
+          });
+
+        const { generated, finalImage, outputKey, sourceKey, uploadMs } = await renderAndUpload(current, render, priceOverlay, {
+          keepSource: true
+        });
+        rendered = finalImage;
+        patch = {
+          uploadMs,
+          prompt: generated.prompt,
+          prompt_version: generated.promptVersion,
+          prompt_category: generated.promptCategory,
+          provider: generated.provider,
+          output_key: outputKey,
+          source_key: sourceKey,
+          cache_key: cacheKey
+        };
+      }
+
+      const { uploadMs, ...outputs } = patch;
+      current = await updateJob(current.id, {
+        status: JOB_STATUS.UPLOADED,
+        ...outputs,
+        timings: {
+          ...current.timings,
+          generation_started_at: new Date(generationStart).toISOString(),
+          generation_ms: Date.now() - generationStart - uploadMs,
+          upload_ms: uploadMs,
+          cache_hit: Boolean(cached)
+        }
+      });
+
+      console.log(cached ? '✅ Served from result cache:' : '✅ Image generation successful:', current.output_key);
+
+      // Nothing was generated for a cache hit, so it isn't paid for
+      if (cached) {
+        await refundJobCredits(current.id).catch((refundError) => {
+          // The worker sweep retries missed refunds
+          console.error(`⚠️ Refund for cached job ${current.id} failed:`, refundError.message);
+        });
+      }
+    }
+
+    console.log('📤 Sending WhatsApp image to:', current.phone_number);
+    const deliveryStart = Date.now();
+    let delivery;
+    // Interactive messages need an open service window, so a template delivery gets no buttons
+    let followUp = false;
+
+    if (isVariantSet) {
+      const { variants, messageId } = await deliverVariants(current, rendered || undefined);
+      delivery = { variants, whatsapp_message_id: messageId };
+    } else {
+      const caption = await createJobCaption(current);
+      console.log('📝 Caption:', caption);
+
+      const media = await ensureWhatsAppMedia(current, rendered);
+      const { waResp, sentVia } = await sendJobImage(current, media.whatsapp_media_id, caption);
+      console.log('✅ WhatsApp image sent successfully:', JSON.stringify(waResp));
+      delivery = { ...media, whatsapp_message_id: waResp?.messages?.[0]?.id || null };
+      await recordOutboundMessage({ wamid: delivery.whatsapp_message_id, job: current, kind: 'image', sentVia });
+      followUp = isFollowUpEnabled() && sentVia !== 'template';
+    }
+
+    const delivered = await updateJob(current.id, {
+      status: JOB_STATUS.DELIVERED,
+      ...delivery,
+      delivery_status: 'accepted',
+      delivery_status_at: new Date().toISOString(),
+      last_error: null,
+      locked_at: null,
+      locked_by: null,
+      completed_at: new Date().toISOString(),
+      timings: { ...current.timings, delivery_ms: Date.now() - deliveryStart }
+    });
+
+    if (followUp) {
+      await sendFollowUpButtons(delivered).catch((buttonsError) => {
+        // The image is delivered; the buttons are a nice-to-have
+        console.error(`⚠️ Failed to send follow-up buttons for job ${delivered.id}:`, buttonsError.message);
+      });
+    }
+
+    return delivered;
+  } catch (error) {
+    console.error(`❌ Image job ${job.id} attempt failed:`, error);
+    if (error.code === 'OUTPUT_BLOCKED') {
+      await notifyBlockedOutput(current);
+    }
+    const failed = await failJob(current, error);
+    if (failed.status === JOB_STATUS.FAILED) {
+      await refundJobCredits(failed.id).catch((refundError) => {
+        // The worker sweep retries missed refunds
+        console.error(`⚠️ Refund for job ${failed.id} failed:`, refundError.message);
+      });
+    }
+    return failed;
+  }
+}
+
+// Send a tracked message again after WhatsApp reported it failed.
+// The second attempt re-uploads the image to WhatsApp media; later attempts
+// fall back to a signed link to the stored image. A single image rejected
+// outside the service window is resent as the image template instead. Gives up
+// on permanent errors or once DELIVERY_MAX_ATTEMPTS is reached. Returns the new
+// message row, or null.
+export async function retryFailedDelivery(message, errors = []) {
+  const job = await getJob(message.job_id);
+  const error = errors[0] || {};
+  const reason = `${error.code || 'unknown'} ${error.title || error.message || ''}`.trim();
+  if (!job) {
+    console.warn(`⚠️ Not resending ${message.kind} ${message.wamid}: job ${message.job_id} no longer exists (${reason})`);
+    return null;
+  }
+  const useTemplate = message.kind === 'image' && isImageTemplateConfigured()
+    && (error.code === SERVICE_WINDOW_CLOSED_ERROR || message.sent_via === 'template');
+
+  if ((!useTemplate && PERMANENT_DELIVERY_ERRORS.includes(error.code)) || message.attempt >= DELIVERY_MAX_ATTEMPTS) {
+    console.error(`❌ Delivery of ${message.kind} for job ${job.id} failed for good (attempt ${message.attempt}): ${reason}`);
+    await updateJob(job.id, { last_error: `Delivery failed: ${reason}` });
+    return null;
+  }
+
+  const attempt = message.attempt + 1;
+  console.log(`🔁 Resending ${message.kind} for job ${job.id} (attempt ${attempt}) after: ${reason}`);
+
+  if (message.kind === 'selection_prompt') {
+    const waResp = await sendWhatsAppTextMessage(job.phone_number, createSelectionPrompt(job.variant_count));
+    const wamid = waResp?.messages?.[0]?.id || null;
+    await updateJob(job.id, { whatsapp_message_id: wamid, delivery_status: 'accepted', delivery_status_at: new Date().toISOString() });
+    return recordOutboundMessage({ wamid, job, kind: message.kind, attempt });
+  }
+
+  const variant = message.kind === 'variant'
+    ? (job.variants || []).find((candidate) => candidate.index === message.variant_index)
+    : null;
+  const entry = variant || job;
+  const caption = variant ? createVariantCaption(variant, job.variant_count) : await createJobCaption(job);
+
+  let media;
+  let mediaFields = {};
+  if (useTemplate) {
+    // The media was fine; only the message type has to change
+    mediaFields = await ensureWhatsAppMedia(entry);
+    media = mediaFields.whatsapp_media_id;
+  } else if (attempt >= 3) {
+    media = { link: entry.output_key ? (await createSignedImageUrl(entry.output_key)).url : entry.output_url };
+  } else {
+    // A fresh upload rules out an expired or broken media id
+    mediaFields = await ensureWhatsAppMedia({ ...entry, whatsapp_media_id: null });
+    media = mediaFields.whatsapp_media_id;
+  }
+
+  let sent;
+  if (useTemplate) {
+    sent = await sendJobImageTemplate(job, media);
+  } else if (variant) {
+    const waResp = await sendWhatsAppImageMessage(job.phone_number, media, caption);
+    sent = { waResp, sentVia: typeof media === 'string' ? 'media_id' : 'link' };
+  } else {
+    sent = await sendJobImage(job, media, caption);
+  }
+  const { waResp, sentVia } = sent;
+  const wamid = waResp?.messages?.[0]?.id || null;
+
+  if (variant) {
+    const variants = job.variants.map((candidate) => candidate.index === variant.index
+      ? { ...candidate, ...mediaFields, whatsapp_message_id: wamid }
+      : candidate);
+    await updateJob(job.id, { variants });
+  } else {
+    await updateJob(job.id, {
+      ...mediaFields,
+      whatsapp_message_id: wamid,
+      delivery_status: 'accepted',
+      delivery_status_at: new Date().toISOString()
+    });
+  }
+
+  return recordOutboundMessage({ wamid, job, kind: message.kind, variantIndex: message.variant_index, attempt, sentVia });
+}
+
+// Claim and run one specific job (fast path used by the webhook dispatch)
+export async function processJob(jobId, workerId = createWorkerId('dispatch')) {
+  const [job] = await claimJobs({ workerId, jobId });
+  if (!job) {
+    console.log(`ℹ️ Image job ${jobId} is not due or already claimed`);
+    return null;
+  }
+  return runJob(job);
+}
+
+// Claim and run whatever is due (worker sweep)
+export async function processQueuedJobs({ limit = 3, workerId = createWorkerId('sweep') } = {}) {
+  const jobs = await claimJobs({ workerId, limit });
+  console.log(`🧹 Worker ${workerId} claimed ${jobs.length} job(s)`);
+
+  // Claiming fails jobs abandoned by a crashed worker; give their credits back
+  await refundPendingJobCredits().catch((error) => {
+    console.error('⚠️ Refund sweep failed:', error.message);
+  });
+
+  const results = [];
+  for (const job of jobs) {
+    const result = await runJob(job);
+    results.push({ id: job.id, status: result.status, attempts: result.attempts });
+  }
+  return results;
+}
@@ -0,0 +1,20 @@
+-- BSP leads shared by /api/bsp-lead, /api/flow-webhook and /api/process-image
+create table if not exists public.bsp_leads (
+  phone_number text primary key,
+  first_name text,
+  email text,
+  chat_id text,
+  subscriber_id text,
+  user_message text,
+  postback_id text,
+  source text not null default 'BSP',
+  raw jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists bsp_leads_chat_id_idx on public.bsp_leads (chat_id);
+create index if not exists bsp_leads_updated_at_idx on public.bsp_leads (updated_at desc);
+
+-- Only the service role (used by the API routes) may read or write leads
+alter table public.bsp_leads enable row level security;
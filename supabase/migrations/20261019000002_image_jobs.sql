@@ -0,0 +1,78 @@
+-- Durable image-generation jobs processed by /api/process-image and /api/worker
+create extension if not exists pgcrypto;
+
+create table if not exists public.image_jobs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'queued'
+    check (status in ('queued', 'generating', 'uploaded', 'delivered', 'failed')),
+  phone_number text not null,
+  params jsonb not null default '{}'::jsonb,
+  input_image text,
+  prompt text,
+  output_url text,
+  whatsapp_message_id text,
+  attempts integer not null default 0,
+  max_attempts integer not null default 4,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  locked_by text,
+  last_error text,
+  timings jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists image_jobs_due_idx on public.image_jobs (status, next_attempt_at);
+create index if not exists image_jobs_phone_idx on public.image_jobs (phone_number, created_at desc);
+
+alter table public.image_jobs enable row level security;
+
+-- Atomically claim due jobs. Jobs stuck in generating/uploaded longer than
+-- p_stale_seconds are treated as crashed and claimed again, or failed once
+-- they have used up their attempts. Pass p_job_id to claim one specific job
+-- (used when the webhook dispatches it directly).
+create or replace function public.claim_image_jobs(
+  p_worker text,
+  p_limit integer default 1,
+  p_job_id uuid default null,
+  p_stale_seconds integer default 300
+)
+returns setof public.image_jobs
+language plpgsql
+as $$
+begin
+  update public.image_jobs
+  set status = 'failed',
+      last_error = coalesce(last_error, 'Worker stopped responding'),
+      locked_at = null,
+      updated_at = now(),
+      completed_at = now()
+  where status in ('generating', 'uploaded')
+    and locked_at < now() - make_interval(secs => p_stale_seconds)
+    and attempts >= max_attempts;
+
+  return query
+  update public.image_jobs j
+  set status = case when j.output_url is null then 'generating' else 'uploaded' end,
+      attempts = j.attempts + 1,
+      locked_at = now(),
+      locked_by = p_worker,
+      updated_at = now()
+  where j.id in (
+    select c.id
+    from public.image_jobs c
+    where (p_job_id is null or c.id = p_job_id)
+      and c.attempts < c.max_attempts
+      and (
+        (c.status = 'queued' and c.next_attempt_at <= now())
+        or (c.status in ('generating', 'uploaded')
+            and c.locked_at < now() - make_interval(secs => p_stale_seconds))
+      )
+    order by c.next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning j.*;
+end;
+$$;
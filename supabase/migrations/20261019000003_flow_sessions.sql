@@ -0,0 +1,13 @@
+-- Flow sessions: maps the flow_token the BSP puts on each Flow message to the recipient
+create table if not exists public.flow_sessions (
+  flow_token text primary key,
+  phone_number text not null,
+  lead_id text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz,
+  expires_at timestamptz not null
+);
+
+create index if not exists flow_sessions_phone_idx on public.flow_sessions (phone_number);
+
+alter table public.flow_sessions enable row level security;
@@ -0,0 +1,14 @@
+-- Rejected webhook calls (bad or missing Meta signature, BSP secret/token)
+create table if not exists public.webhook_rejections (
+  id bigint generated always as identity primary key,
+  source text not null,
+  reason text not null,
+  ip text,
+  path text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_rejections_created_at_idx on public.webhook_rejections (created_at desc);
+
+alter table public.webhook_rejections enable row level security;
@@ -0,0 +1,11 @@
+-- Single-use nonces of signed /api/process-image dispatch tokens (replay protection)
+create table if not exists public.dispatch_nonces (
+  nonce text primary key,
+  job_id uuid not null,
+  expires_at timestamptz not null,
+  used_at timestamptz not null default now()
+);
+
+create index if not exists dispatch_nonces_expires_at_idx on public.dispatch_nonces (expires_at);
+
+alter table public.dispatch_nonces enable row level security;
@@ -0,0 +1,2 @@
+-- Which image provider produced each job's output
+alter table public.image_jobs add column if not exists provider text;
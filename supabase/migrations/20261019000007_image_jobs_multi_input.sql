@@ -0,0 +1,8 @@
+-- Jobs can carry several input photos (composite mode uses all of them as references)
+alter table public.image_jobs add column if not exists input_images jsonb not null default '[]'::jsonb;
+
+update public.image_jobs
+set input_images = jsonb_build_array(input_image)
+where input_image is not null and input_images = '[]'::jsonb;
+
+alter table public.image_jobs drop column if exists input_image;
@@ -0,0 +1,25 @@
+-- Variants mode: one job renders several candidates, the customer picks one
+-- and a follow-up job (parent_job_id) renders the high-resolution final.
+alter table public.image_jobs add column if not exists variant_count integer not null default 1;
+alter table public.image_jobs add column if not exists variants jsonb not null default '[]'::jsonb;
+alter table public.image_jobs add column if not exists selected_variant integer;
+alter table public.image_jobs add column if not exists selected_at timestamptz;
+alter table public.image_jobs add column if not exists selection_source text;
+alter table public.image_jobs add column if not exists parent_job_id uuid references public.image_jobs (id);
+
+create index if not exists image_jobs_awaiting_selection_idx
+  on public.image_jobs (phone_number, created_at desc)
+  where variant_count > 1 and selected_variant is null;
+
+-- How often each variant style is offered and picked
+create or replace view public.variant_style_stats
+with (security_invoker = true) as
+select
+  v ->> 'style' as style,
+  count(*) as offered,
+  count(*) filter (where (v ->> 'index')::integer = j.selected_variant) as selected
+from public.image_jobs j
+cross join lateral jsonb_array_elements(j.variants) v
+where j.variant_count > 1
+  and j.status = 'delivered'
+group by 1;
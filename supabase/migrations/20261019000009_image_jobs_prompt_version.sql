@@ -0,0 +1,20 @@
+-- Which prompt template version (and normalized category) produced each image
+alter table public.image_jobs add column if not exists prompt_version text;
+alter table public.image_jobs add column if not exists prompt_category text;
+
+create index if not exists image_jobs_prompt_version_idx on public.image_jobs (prompt_version, created_at desc);
+
+-- Outcome per template version, for comparing A/B variants
+create or replace view public.prompt_version_stats
+with (security_invoker = true) as
+select
+  prompt_category,
+  prompt_version,
+  count(*) as jobs,
+  count(*) filter (where status = 'delivered') as delivered,
+  count(*) filter (where status = 'failed') as failed,
+  count(*) filter (where selected_variant is not null) as variant_picked,
+  round(avg((timings ->> 'generation_ms')::numeric)) as avg_generation_ms
+from public.image_jobs
+where prompt_version is not null
+group by prompt_category, prompt_version;
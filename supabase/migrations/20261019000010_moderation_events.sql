@@ -0,0 +1,16 @@
+-- Text fields and images blocked by sanitization/moderation
+create table if not exists public.moderation_events (
+  id bigint generated always as identity primary key,
+  stage text not null check (stage in ('text', 'input', 'output')),
+  phone_number text,
+  job_id uuid references public.image_jobs (id) on delete set null,
+  field text,
+  reason text not null,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_events_created_at_idx on public.moderation_events (created_at desc);
+create index if not exists moderation_events_phone_idx on public.moderation_events (phone_number, created_at desc);
+
+alter table public.moderation_events enable row level security;
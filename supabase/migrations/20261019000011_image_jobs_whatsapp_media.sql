@@ -0,0 +1,3 @@
+-- Images are delivered by WhatsApp media id (Graph /media upload) instead of a public link
+alter table public.image_jobs add column if not exists whatsapp_media_id text;
+alter table public.image_jobs add column if not exists whatsapp_media_uploaded_at timestamptz;
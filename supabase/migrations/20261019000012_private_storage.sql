@@ -0,0 +1,52 @@
+-- Generated images live in a private bucket under per-customer, per-job keys.
+-- Jobs record the object key; signed URLs are created on demand by the API.
+-- output_url stays for jobs created while the bucket was public.
+alter table public.image_jobs add column if not exists output_key text;
+
+update storage.buckets set public = false where id = 'generated-images';
+
+-- A job with a stored output (key or legacy URL) only needs redelivery
+create or replace function public.claim_image_jobs(
+  p_worker text,
+  p_limit integer default 1,
+  p_job_id uuid default null,
+  p_stale_seconds integer default 300
+)
+returns setof public.image_jobs
+language plpgsql
+as $$
+begin
+  update public.image_jobs
+  set status = 'failed',
+      last_error = coalesce(last_error, 'Worker stopped responding'),
+      locked_at = null,
+      updated_at = now(),
+      completed_at = now()
+  where status in ('generating', 'uploaded')
+    and locked_at < now() - make_interval(secs => p_stale_seconds)
+    and attempts >= max_attempts;
+
+  return query
+  update public.image_jobs j
+  set status = case when j.output_key is null and j.output_url is null then 'generating' else 'uploaded' end,
+      attempts = j.attempts + 1,
+      locked_at = now(),
+      locked_by = p_worker,
+      updated_at = now()
+  where j.id in (
+    select c.id
+    from public.image_jobs c
+    where (p_job_id is null or c.id = p_job_id)
+      and c.attempts < c.max_attempts
+      and (
+        (c.status = 'queued' and c.next_attempt_at <= now())
+        or (c.status in ('generating', 'uploaded')
+            and c.locked_at < now() - make_interval(secs => p_stale_seconds))
+      )
+    order by c.next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning j.*;
+end;
+$$;
@@ -0,0 +1,7 @@
+-- The customer's original uploads are stored next to the outputs (input-N objects
+-- in the job's storage folder); input_keys links them to the job.
+-- rerun_of points a re-run at the job whose originals it reused.
+alter table public.image_jobs add column if not exists input_keys jsonb not null default '[]'::jsonb;
+alter table public.image_jobs add column if not exists rerun_of uuid references public.image_jobs (id);
+
+create index if not exists image_jobs_rerun_of_idx on public.image_jobs (rerun_of) where rerun_of is not null;
@@ -0,0 +1,9 @@
+-- Result cache: a job submitted with the same photos (input_hashes) and options
+-- reuses the stored output of an earlier job with the same cache_key.
+alter table public.image_jobs add column if not exists input_hashes jsonb not null default '[]'::jsonb;
+alter table public.image_jobs add column if not exists cache_key text;
+alter table public.image_jobs add column if not exists cached_from uuid references public.image_jobs (id);
+
+create index if not exists image_jobs_cache_key_idx
+  on public.image_jobs (cache_key, created_at desc)
+  where cache_key is not null and output_key is not null;
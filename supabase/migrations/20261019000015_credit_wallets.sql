@@ -0,0 +1,181 @@
+-- Credit wallets: every phone number has a balance; a job is charged when it is
+-- queued and refunded if it ends up failed. Top-ups arrive through the payment
+-- webhook and are applied once per payment reference.
+create table if not exists public.credit_wallets (
+  phone_number text primary key,
+  balance integer not null default 0 check (balance >= 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Ledger of every balance change; amount is positive for credits added, negative for credits spent
+create table if not exists public.credit_transactions (
+  id bigint generated always as identity primary key,
+  phone_number text not null references public.credit_wallets (phone_number),
+  amount integer not null,
+  kind text not null check (kind in ('signup_bonus', 'topup', 'charge', 'refund')),
+  job_id uuid references public.image_jobs (id),
+  payment_provider text,
+  payment_reference text,
+  details jsonb,
+  balance_after integer not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists credit_transactions_payment_idx
+  on public.credit_transactions (payment_provider, payment_reference)
+  where payment_reference is not null;
+create unique index if not exists credit_transactions_job_kind_idx
+  on public.credit_transactions (job_id, kind)
+  where job_id is not null;
+create index if not exists credit_transactions_phone_idx
+  on public.credit_transactions (phone_number, created_at desc);
+
+alter table public.credit_wallets enable row level security;
+alter table public.credit_transactions enable row level security;
+
+alter table public.image_jobs add column if not exists credits_charged integer not null default 0;
+alter table public.image_jobs add column if not exists credits_refunded_at timestamptz;
+
+create index if not exists image_jobs_pending_refund_idx
+  on public.image_jobs (updated_at)
+  where status = 'failed' and credits_charged > 0 and credits_refunded_at is null;
+
+-- Create a wallet on first use, starting with p_signup_bonus credits
+create or replace function public.ensure_credit_wallet(
+  p_phone text,
+  p_signup_bonus integer default 0
+)
+returns public.credit_wallets
+language plpgsql
+as $$
+declare
+  v_wallet public.credit_wallets;
+begin
+  insert into public.credit_wallets (phone_number, balance)
+  values (p_phone, greatest(p_signup_bonus, 0))
+  on conflict (phone_number) do nothing
+  returning * into v_wallet;
+
+  if found then
+    if v_wallet.balance > 0 then
+      insert into public.credit_transactions (phone_number, amount, kind, balance_after)
+      values (p_phone, v_wallet.balance, 'signup_bonus', v_wallet.balance);
+    end if;
+    return v_wallet;
+  end if;
+
+  select * into v_wallet from public.credit_wallets where phone_number = p_phone;
+  return v_wallet;
+end;
+$$;
+
+-- Charge a job's cost to its customer's wallet. Raises INSUFFICIENT_CREDITS when
+-- the balance is too low; charging the same job twice fails on the ledger index.
+create or replace function public.charge_job_credits(
+  p_job_id uuid,
+  p_phone text,
+  p_amount integer,
+  p_signup_bonus integer default 0
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_balance integer;
+begin
+  perform public.ensure_credit_wallet(p_phone, p_signup_bonus);
+
+  update public.credit_wallets
+  set balance = balance - p_amount,
+      updated_at = now()
+  where phone_number = p_phone
+    and balance >= p_amount
+  returning balance into v_balance;
+
+  if not found then
+    raise exception 'INSUFFICIENT_CREDITS';
+  end if;
+
+  insert into public.credit_transactions (phone_number, amount, kind, job_id, balance_after)
+  values (p_phone, -p_amount, 'charge', p_job_id, v_balance);
+
+  update public.image_jobs set credits_charged = p_amount where id = p_job_id;
+
+  return v_balance;
+end;
+$$;
+
+-- Return a failed job's credits (once). Returns the number of credits refunded.
+create or replace function public.refund_job_credits(p_job_id uuid)
+returns integer
+language plpgsql
+as $$
+declare
+  v_job public.image_jobs;
+  v_balance integer;
+begin
+  select * into v_job
+  from public.image_jobs
+  where id = p_job_id
+    and status = 'failed'
+    and credits_charged > 0
+    and credits_refunded_at is null
+  for update;
+
+  if not found then
+    return 0;
+  end if;
+
+  update public.credit_wallets
+  set balance = balance + v_job.credits_charged,
+      updated_at = now()
+  where phone_number = v_job.phone_number
+  returning balance into v_balance;
+
+  insert into public.credit_transactions (phone_number, amount, kind, job_id, balance_after)
+  values (v_job.phone_number, v_job.credits_charged, 'refund', p_job_id, v_balance);
+
+  update public.image_jobs set credits_refunded_at = now() where id = p_job_id;
+
+  return v_job.credits_charged;
+end;
+$$;
+
+-- Add purchased credits. A payment reference is applied at most once.
+create or replace function public.top_up_credits(
+  p_phone text,
+  p_credits integer,
+  p_provider text,
+  p_reference text,
+  p_details jsonb default null,
+  p_signup_bonus integer default 0
+)
+returns table (balance integer, applied boolean)
+language plpgsql
+as $$
+declare
+  v_balance integer;
+begin
+  perform public.ensure_credit_wallet(p_phone, p_signup_bonus);
+
+  if exists (
+    select 1 from public.credit_transactions t
+    where t.payment_provider = p_provider and t.payment_reference = p_reference
+  ) then
+    return query select w.balance, false from public.credit_wallets w where w.phone_number = p_phone;
+    return;
+  end if;
+
+  update public.credit_wallets w
+  set balance = w.balance + p_credits,
+      updated_at = now()
+  where w.phone_number = p_phone
+  returning w.balance into v_balance;
+
+  insert into public.credit_transactions (phone_number, amount, kind, payment_provider, payment_reference, details, balance_after)
+  values (p_phone, p_credits, 'topup', p_provider, p_reference, p_details, v_balance);
+
+  return query select v_balance, true;
+end;
+$$;
@@ -0,0 +1,24 @@
+-- Every message the worker sends for a job, keyed by its WhatsApp message id (wamid).
+-- Status webhooks (sent, delivered, read, failed) update the row; failed deliveries
+-- are retried as a new row with the next attempt number.
+create table if not exists public.whatsapp_messages (
+  wamid text primary key,
+  job_id uuid not null references public.image_jobs (id),
+  phone_number text not null,
+  kind text not null check (kind in ('image', 'variant', 'selection_prompt')),
+  variant_index integer,
+  attempt integer not null default 1,
+  sent_via text,
+  status text not null default 'accepted',
+  status_at timestamptz not null default now(),
+  error jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_messages_job_idx on public.whatsapp_messages (job_id, created_at);
+
+alter table public.whatsapp_messages enable row level security;
+
+-- Delivery status of the job's main message (the image, or the selection prompt of a variants set)
+alter table public.image_jobs add column if not exists delivery_status text;
+alter table public.image_jobs add column if not exists delivery_status_at timestamptz;
@@ -0,0 +1,10 @@
+-- When each customer last messaged us. WhatsApp only allows free-form messages
+-- within 24 hours of that; after it, images go out as an approved template.
+create table if not exists public.whatsapp_contacts (
+  phone_number text primary key,
+  last_inbound_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.whatsapp_contacts enable row level security;
+
@@ -0,0 +1,10 @@
+-- Conversational edits: replying to a delivered image with a change queues an
+-- edit job whose inputs are the product photos plus the image being edited.
+-- edit_of points at the job that was edited, so each job's edit history is
+-- the jobs that point at it.
+alter table public.image_jobs add column if not exists edit_of uuid references public.image_jobs (id);
+
+-- Unbadged copy of a single image's output, so edits start from a clean render
+alter table public.image_jobs add column if not exists source_key text;
+
+create index if not exists image_jobs_edit_of_idx on public.image_jobs (edit_of, created_at) where edit_of is not null;
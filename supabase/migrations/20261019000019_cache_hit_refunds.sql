@@ -0,0 +1,41 @@
+-- Result cache hits are scoped per customer (the phone number is part of
+-- cache_key) and are free: a job served from the cache (cached_from is set)
+-- gets its credits back like a failed job.
+create or replace function public.refund_job_credits(p_job_id uuid)
+returns integer
+language plpgsql
+as $$
+declare
+  v_job public.image_jobs;
+  v_balance integer;
+begin
+  select * into v_job
+  from public.image_jobs
+  where id = p_job_id
+    and (status = 'failed' or cached_from is not null)
+    and credits_charged > 0
+    and credits_refunded_at is null
+  for update;
+
+  if not found then
+    return 0;
+  end if;
+
+  update public.credit_wallets
+  set balance = balance + v_job.credits_charged,
+      updated_at = now()
+  where phone_number = v_job.phone_number
+  returning balance into v_balance;
+
+  insert into public.credit_transactions (phone_number, amount, kind, job_id, balance_after)
+  values (v_job.phone_number, v_job.credits_charged, 'refund', p_job_id, v_balance);
+
+  update public.image_jobs set credits_refunded_at = now() where id = p_job_id;
+
+  return v_job.credits_charged;
+end;
+$$;
+
+create index if not exists image_jobs_pending_cache_refund_idx
+  on public.image_jobs (updated_at)
+  where cached_from is not null and credits_charged > 0 and credits_refunded_at is null;
@@ -0,0 +1,6 @@
+-- Re-runs come from the admin API or from the customer's follow-up buttons.
+-- Only admin re-runs are exempt from the customer's rate limits, so they are
+-- marked. Existing re-runs keep the exemption they were created with.
+alter table public.image_jobs add column if not exists admin_rerun boolean not null default false;
+
+update public.image_jobs set admin_rerun = true where rerun_of is not null and not admin_rerun;
@@ -0,0 +1,4 @@
+-- Input images move off the row into the private bucket. input_image_keys lists
+-- the images a job renders from (the uploads, or a candidate/render for finals
+-- and edits); input_images is only filled on jobs created before this.
+alter table public.image_jobs add column if not exists input_image_keys jsonb not null default '[]'::jsonb;
@@ -0,0 +1,77 @@
+-- Rate limits count the images customers claimed instead of the jobs they
+-- started, so a variant set counts one image per candidate. claim_rate_limit
+-- checks every window and records the claim in one transaction under an
+-- advisory lock, so two concurrent submissions can't both pass a limit only
+-- one of them fits. Finals of a picked candidate and admin re-runs never claim.
+create table if not exists public.rate_limit_claims (
+  id bigint generated always as identity primary key,
+  phone_number text not null,
+  images integer not null check (images > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_claims_phone_idx on public.rate_limit_claims (phone_number, created_at desc);
+create index if not exists rate_limit_claims_created_at_idx on public.rate_limit_claims (created_at desc);
+
+alter table public.rate_limit_claims enable row level security;
+
+-- Carry over the last day of usage so the switch doesn't reset anyone's limits
+insert into public.rate_limit_claims (phone_number, images, created_at)
+select phone_number, greatest(variant_count, 1), created_at
+from public.image_jobs
+where created_at > now() - interval '24 hours'
+  and not admin_rerun
+  and (parent_job_id is null or edit_of is not null or rerun_of is not null);
+
+-- Check p_images more images against each rule in order and, when every rule has
+-- room, record them (p_claim false only checks). p_rules is a list of
+-- { reason, per_phone, limit, window_seconds }. Returns { allowed, claim_id }, or
+-- { allowed: false, reason, used, limit, oldest_at } for the first full rule.
+create or replace function public.claim_rate_limit(
+  p_phone text,
+  p_images integer,
+  p_rules jsonb,
+  p_claim boolean default true
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_rule jsonb;
+  v_used integer;
+  v_oldest timestamptz;
+  v_claim_id bigint;
+begin
+  -- A global rule needs every claim serialized, per-phone rules only the customer's
+  if exists (select 1 from jsonb_array_elements(p_rules) r where not (r ->> 'per_phone')::boolean) then
+    perform pg_advisory_xact_lock(hashtext('rate_limit_claims'));
+  else
+    perform pg_advisory_xact_lock(hashtext('rate_limit_claims:' || p_phone));
+  end if;
+
+  for v_rule in select * from jsonb_array_elements(p_rules) loop
+    select coalesce(sum(c.images), 0), min(c.created_at) into v_used, v_oldest
+    from public.rate_limit_claims c
+    where c.created_at > now() - make_interval(secs => (v_rule ->> 'window_seconds')::integer)
+      and (not (v_rule ->> 'per_phone')::boolean or c.phone_number = p_phone);
+
+    if v_used + p_images > (v_rule ->> 'limit')::integer then
+      return jsonb_build_object(
+        'allowed', false,
+        'reason', v_rule ->> 'reason',
+        'used', v_used,
+        'limit', (v_rule ->> 'limit')::integer,
+        'oldest_at', v_oldest
+      );
+    end if;
+  end loop;
+
+  if p_claim then
+    insert into public.rate_limit_claims (phone_number, images)
+    values (p_phone, p_images)
+    returning id into v_claim_id;
+  end if;
+
+  return jsonb_build_object('allowed', true, 'claim_id', v_claim_id);
+end;
+$$;
@@ -0,0 +1,87 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { dispatched } from './helpers/flow.js';
+import { sent } from './helpers/whatsapp.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+const { default: handler } = await import('../api/bsp-lead.js');
+
+process.env.BSP_WEBHOOK_TOKEN = 'bsp-token';
+process.env.ADMIN_API_TOKEN = 'admin-secret';
+
+const PHONE = '919800000001';
+const openSet = {
+  id: '11111111-2222-4333-8444-555555555555',
+  status: 'delivered',
+  phone_number: PHONE,
+  variant_count: 2,
+  params: { productCategory: 'saree' },
+  variants: [1, 2].map((index) => ({ index, style: 'hero', source_url: `http://supabase.test/storage/v1/object/public/generated-images/${index}.png` }))
+};
+
+function postLead(body) {
+  const req = Object.assign(Readable.from([Buffer.from(JSON.stringify(body))]), {
+    method: 'POST',
+    url: '/api/bsp-lead',
+    query: {},
+    headers: { 'content-type': 'application/json', 'x-bsp-token': 'bsp-token' }
+  });
+  const res = createResponse();
+  return handler(req, res).then(() => res);
+}
+
+function routeJobs(jobs) {
+  setRoute(({ method, table, body }) => {
+    if (table === 'bsp_leads') return { status: 201, body: [body] };
+    if (table === 'object') return { body: 'candidate' };
+    if (table !== 'image_jobs') return { body: [] };
+    if (method === 'GET') return { body: jobs };
+    if (method === 'PATCH') return { body: [{ ...jobs[0], ...body }] };
+    return { status: 201, body: [{ ...body, id: 'final-job' }] };
+  });
+}
+
+beforeEach(() => {
+  sent.length = 0;
+  dispatched.length = 0;
+});
+
+test('a relayed "2" picks that option and confirms it', async () => {
+  routeJobs([openSet]);
+  const res = await postLead({ phoneNumber: '+91 98000 00001', firstName: 'Asha', user_message: '2' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.variantSelection, { jobId: openSet.id, variant: 2, finalJobId: 'final-job' });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, PHONE);
+  assert.match(sent[0].text.body, /high-resolution version of option 2/);
+  assert.deepEqual(dispatched.map((body) => body.jobId), ['final-job']);
+});
+
+test('other messages are stored without a pick', async () => {
+  routeJobs([]);
+  const res = await postLead({ phoneNumber: PHONE, firstName: 'Asha', user_message: '2' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.variantSelection, null);
+  assert.equal(sent.length, 0);
+  assert.equal(dispatched.length, 0);
+});
+
+test('lead lookups and debug info need the admin token', async () => {
+  setRoute(() => ({ body: [{ phone_number: PHONE, first_name: 'Asha', updated_at: '2026-10-19T10:00:00Z' }] }));
+
+  for (const query of [{ identifier: 'latest' }, { debug: 'true' }]) {
+    const res = createResponse();
+    await handler(createRequest({ query }), res);
+    assert.equal(res.statusCode, 401);
+  }
+  assert.equal(calls.length, 0);
+
+  const res = createResponse();
+  await handler(createRequest({ query: { identifier: 'latest' }, headers: { authorization: 'Bearer admin-secret' } }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.firstName, 'Asha');
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+delete process.env.CREDITS_PER_IMAGE;
+const defaults = await import('../lib/credits.js?defaults');
+
+process.env.CREDITS_PER_IMAGE = '2';
+process.env.CREDITS_SIGNUP_BONUS = '3';
+const credits = await import('../lib/credits.js');
+
+const job = { id: '00000000-0000-4000-8000-000000000001', phone_number: '919800000001', variant_count: 3 };
+
+beforeEach(() => {
+  setRoute(() => ({ status: 200, body: [] }));
+});
+
+test('charging is off unless CREDITS_PER_IMAGE is set', () => {
+  assert.equal(defaults.isChargingEnabled(), false);
+  assert.equal(credits.isChargingEnabled(), true);
+});
+
+test('a customer without a wallet has the signup bonus', async () => {
+  assert.equal(await credits.getCreditBalance(job.phone_number), 3);
+
+  setRoute(() => ({ body: [{ balance: 7 }] }));
+  assert.equal(await credits.getCreditBalance(job.phone_number), 7);
+});
+
+test('charges every candidate of a job with the signup bonus', async () => {
+  setRoute(() => ({ body: 4 }));
+
+  assert.equal(await credits.chargeJobCredits(job), 4);
+  assert.equal(calls[0].rpc, 'charge_job_credits');
+  assert.deepEqual(calls[0].body, { p_job_id: job.id, p_phone: job.phone_number, p_amount: 6, p_signup_bonus: 3 });
+});
+
+test('a balance that is too low is reported as INSUFFICIENT_CREDITS', async () => {
+  setRoute(() => ({ status: 400, body: { code: 'P0001', message: 'INSUFFICIENT_CREDITS' } }));
+  await assert.rejects(credits.chargeJobCredits(job), { code: 'INSUFFICIENT_CREDITS' });
+
+  setRoute(() => ({ status: 500, body: { message: 'connection reset' } }));
+  await assert.rejects(credits.chargeJobCredits(job), (error) => error.code === undefined);
+});
+
+test('refunds through the ledger', async () => {
+  setRoute(() => ({ body: 6 }));
+
+  assert.equal(await credits.refundJobCredits(job.id), 6);
+  assert.deepEqual(calls[0].body, { p_job_id: job.id });
+});
+
+test('a payment reference is applied once', async () => {
+  setRoute(() => ({ body: [{ balance: 13, applied: true }] }));
+  assert.deepEqual(
+    await credits.applyTopUp({ phoneNumber: job.phone_number, credits: 10, provider: 'razorpay', reference: 'pay_1' }),
+    { balance: 13, applied: true }
+  );
+
+  setRoute((call) => call.rpc
+    ? { status: 409, body: { code: '23505', message: 'duplicate key value' } }
+    : { body: [{ balance: 13 }] });
+  assert.deepEqual(
+    await credits.applyTopUp({ phoneNumber: job.phone_number, credits: 10, provider: 'razorpay', reference: 'pay_1' }),
+    { balance: 13, applied: false }
+  );
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { sent, media } from './helpers/whatsapp.js';
+import { objects } from './helpers/fake-storage.js';
+
+const { recordMessageStatus } = await import('../lib/delivery.js');
+const { retryFailedDelivery } = await import('../lib/worker.js');
+const { dispatchWhatsAppEvents } = await import('../lib/whatsapp-events.js');
+
+const PHONE = '919800000001';
+const JOB_ID = '11111111-2222-4333-8444-555555555555';
+const OUTPUT_KEY = `customers/abc/jobs/${JOB_ID}/output-1.png`;
+
+const job = {
+  id: JOB_ID,
+  status: 'delivered',
+  phone_number: PHONE,
+  params: { productCategory: 'saree', finalOf: { jobId: 'set-1', variant: 2 } },
+  variant_count: 1,
+  output_key: OUTPUT_KEY,
+  whatsapp_media_id: 'media.earlier',
+  whatsapp_message_id: 'wamid.out.1'
+};
+
+// whatsapp_messages reads return `message`
+let message;
+
+beforeEach(() => {
+  sent.length = 0;
+  media.length = 0;
+  objects.clear();
+  const png = new PNG({ width: 4, height: 4 });
+  objects.set(`generated-images/${OUTPUT_KEY}`, { body: PNG.sync.write(png), contentType: 'image/png' });
+  message = { wamid: 'wamid.out.1', job_id: JOB_ID, phone_number: PHONE, kind: 'image', variant_index: null, attempt: 1, status: 'sent' };
+
+  setRoute(({ method, table, body }) => {
+    if (table === 'object') return { body: { signedURL: '/object/sign/generated-images/output-1.png?token=t' } };
+    if (table === 'whatsapp_messages') {
+      if (method === 'GET') return { body: message ? [message] : [] };
+      if (method === 'PATCH') return { body: [{ ...message, ...body }] };
+      return { status: 201, body: [{ status: 'accepted', ...body }] };
+    }
+    if (table === 'image_jobs') {
+      return { body: [method === 'PATCH' ? { ...job, ...body } : job] };
+    }
+    return { body: [] };
+  });
+});
+
+const failure = (code, title = 'Failure') => ({ id: 'wamid.out.1', recipient_id: PHONE, status: 'failed', timestamp: '1790000000', errors: [{ code, title }] });
+const patches = (table) => calls.filter((call) => call.table === table && call.method === 'PATCH');
+const inserts = () => calls.filter((call) => call.table === 'whatsapp_messages' && call.method === 'POST');
+
+test('applies newer statuses and mirrors them on the job', async () => {
+  const updated = await recordMessageStatus({ id: 'wamid.out.1', status: 'delivered', timestamp: '1790000000' });
+
+  assert.equal(updated.status, 'delivered');
+  const [mirror] = patches('image_jobs');
+  assert.deepEqual(mirror.body, { delivery_status: 'delivered', delivery_status_at: '2026-09-21T14:13:20.000Z' });
+  assert.equal(mirror.params.get('whatsapp_message_id'), 'eq.wamid.out.1');
+});
+
+test('ignores statuses that arrive late and messages that are not ours', async () => {
+  message = { ...message, status: 'read' };
+  assert.equal(await recordMessageStatus({ id: 'wamid.out.1', status: 'delivered' }), null);
+
+  message = null;
+  assert.equal(await recordMessageStatus({ id: 'wamid.other', status: 'read' }), null);
+  assert.equal(patches('whatsapp_messages').length, 0);
+});
+
+test('resends a failed image with a fresh media upload, then as a signed link', async () => {
+  const second = await retryFailedDelivery(message, [{ code: 131000, title: 'Something went wrong' }]);
+
+  assert.equal(media.length, 1);
+  assert.equal(sent[0].image.id, 'media.1');
+  assert.equal(sent[0].image.caption, "Here's the high-resolution version of option 2! 🎨✨");
+  assert.deepEqual(
+    { wamid: second.wamid, attempt: second.attempt, sent_via: second.sent_via },
+    { wamid: 'wamid.1', attempt: 2, sent_via: 'media_id' }
+  );
+  assert.equal(patches('image_jobs')[0].body.whatsapp_message_id, 'wamid.1');
+
+  const third = await retryFailedDelivery({ ...message, attempt: 2 }, []);
+  assert.equal(sent[1].image.link, 'http://supabase.test/storage/v1/object/sign/generated-images/output-1.png?token=t');
+  assert.equal(third.sent_via, 'link');
+});
+
+test('gives up on permanent errors and after the last attempt', async () => {
+  assert.equal(await retryFailedDelivery(message, [{ code: 131026, title: 'Message undeliverable' }]), null);
+  assert.equal(await retryFailedDelivery({ ...message, attempt: 3 }, []), null);
+
+  assert.equal(sent.length, 0);
+  assert.deepEqual(patches('image_jobs').map((call) => call.body.last_error), [
+    'Delivery failed: 131026 Message undeliverable',
+    'Delivery failed: unknown'
+  ]);
+});
+
+test('a failed message whose job is gone is not resent', async () => {
+  setRoute(({ table }) => (table === 'image_jobs' ? { body: [] } : { body: [message] }));
+
+  assert.equal(await retryFailedDelivery(message, [{ code: 131000, title: 'Something went wrong' }]), null);
+  assert.equal(sent.length, 0);
+  assert.ok(calls.every((call) => call.method === 'GET'));
+});
+
+test('a failed status webhook retries the delivery', async () => {
+  const [event] = await dispatchWhatsAppEvents({
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ field: 'messages', value: { statuses: [failure(131000)] } }] }]
+  });
+
+  const [retry] = inserts();
+  assert.deepEqual(event.result, { handled: true, jobId: JOB_ID, retried: true, retryWamid: retry.body.wamid });
+  assert.equal(retry.body.attempt, 2);
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+process.env.INTERNAL_DISPATCH_SECRET = 'dispatch-secret';
+const { signDispatchToken, verifyDispatchToken, consumeDispatchNonce } = await import('../lib/dispatch-token.js');
+const { default: processImage } = await import('../api/process-image.js');
+
+const jobId = '00000000-0000-4000-8000-000000000001';
+const phone = '919800000001';
+
+// A token signed with the real secret but carrying our own payload
+function craftToken(payload) {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${createHmac('sha256', 'dispatch-secret').update(encoded).digest('base64url')}`;
+}
+
+function dispatch(token) {
+  return createRequest({ method: 'POST', body: { jobId }, headers: { 'x-dispatch-token': token } });
+}
+
+beforeEach(() => {
+  setRoute(({ method, table }) => method === 'GET' && table === 'image_jobs'
+    ? { body: [{ id: jobId, phone_number: phone }] }
+    : { status: 201, body: [] });
+});
+
+test('a token verifies for the job it was issued for', () => {
+  const result = verifyDispatchToken(signDispatchToken({ jobId, phoneNumber: phone }), { jobId });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.payload.phone, phone);
+  assert.ok(result.payload.exp > Date.now() / 1000);
+});
+
+test('rejects missing, forged, expired and misdirected tokens', () => {
+  const token = signDispatchToken({ jobId, phoneNumber: phone });
+  const [payload, signature] = token.split('.');
+  const exp = Math.floor(Date.now() / 1000) + 60;
+
+  assert.equal(verifyDispatchToken(undefined, { jobId }).reason, 'MISSING_TOKEN');
+  assert.equal(verifyDispatchToken(`${payload}.${signature.slice(1)}x`, { jobId }).reason, 'INVALID_SIGNATURE');
+  assert.equal(verifyDispatchToken(`${craftToken({ jobId, phone, exp, nonce: 'n' }).split('.')[0]}.${signature}`, { jobId }).reason, 'INVALID_SIGNATURE');
+  assert.equal(verifyDispatchToken(craftToken({ jobId, phone, exp: exp - 120, nonce: 'n' }), { jobId }).reason, 'EXPIRED_TOKEN');
+  assert.equal(verifyDispatchToken(token, { jobId: '00000000-0000-4000-8000-000000000002' }).reason, 'JOB_MISMATCH');
+});
+
+test('a nonce can be used once, across instances', async () => {
+  const { payload } = verifyDispatchToken(signDispatchToken({ jobId, phoneNumber: phone }), { jobId });
+
+  assert.equal(await consumeDispatchNonce(payload), true);
+  assert.equal(calls[0].table, 'dispatch_nonces');
+  assert.equal(await consumeDispatchNonce(payload), false);
+
+  // Another instance already stored this nonce
+  setRoute(() => ({ status: 409, body: { code: '23505', message: 'duplicate key value' } }));
+  const other = verifyDispatchToken(signDispatchToken({ jobId, phoneNumber: phone }), { jobId }).payload;
+  assert.equal(await consumeDispatchNonce(other), false);
+});
+
+test('process-image refuses replays and tokens for another recipient', async () => {
+  const token = signDispatchToken({ jobId, phoneNumber: phone });
+
+  const first = createResponse();
+  await processImage(dispatch(token), first);
+  assert.notEqual(first.statusCode, 401);
+
+  const replay = createResponse();
+  await processImage(dispatch(token), replay);
+  assert.equal(replay.statusCode, 401);
+  assert.equal(replay.body.reason, 'REPLAYED_TOKEN');
+
+  const misdirected = createResponse();
+  await processImage(dispatch(signDispatchToken({ jobId, phoneNumber: '919800000002' })), misdirected);
+  assert.equal(misdirected.statusCode, 401);
+  assert.equal(misdirected.body.reason, 'RECIPIENT_MISMATCH');
+});
@@ -0,0 +1,62 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+const { registerFlowSession, getFlowSession, resolveFlowPhone } = await import('../lib/flow-sessions.js');
+
+beforeEach(() => {
+  setRoute(() => ({ status: 201, body: null }));
+});
+
+test('registers a flow_token for a normalized phone', async () => {
+  const session = await registerFlowSession({ flowToken: 'token-1', phoneNumber: '98000 00001', leadId: 'lead-1' });
+
+  assert.equal(session.phone_number, '919800000001');
+  assert.equal(session.persisted, true);
+  assert.equal(calls[0].table, 'flow_sessions');
+  assert.equal(calls[0].params.get('on_conflict'), 'flow_token');
+  assert.ok(Date.parse(session.expires_at) > Date.now() + 71 * 3600 * 1000);
+});
+
+test('a session needs both a token and a phone', async () => {
+  await assert.rejects(registerFlowSession({ flowToken: 'token-2', phoneNumber: '' }));
+  await assert.rejects(registerFlowSession({ flowToken: null, phoneNumber: '919800000001' }));
+});
+
+test('resolves the phone from the session registered for the token', async () => {
+  await registerFlowSession({ flowToken: 'token-3', phoneNumber: '919800000003' });
+  calls.length = 0;
+
+  assert.equal(await resolveFlowPhone({ flow_token: 'token-3' }), '919800000003');
+  assert.equal(calls.length, 0);
+});
+
+test('looks up sessions registered by another instance, unexpired only', async () => {
+  setRoute(({ params }) => params.get('flow_token') === 'eq.token-4'
+    ? { body: [{ flow_token: 'token-4', phone_number: '919800000004', expires_at: new Date(Date.now() + 3600 * 1000).toISOString() }] }
+    : { body: [] });
+
+  assert.equal((await getFlowSession('token-4')).phone_number, '919800000004');
+  assert.match(calls[0].params.get('expires_at'), /^gt\./);
+});
+
+test('an unknown token resolves to no phone instead of another customer\'s', async () => {
+  setRoute(({ table }) => table === 'bsp_leads'
+    ? { body: [{ phone_number: '919800000009', raw: {}, updated_at: new Date().toISOString() }] }
+    : { body: [] });
+
+  assert.equal(await resolveFlowPhone({ flow_token: 'token-unknown', data: {} }), null);
+  assert.equal(calls.some((call) => call.table === 'bsp_leads'), false);
+});
+
+test('only trusts the WhatsApp user id from the payload, not phone fields in the form', async () => {
+  setRoute(() => ({ body: [] }));
+
+  assert.equal(await resolveFlowPhone({ flow_token: 'token-5', user: { wa_id: '919800000005' } }), '919800000005');
+  assert.equal(await resolveFlowPhone({
+    flow_token: 'token-6',
+    phone_number: '919800000006',
+    user: { phone: '919800000006' },
+    data: { phone_number: '919800000006', user_phone: '919800000006', mobile_number: '919800000006' }
+  }), null);
+});
@@ -0,0 +1,162 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { dispatched } from './helpers/flow.js';
+import { sent } from './helpers/whatsapp.js';
+import { rateLimitAnswer } from './helpers/rate-limit.js';
+
+process.env.CREDITS_PER_IMAGE = '1';
+process.env.RATE_LIMIT_BURST_PER_PHONE = '3';
+const { handleFollowUpReply, parseFollowUpReply, sendFollowUpButtons } = await import('../lib/follow-ups.js');
+const { dispatchWhatsAppEvents } = await import('../lib/whatsapp-events.js');
+
+const phone = '919800000001';
+const job = {
+  id: '00000000-0000-4000-8000-000000000001',
+  phone_number: phone,
+  status: 'delivered',
+  variant_count: 1,
+  input_keys: ['customers/abc/jobs/1/input-1.jpg'],
+  output_key: 'customers/abc/jobs/1/output-1.png',
+  source_key: 'customers/abc/jobs/1/output-source-1.png',
+  params: { productCategory: 'Saree', scenePreset: 'studio_white' }
+};
+
+// recentImages is what the customer already used of the rate limit
+let jobs;
+let balance;
+let recentImages;
+
+beforeEach(() => {
+  dispatched.length = 0;
+  sent.length = 0;
+  jobs = { [job.id]: job };
+  balance = 5;
+  recentImages = 0;
+
+  setRoute(({ method, table, rpc, params, body }) => {
+    if (rpc === 'claim_rate_limit') return rateLimitAnswer(recentImages, body);
+    if (rpc === 'charge_job_credits') {
+      return balance < body.p_amount
+        ? { status: 400, body: { code: 'P0001', message: 'INSUFFICIENT_CREDITS' } }
+        : { body: balance - body.p_amount };
+    }
+    if (table === 'credit_wallets') return { body: [{ balance }] };
+    if (table === 'image_jobs' && method === 'POST') return { status: 201, body: [{ ...body, id: 'rerun-job' }] };
+    if (table === 'image_jobs') return { body: [jobs[params.get('id')?.slice(3)]].filter(Boolean) };
+    return { status: 201, body: [] };
+  });
+});
+
+const jobInserts = () => calls.filter((call) => call.table === 'image_jobs' && call.method === 'POST');
+
+test('button ids name the action and the job', () => {
+  assert.deepEqual(parseFollowUpReply(`Scene:${job.id.toUpperCase()}`), { action: 'scene', jobId: job.id });
+  assert.equal(parseFollowUpReply('regenerate:not-a-job'), null);
+  assert.equal(parseFollowUpReply('option_1'), null);
+  assert.equal(parseFollowUpReply(undefined), null);
+});
+
+test('a new scene is only offered for a fresh render, an HD version not for a final', async () => {
+  await sendFollowUpButtons(job);
+  await sendFollowUpButtons({ ...job, params: { ...job.params, editOf: { jobId: 'earlier' } } });
+  await sendFollowUpButtons({ ...job, params: { ...job.params, finalOf: { jobId: 'earlier', variant: null } } });
+
+  const titles = sent.map((message) => message.interactive.action.buttons.map((button) => button.reply.title));
+  assert.deepEqual(titles, [['Regenerate', 'Try another scene', 'Get HD version'], ['Regenerate', 'Get HD version'], ['Regenerate']]);
+  assert.equal(sent[0].interactive.action.buttons[0].reply.id, `regenerate:${job.id}`);
+});
+
+test('Regenerate queues a charged re-run that renders again', async () => {
+  const result = await handleFollowUpReply(phone, `regenerate:${job.id}`);
+
+  assert.equal(result.rerun.id, 'rerun-job');
+  assert.match(result.message, /fresh take/);
+  const [insert] = jobInserts();
+  assert.equal(insert.body.rerun_of, job.id);
+  assert.deepEqual(insert.body.input_image_keys, job.input_keys);
+  assert.deepEqual(insert.body.params, { ...job.params, forceFresh: true });
+  assert.equal(insert.body.admin_rerun, false);
+  assert.equal(calls.find((call) => call.rpc === 'charge_job_credits').body.p_job_id, 'rerun-job');
+  assert.deepEqual(dispatched.map((body) => body.jobId), ['rerun-job']);
+});
+
+test('Try another scene moves to the next preset', async () => {
+  const result = await handleFollowUpReply(phone, `scene:${job.id}`);
+
+  assert.match(result.message, /^Trying a new scene: Festive Diwali/);
+  assert.equal(jobInserts()[0].body.params.scenePreset, 'festive_diwali');
+  assert.equal(jobInserts()[0].body.params.sceneDescription, null);
+});
+
+test('Get HD version queues a charged high-resolution final of the delivered image', async () => {
+  const result = await handleFollowUpReply(phone, `hd:${job.id}`);
+
+  assert.equal(result.rerun.id, 'rerun-job');
+  assert.match(result.message, /high-resolution version of your image/);
+  const [insert] = jobInserts();
+  // Rendered from the unbadged image, like the final of a picked candidate
+  assert.deepEqual(insert.body.input_image_keys, [job.source_key]);
+  assert.equal(insert.body.parent_job_id, job.id);
+  assert.deepEqual(insert.body.params, { ...job.params, finalOf: { jobId: job.id, variant: null } });
+  assert.equal(calls.find((call) => call.rpc === 'claim_rate_limit').body.p_images, 1);
+  assert.equal(calls.find((call) => call.rpc === 'charge_job_credits').body.p_job_id, 'rerun-job');
+  assert.deepEqual(dispatched.map((body) => body.jobId), ['rerun-job']);
+
+  jobs = { [job.id]: { ...job, params: { ...job.params, finalOf: { jobId: 'earlier', variant: 2 } } } };
+  assert.match((await handleFollowUpReply(phone, `hd:${job.id}`)).message, /already the high-resolution version/);
+  assert.equal(jobInserts().length, 1);
+});
+
+test('a re-run the customer cannot pay for is reported and not dispatched', async () => {
+  balance = 0;
+  const result = await handleFollowUpReply(phone, `regenerate:${job.id}`);
+
+  assert.match(result.message, /needs 1 credit but you have 0/);
+  assert.equal(calls.find((call) => call.method === 'PATCH').body.status, 'failed');
+  assert.equal(dispatched.length, 0);
+  // The unpaid re-run doesn't use up the customer's limit
+  assert.ok(calls.some((call) => call.table === 'rate_limit_claims' && call.method === 'DELETE'));
+});
+
+test('a button re-run over the customer\'s limit is refused before anything is queued', async () => {
+  recentImages = 3;
+  const result = await handleFollowUpReply(phone, `regenerate:${job.id}`);
+
+  assert.equal(result.rerun, undefined);
+  assert.match(result.message, /very quickly/);
+  assert.equal(jobInserts().length, 0);
+  assert.equal(dispatched.length, 0);
+});
+
+test('a job without stored inputs asks for the photo again', async () => {
+  jobs = { [job.id]: { ...job, input_keys: [] } };
+  const result = await handleFollowUpReply(phone, `regenerate:${job.id}`);
+
+  assert.match(result.message, /send your photo through the form once more/);
+  assert.equal(jobInserts().length, 0);
+});
+
+test('buttons for another customer or an undelivered job are ignored', async () => {
+  assert.equal(await handleFollowUpReply('919800000002', `regenerate:${job.id}`), null);
+
+  jobs = { [job.id]: { ...job, status: 'generating' } };
+  assert.equal(await handleFollowUpReply(phone, `regenerate:${job.id}`), null);
+  assert.equal(jobInserts().length, 0);
+});
+
+test('a button tap is answered in the chat', async () => {
+  const [event] = await dispatchWhatsAppEvents({
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ field: 'messages', value: { messages: [{
+      id: 'wamid.in.1',
+      from: phone,
+      timestamp: '1790000000',
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id: `regenerate:${job.id}`, title: 'Regenerate' } }
+    }] } }] }]
+  });
+
+  assert.deepEqual(event.result, { handled: true, jobId: job.id, rerunJobId: 'rerun-job' });
+  assert.equal(sent[0].text.body, 'Creating a fresh take on your image now 🔄');
+});
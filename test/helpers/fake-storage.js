@@ -0,0 +1,45 @@
+// Stand-in for the Supabase Storage S3 endpoint
+// A local HTTP server keeps objects in memory, keyed by "<bucket>/<key>", with
+// their content type and x-amz-meta-* metadata; the storage module talks to it
+// through the real S3 client.
+
+import { createServer } from 'http';
+
+export const objects = new Map();
+
+const server = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const path = decodeURIComponent(new URL(req.url, 'http://storage').pathname.slice(1));
+    res.setHeader('Connection', 'close');
+
+    if (req.method === 'PUT') {
+      const metadata = Object.fromEntries(Object.entries(req.headers)
+        .filter(([name]) => name.startsWith('x-amz-meta-'))
+        .map(([name, value]) => [name.slice('x-amz-meta-'.length), value]));
+      objects.set(path, { body: Buffer.concat(chunks), contentType: req.headers['content-type'], metadata });
+      res.writeHead(200, { ETag: '"stored"' });
+      return res.end();
+    }
+
+    const object = objects.get(path);
+    if (!object) {
+      res.writeHead(404, { 'Content-Type': 'application/xml' });
+      return res.end('<Error><Code>NoSuchKey</Code></Error>');
+    }
+    res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+    return res.end(object.body);
+  });
+});
+
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+server.unref();
+
+export const STORAGE_URL = `http://127.0.0.1:${server.address().port}`;
+
+Object.assign(process.env, {
+  SUPABASE_S3_ENDPOINT: STORAGE_URL,
+  SUPABASE_S3_ACCESS_KEY_ID: 'storage-key',
+  SUPABASE_S3_SECRET_ACCESS_KEY: 'storage-secret'
+});
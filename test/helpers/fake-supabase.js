@@ -0,0 +1,51 @@
+// Stand-in for the Supabase REST API
+// Installs a fetch that records every PostgREST call and answers it from the
+// current route handler; the real supabase-js client is used unchanged.
+// Import this before any module that creates the Supabase client.
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role';
+
+// supabase-js sets up a realtime client on creation and needs a WebSocket
+// constructor on Node 20; realtime is never used, so a placeholder does
+globalThis.WebSocket ||= class {};
+
+export const calls = [];
+
+let route = () => ({ status: 200, body: [] });
+const realFetch = globalThis.fetch;
+
+// handler({ method, table, rpc, params, body, headers }) => { status, body, count }
+export function setRoute(handler) {
+  route = handler;
+  calls.length = 0;
+}
+
+globalThis.fetch = async (url, init = {}) => {
+  const target = new URL(String(url));
+  if (target.origin !== 'http://supabase.test') {
+    return realFetch(url, init);
+  }
+
+  const [, , , resource, name] = target.pathname.split('/');
+  const headers = Object.fromEntries(new Headers(init.headers).entries());
+  const call = {
+    method: init.method || 'GET',
+    table: resource === 'rpc' ? null : resource,
+    rpc: resource === 'rpc' ? name : null,
+    params: target.searchParams,
+    body: init.body ? JSON.parse(init.body) : null,
+    headers
+  };
+  calls.push(call);
+
+  const { status = 200, body = null, count } = (await route(call)) || {};
+  const responseHeaders = { 'Content-Type': 'application/json' };
+  if (count !== undefined) {
+    responseHeaders['Content-Range'] = `0-0/${count}`;
+  }
+
+  // A single-row request (Accept: application/vnd.pgrst.object+json) expects an object
+  const single = headers.accept?.includes('vnd.pgrst.object') && Array.isArray(body);
+  return new Response(JSON.stringify(single ? body[0] ?? null : body), { status, headers: responseHeaders });
+};
@@ -0,0 +1,69 @@
+// Encrypted WhatsApp Flow requests for the webhook handler
+// Generates a throwaway Flow key pair, encrypts and signs requests the way
+// Meta does, and decrypts the handler's responses. Job dispatches to
+// /api/process-image are recorded in `dispatched` instead of sent.
+
+import './fake-supabase.js';
+import { generateKeyPairSync, publicEncrypt, createCipheriv, createDecipheriv, createHmac, randomBytes, constants } from 'crypto';
+import { Readable } from 'stream';
+
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+Object.assign(process.env, {
+  PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  VERIFY_TOKEN: 'verify-token',
+  META_APP_SECRET: 'meta-secret',
+  INTERNAL_DISPATCH_SECRET: 'dispatch-secret',
+  SUPABASE_S3_ENDPOINT: 'http://storage.test',
+  SUPABASE_S3_ACCESS_KEY_ID: 'storage-key',
+  SUPABASE_S3_SECRET_ACCESS_KEY: 'storage-secret',
+  WHATSAPP_TOKEN: 'whatsapp-token',
+  WHATSAPP_PHONE_NUMBER_ID: '1000',
+  MODERATION_PROVIDER: 'mock',
+  APP_BASE_URL: 'http://app.test'
+});
+
+export const dispatched = [];
+
+const supabaseFetch = globalThis.fetch;
+globalThis.fetch = async (url, init = {}) => {
+  if (new URL(String(url)).origin === 'http://app.test') {
+    dispatched.push(JSON.parse(init.body));
+    return new Response('{}', { status: 202 });
+  }
+  return supabaseFetch(url, init);
+};
+
+// A signed POST carrying `payload` as encrypted Flow data.
+// Returns the request and a decrypt() for the handler's response body.
+export function createFlowRequest(payload) {
+  const aesKey = randomBytes(16);
+  const iv = randomBytes(16);
+
+  const cipher = createCipheriv('aes-128-gcm', aesKey, iv);
+  const flowData = Buffer.concat([cipher.update(JSON.stringify(payload)), cipher.final(), cipher.getAuthTag()]);
+  const encryptedKey = publicEncrypt({ key: publicKey, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' }, aesKey);
+
+  const raw = Buffer.from(JSON.stringify({
+    encrypted_flow_data: flowData.toString('base64'),
+    encrypted_aes_key: encryptedKey.toString('base64'),
+    initial_vector: iv.toString('base64')
+  }));
+  const signature = createHmac('sha256', process.env.META_APP_SECRET).update(raw).digest('hex');
+
+  const req = Object.assign(Readable.from([raw]), {
+    method: 'POST',
+    url: '/api/flow-webhook',
+    query: {},
+    headers: { 'content-type': 'application/json', 'x-hub-signature-256': `sha256=${signature}` }
+  });
+
+  function decrypt(body) {
+    const data = Buffer.from(body, 'base64');
+    const decipher = createDecipheriv('aes-128-gcm', aesKey, iv.map((byte) => ~byte & 0xff));
+    decipher.setAuthTag(data.subarray(-16));
+    return JSON.parse(Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf8'));
+  }
+
+  return { req, decrypt };
+}
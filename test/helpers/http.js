@@ -0,0 +1,19 @@
+// Minimal stand-ins for the Vercel request and response objects
+
+export function createRequest({ method = 'GET', query = {}, headers = {}, body, url = '/' } = {}) {
+  return { method, query, headers, body, url };
+}
+
+export function createResponse() {
+  return {
+    statusCode: null,
+    headers: {},
+    body: null,
+    ended: false,
+    setHeader(key, value) { this.headers[key.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.ended = true; return this; },
+    send(body) { this.body = body; this.ended = true; return this; },
+    end(body) { if (body !== undefined) this.body = body; this.ended = true; return this; }
+  };
+}
@@ -0,0 +1,12 @@
+// Stand-in for the claim_rate_limit RPC
+// rateLimitAnswer(used, body) answers a call the way the database would with
+// `used` images already claimed in every window; a recorded claim gets id 1.
+
+export function rateLimitAnswer(used, { p_images: images, p_rules: rules, p_claim: claim }) {
+  const full = rules.find((rule) => used + images > rule.limit);
+  if (full) {
+    const oldestAt = used > 0 ? new Date().toISOString() : null;
+    return { body: { allowed: false, reason: full.reason, used, limit: full.limit, oldest_at: oldestAt } };
+  }
+  return { body: { allowed: true, claim_id: claim ? 1 : null } };
+}
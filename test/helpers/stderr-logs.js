@@ -0,0 +1,7 @@
+// Preloaded by `npm test`: send console.log/info to stderr
+// Node 20's test runner reads its own serialized reports from each test
+// file's stdout and can misread a log line written right after one of them,
+// failing the file at random. Logs on stderr are still shown with the results.
+
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,40 @@
+// Stand-in for the WhatsApp Cloud API
+// Records every message posted to graph.facebook.com in `sent` (request body
+// plus URL) and answers with a fresh wamid. Media uploads are recorded in
+// `media` and answered with a fresh media id. Push a Cloud API error
+// ({ code, message }) onto `rejections` to have the next message refused.
+
+import './fake-supabase.js';
+
+process.env.WHATSAPP_TOKEN ||= 'whatsapp-token';
+process.env.WHATSAPP_PHONE_NUMBER_ID ||= '1000';
+
+export const sent = [];
+export const media = [];
+export const rejections = [];
+
+let nextMessage = 0;
+const upstreamFetch = globalThis.fetch;
+
+function reply(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+globalThis.fetch = async (url, init = {}) => {
+  const target = new URL(String(url));
+  if (target.origin !== 'https://graph.facebook.com') {
+    return upstreamFetch(url, init);
+  }
+
+  if (target.pathname.endsWith('/media')) {
+    const file = init.body.get('file');
+    media.push({ type: init.body.get('type'), bytes: Buffer.from(await file.arrayBuffer()) });
+    return reply({ id: `media.${media.length}` });
+  }
+
+  sent.push({ url: target.pathname, ...JSON.parse(init.body) });
+  if (rejections.length > 0) {
+    return reply({ error: rejections.shift() }, 400);
+  }
+  return reply({ messages: [{ id: `wamid.${++nextMessage}` }] });
+};
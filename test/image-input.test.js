@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { validateInputImage, prepareInputImage, detectMimeType } from '../lib/image-input.js';
+import { sniffImageType, readJpegOrientation } from '../lib/image-codec.js';
+
+function png(width, height) {
+  const image = new PNG({ width, height });
+  image.data.fill(200);
+  return PNG.sync.write(image);
+}
+
+// A JPEG with an EXIF APP1 segment carrying only the orientation tag
+function jpegWithOrientation(width, height, orientation) {
+  const encoded = jpeg.encode({ width, height, data: Buffer.alloc(width * height * 4, 128) }, 80).data;
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM\0*', 0, 'binary');
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'binary'), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([encoded.subarray(0, 2), header, payload, encoded.subarray(2)]);
+}
+
+function ftyp(brand) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(24, 0);
+  buffer.write(`ftyp${brand}`, 4, 'ascii');
+  return buffer;
+}
+
+test('sniffs the format from magic bytes', () => {
+  assert.equal(sniffImageType(png(300, 300)), 'image/png');
+  assert.equal(sniffImageType(jpegWithOrientation(8, 8, 1)), 'image/jpeg');
+  assert.equal(sniffImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'binary')), 'image/webp');
+  assert.equal(sniffImageType(Buffer.from('GIF89a\0\0\0\0\0\0', 'binary')), 'image/gif');
+  assert.equal(sniffImageType(ftyp('heic')), 'image/heic');
+  assert.equal(sniffImageType(ftyp('avif')), 'image/avif');
+  assert.equal(sniffImageType(Buffer.from('%PDF-1.7 hello')), null);
+  assert.equal(detectMimeType(png(300, 300).toString('base64')), 'image/png');
+});
+
+test('rejects formats and sizes the model cannot use', () => {
+  assert.throws(() => prepareInputImage(ftyp('heic')), { code: 'UNSUPPORTED_FORMAT', message: /HEIC photos are not supported/ });
+  assert.throws(() => prepareInputImage(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'binary')), { code: 'UNSUPPORTED_FORMAT', message: /WebP images are not supported/ });
+  assert.throws(() => prepareInputImage(Buffer.from('GIF89a\x2c\x01\x2c\x01\0\0', 'binary')), { code: 'UNSUPPORTED_FORMAT' });
+  assert.throws(() => prepareInputImage(Buffer.from('%PDF-1.7 hello')), { code: 'UNKNOWN_FORMAT' });
+  assert.throws(() => prepareInputImage(png(300, 200)), { code: 'TOO_SMALL' });
+});
+
+// PNG signature and IHDR chunk only: enough for the header checks, nothing to decode
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+test('validates dimensions from the header without decoding', () => {
+  const { mimeType, width, height } = validateInputImage(pngHeader(4000, 3000));
+  assert.deepEqual({ mimeType, width, height }, { mimeType: 'image/png', width: 4000, height: 3000 });
+});
+
+test('rejects photos over the side or pixel limit', () => {
+  assert.throws(() => validateInputImage(pngHeader(8000, 1000)), { code: 'TOO_MANY_PIXELS' });
+  assert.throws(() => validateInputImage(pngHeader(5000, 5000)), { code: 'TOO_MANY_PIXELS' });
+  assert.throws(() => validateInputImage(pngHeader(300, 200)), { code: 'TOO_SMALL' });
+});
+
+test('passes small photos through untouched', () => {
+  const input = png(400, 300);
+  const prepared = prepareInputImage(input.toString('base64'));
+
+  assert.equal(prepared.resized, false);
+  assert.equal(prepared.base64, input.toString('base64'));
+  assert.deepEqual([prepared.mimeType, prepared.width, prepared.height], ['image/png', 400, 300]);
+});
+
+test('downscales large photos to the model size', () => {
+  const prepared = prepareInputImage(png(2000, 400));
+
+  assert.equal(prepared.resized, true);
+  assert.equal(prepared.width, 1536);
+  assert.equal(prepared.height, 307);
+});
+
+test('applies the EXIF orientation', () => {
+  const rotated = jpegWithOrientation(400, 300, 6);
+  assert.equal(readJpegOrientation(rotated), 6);
+
+  const prepared = prepareInputImage(rotated);
+  assert.equal(prepared.resized, true);
+  assert.deepEqual([prepared.mimeType, prepared.width, prepared.height], ['image/jpeg', 300, 400]);
+});
@@ -0,0 +1,149 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+process.env.ADMIN_API_TOKEN = 'admin-secret';
+const { default: getJobHandler } = await import('../api/jobs/[id].js');
+const { default: listJobsHandler } = await import('../api/jobs/index.js');
+const { default: jobImagesHandler } = await import('../api/jobs/[id]/images.js');
+
+const jobId = '00000000-0000-4000-8000-000000000001';
+const auth = { authorization: 'Bearer admin-secret' };
+const job = {
+  id: jobId,
+  status: 'delivered',
+  phone_number: '919800000001',
+  params: { productCategory: 'Saree' },
+  input_image: 'aW1n',
+  attempts: 1,
+  max_attempts: 4,
+  timings: { queued_at: '2026-10-19T10:00:00.000Z' },
+  created_at: '2026-10-19T10:00:00.000Z',
+  completed_at: '2026-10-19T10:00:30.000Z'
+};
+
+beforeEach(() => {
+  setRoute(() => ({ body: [job] }));
+});
+
+test('job routes require the admin token', async () => {
+  const missing = createResponse();
+  await getJobHandler(createRequest({ query: { id: jobId } }), missing);
+  assert.equal(missing.statusCode, 401);
+
+  const wrong = createResponse();
+  await getJobHandler(createRequest({ query: { id: jobId }, headers: { authorization: 'Bearer admin-secreT' } }), wrong);
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(calls.length, 0);
+});
+
+test('job routes answer the CORS preflight and refuse other methods', async () => {
+  const preflight = createResponse();
+  await getJobHandler(createRequest({ method: 'OPTIONS' }), preflight);
+  assert.equal(preflight.statusCode, 200);
+  assert.equal(preflight.headers['access-control-allow-methods'], 'GET, OPTIONS');
+
+  const post = createResponse();
+  await listJobsHandler(createRequest({ method: 'POST', headers: auth }), post);
+  assert.equal(post.statusCode, 405);
+  assert.deepEqual(post.body.allowedMethods, ['GET', 'OPTIONS']);
+  assert.equal(calls.length, 0);
+});
+
+test('returns a job summary without the input image', async () => {
+  const res = createResponse();
+  await getJobHandler(createRequest({ query: { id: jobId }, headers: auth }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.id, jobId);
+  assert.equal(res.body.data.timings.total_ms, 30000);
+  assert.equal(JSON.stringify(res.body).includes('aW1n'), false);
+});
+
+test('includes the edits customers asked for on the job', async () => {
+  const edit = {
+    id: 'edit-1',
+    status: 'delivered',
+    params: { editOf: { jobId, variant: null, instruction: 'make the background blue' } },
+    output_key: 'customers/abc/jobs/edit-1/output-1.png',
+    last_error: null,
+    created_at: '2026-10-19T11:00:00.000Z',
+    completed_at: '2026-10-19T11:00:20.000Z'
+  };
+  setRoute(({ params }) => ({ body: params.has('edit_of') ? [edit] : [job] }));
+
+  const res = createResponse();
+  await getJobHandler(createRequest({ query: { id: jobId }, headers: auth }), res);
+
+  assert.equal(calls[1].params.get('edit_of'), `eq.${jobId}`);
+  assert.deepEqual(res.body.data.edits, [{
+    id: 'edit-1',
+    status: 'delivered',
+    instruction: 'make the background blue',
+    variant: null,
+    outputKey: edit.output_key,
+    error: null,
+    createdAt: edit.created_at,
+    completedAt: edit.completed_at
+  }]);
+});
+
+test('rejects malformed ids and reports unknown jobs', async () => {
+  const invalid = createResponse();
+  await getJobHandler(createRequest({ query: { id: 'not-a-uuid' }, headers: auth }), invalid);
+  assert.equal(invalid.statusCode, 400);
+
+  setRoute(() => ({ body: [] }));
+  const unknown = createResponse();
+  await getJobHandler(createRequest({ query: { id: jobId }, headers: auth }), unknown);
+  assert.equal(unknown.statusCode, 404);
+});
+
+test('lists a customer\'s jobs by normalized phone', async () => {
+  const res = createResponse();
+  await listJobsHandler(createRequest({ query: { phone: '98000 00001', limit: '500' }, headers: auth }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(calls[0].params.get('phone_number'), 'eq.919800000001');
+  assert.equal(calls[0].params.get('limit'), '100');
+  assert.doesNotMatch(calls[0].params.get('select'), /input_images/);
+});
+
+test('signs the stored output and every variant on request', async () => {
+  const stored = {
+    ...job,
+    output_key: 'customers/abc/jobs/1/output.png',
+    variants: [
+      { index: 1, style: 'hero', output_key: 'customers/abc/jobs/1/variant-1.png', source_key: 'customers/abc/jobs/1/variant-1-source.png' },
+      { index: 2, style: 'lifestyle', output_key: 'customers/abc/jobs/1/variant-2.png', source_key: 'customers/abc/jobs/1/variant-2.png' }
+    ]
+  };
+  setRoute(({ table, body }) => (table === 'image_jobs'
+    ? { body: [stored] }
+    : { body: { signedURL: `/object/sign/generated-images/signed?expires=${body.expiresIn}` } }));
+
+  const res = createResponse();
+  await jobImagesHandler(createRequest({ query: { id: jobId, expiresIn: '600' }, headers: auth }), res);
+
+  assert.equal(res.statusCode, 200);
+  const { output, variants } = res.body.data;
+  assert.equal(output.key, stored.output_key);
+  assert.equal(output.url, 'http://supabase.test/storage/v1/object/sign/generated-images/signed?expires=600');
+  assert.equal(variants[0].source.key, 'customers/abc/jobs/1/variant-1-source.png');
+  assert.equal(variants[1].source, null);
+
+  assert.deepEqual(calls.filter((call) => call.table === 'object').map((call) => call.body.expiresIn), [600, 600, 600, 600]);
+});
+
+test('rejects out-of-range signing lifetimes and jobs without images', async () => {
+  const tooLong = createResponse();
+  await jobImagesHandler(createRequest({ query: { id: jobId, expiresIn: String(8 * 24 * 3600) }, headers: auth }), tooLong);
+  assert.equal(tooLong.body.error, 'INVALID_EXPIRES_IN');
+
+  const empty = createResponse();
+  await jobImagesHandler(createRequest({ query: { id: jobId }, headers: auth }), empty);
+  assert.equal(empty.statusCode, 409);
+  assert.equal(empty.body.error, 'NO_IMAGES');
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+const { createJob, claimJobs, failJob, getRetryDelaySeconds, JOB_STATUS } = await import('../lib/jobs.js');
+
+const jobId = '00000000-0000-4000-8000-000000000001';
+
+beforeEach(() => {
+  // Writes echo the row back, like .select() after an insert or update
+  setRoute(({ body }) => ({ status: 200, body: [{ id: jobId, ...body }] }));
+});
+
+test('retry delays back off exponentially up to the cap', () => {
+  for (const [attempts, base] of [[1, 30], [2, 60], [3, 120], [4, 240]]) {
+    const delay = getRetryDelaySeconds(attempts);
+    assert.ok(delay >= base && delay <= base + 30, `attempt ${attempts}: ${delay}s`);
+  }
+  assert.equal(getRetryDelaySeconds(10), 900);
+});
+
+test('a new job is stored as queued and due now', async () => {
+  const job = await createJob({ phoneNumber: '919800000001', params: { productCategory: 'Saree' }, inputImage: 'aW1n' });
+
+  assert.equal(calls[0].method, 'POST');
+  assert.equal(calls[0].table, 'image_jobs');
+  assert.equal(job.status, JOB_STATUS.QUEUED);
+  assert.equal(job.phone_number, '919800000001');
+  assert.equal(job.max_attempts, 4);
+  assert.ok(Date.parse(job.next_attempt_at) <= Date.now());
+});
+
+test('jobs are claimed through the locking RPC', async () => {
+  setRoute(() => ({ body: [{ id: jobId, attempts: 1 }] }));
+
+  const jobs = await claimJobs({ workerId: 'sweep-1', limit: 3 });
+
+  assert.equal(jobs.length, 1);
+  assert.equal(calls[0].rpc, 'claim_image_jobs');
+  assert.deepEqual(calls[0].body, { p_worker: 'sweep-1', p_limit: 3, p_job_id: null, p_stale_seconds: 300 });
+});
+
+test('a failed attempt is requeued with backoff and releases its lock', async () => {
+  const before = Date.now();
+  const job = await failJob({ id: jobId, attempts: 1, max_attempts: 4 }, new Error('provider timeout'));
+
+  assert.equal(job.status, JOB_STATUS.QUEUED);
+  assert.equal(job.last_error, 'provider timeout');
+  assert.equal(job.locked_by, null);
+  assert.ok(Date.parse(job.next_attempt_at) >= before + 30000);
+});
+
+test('the last attempt fails the job for good', async () => {
+  const job = await failJob({ id: jobId, attempts: 4, max_attempts: 4 }, new Error('provider timeout'));
+
+  assert.equal(job.status, JOB_STATUS.FAILED);
+  assert.ok(job.completed_at);
+  assert.equal(job.next_attempt_at, undefined);
+});
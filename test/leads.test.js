@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+const { normalizePhone, storeBspLead, getBspLead } = await import('../lib/leads.js');
+
+beforeEach(() => {
+  setRoute(() => ({ status: 201, body: null }));
+});
+
+test('normalizes phone numbers to digits with the Indian country code', () => {
+  assert.equal(normalizePhone('98000 00001'), '919800000001');
+  assert.equal(normalizePhone('+91-98000-00001'), '919800000001');
+  assert.equal(normalizePhone('14155550100'), '14155550100');
+  assert.equal(normalizePhone(''), null);
+  assert.equal(normalizePhone(null), null);
+});
+
+test('persists a lead as one row per phone number', async () => {
+  const lead = await storeBspLead({ phoneNumber: '9800000001', first_name: 'Asha', chat_id: 'chat-1' });
+
+  assert.equal(lead.phoneNumber, '919800000001');
+  assert.equal(lead.persisted, true);
+  assert.equal(calls[0].table, 'bsp_leads');
+  assert.equal(calls[0].params.get('on_conflict'), 'phone_number');
+  assert.equal(calls[0].body.phone_number, '919800000001');
+  assert.equal(calls[0].body.first_name, 'Asha');
+  assert.equal(calls[0].body.chat_id, 'chat-1');
+});
+
+test('a lead stored by another instance is loaded from the table', async () => {
+  setRoute(({ params }) => params.get('phone_number') === 'eq.919800000002'
+    ? { body: [{ phone_number: '919800000002', first_name: 'Ravi', chat_id: 'chat-2', raw: {}, updated_at: '2026-10-19T10:00:00.000Z' }] }
+    : { body: [] });
+
+  const lead = await getBspLead('+91 98000 00002');
+
+  assert.equal(lead.phoneNumber, '919800000002');
+  assert.equal(lead.firstName, 'Ravi');
+  assert.equal(lead.chatId, 'chat-2');
+});
+
+test('an unknown phone has no lead', async () => {
+  assert.equal(await getBspLead('919800000003'), null);
+});
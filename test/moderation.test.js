@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+const { moderateImage, getModerationProvider, getModerationEnvVars } = await import('../lib/moderation.js');
+
+const image = { base64: 'aW1n', mimeType: 'image/png' };
+const upstreamFetch = globalThis.fetch;
+
+beforeEach(() => {
+  setRoute(() => ({ status: 201, body: null }));
+});
+
+afterEach(() => {
+  globalThis.fetch = upstreamFetch;
+  delete process.env.MODERATION_PROVIDER;
+  delete process.env.MOCK_MODERATION_MODE;
+  delete process.env.OPENAI_API_KEY;
+});
+
+const events = () => calls.filter((call) => call.table === 'moderation_events').map((call) => call.body);
+
+test('uses the policy provider unless the deployment overrides it', () => {
+  assert.equal(getModerationProvider(), 'openai');
+  process.env.MODERATION_PROVIDER = ' Mock ';
+  assert.equal(getModerationProvider(), 'mock');
+});
+
+test('asks for the API key of the classifier in use', () => {
+  assert.deepEqual(getModerationEnvVars(), ['OPENAI_API_KEY']);
+  process.env.MODERATION_PROVIDER = 'gemini';
+  assert.deepEqual(getModerationEnvVars(), ['GEMINI_API_KEY']);
+  process.env.MODERATION_PROVIDER = 'none';
+  assert.deepEqual(getModerationEnvVars(), []);
+});
+
+test('allows clean images and blocks flagged ones with an audit event', async () => {
+  process.env.MODERATION_PROVIDER = 'mock';
+  assert.deepEqual(await moderateImage(image, { stage: 'input' }), { allowed: true, provider: 'mock', flagged: [] });
+  assert.equal(events().length, 0);
+
+  process.env.MOCK_MODERATION_MODE = 'block';
+  const blocked = await moderateImage(image, { stage: 'output', phoneNumber: '919800000001', jobId: 'job-1' });
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.reason, 'POLICY_VIOLATION');
+  assert.ok(blocked.flagged.some((flag) => flag.category === 'sexual'));
+
+  const [event] = events();
+  assert.equal(event.stage, 'output');
+  assert.equal(event.job_id, 'job-1');
+  assert.equal(event.reason, 'POLICY_VIOLATION');
+});
+
+test('fails closed when the classifier is unavailable', async () => {
+  process.env.MODERATION_PROVIDER = 'mock';
+  process.env.MOCK_MODERATION_MODE = 'error';
+
+  const result = await moderateImage(image, { stage: 'input' });
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, 'MODERATION_UNAVAILABLE');
+  assert.equal(events()[0].reason, 'MODERATION_UNAVAILABLE');
+
+  process.env.MODERATION_PROVIDER = 'openai';
+  assert.equal((await moderateImage(image, { stage: 'input' })).reason, 'MODERATION_UNAVAILABLE');
+});
+
+test('flags only the OpenAI categories at or above their threshold', async () => {
+  process.env.OPENAI_API_KEY = 'openai-key';
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith('https://api.openai.com/')) return upstreamFetch(url, init);
+    sent = JSON.parse(init.body);
+    return new Response(JSON.stringify({ results: [{ category_scores: { sexual: 0.1, violence: 0.7, hate: 0.49 } }] }), { status: 200 });
+  };
+
+  const result = await moderateImage(image, { stage: 'output' });
+
+  assert.deepEqual(result.flagged, [{ category: 'violence', score: 0.7 }]);
+  assert.equal(sent.input[0].image_url.url, 'data:image/png;base64,aW1n');
+});
+
+test('skips moderation when it is switched off', async () => {
+  process.env.MODERATION_PROVIDER = 'none';
+  assert.deepEqual(await moderateImage(image, { stage: 'input' }), { allowed: true, provider: 'none', flagged: [], skipped: true });
+});
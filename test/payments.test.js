@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { Readable } from 'stream';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { sent } from './helpers/whatsapp.js';
+import { createResponse } from './helpers/http.js';
+
+process.env.PAYMENT_WEBHOOK_SECRET = 'payment-secret';
+const { parsePaymentEvent } = await import('../lib/payments.js');
+const { verifyPaymentSignature } = await import('../lib/webhook-auth.js');
+const { default: handler } = await import('../api/payments-webhook.js');
+
+const PHONE = '919800000001';
+const sign = (raw) => createHmac('sha256', 'payment-secret').update(raw).digest('hex');
+
+function razorpayEvent(entity) {
+  return {
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', amount: 50000, currency: 'INR', contact: '+91 98000 00001', ...entity } } }
+  };
+}
+
+function postPayment(event, signature) {
+  const raw = Buffer.from(JSON.stringify(event));
+  const req = Object.assign(Readable.from([raw]), {
+    method: 'POST',
+    url: '/api/payments-webhook',
+    query: {},
+    headers: { 'x-razorpay-signature': signature ?? sign(raw) }
+  });
+  const res = createResponse();
+  return handler(req, res).then(() => res);
+}
+
+beforeEach(() => {
+  sent.length = 0;
+  delete process.env.PAYMENT_PROVIDER;
+  setRoute(({ rpc }) => (rpc === 'top_up_credits' ? { body: [{ balance: 55, applied: true }] } : { status: 201, body: null }));
+});
+
+test('reads captured Razorpay payments into credits', () => {
+  assert.deepEqual(parsePaymentEvent('razorpay', razorpayEvent({ notes: { phone: '9800000002' } })), {
+    reference: 'pay_1',
+    phoneNumber: '919800000002',
+    amount: 50000,
+    currency: 'INR',
+    credits: 50
+  });
+  assert.equal(parsePaymentEvent('razorpay', { event: 'payment.failed' }), null);
+});
+
+test('reports payments that cannot be applied', () => {
+  assert.match(parsePaymentEvent('razorpay', razorpayEvent({ currency: 'USD' })).error, /Unsupported currency/);
+  assert.match(parsePaymentEvent('razorpay', razorpayEvent({ amount: 999 })).error, /below the price of one credit/);
+  assert.match(parsePaymentEvent('razorpay', razorpayEvent({ contact: '' })).error, /missing its id or phone/);
+  assert.match(parsePaymentEvent('stripe', {}).error, /Unknown payment provider/);
+});
+
+test('verifies the provider signature header', () => {
+  const raw = Buffer.from('{}');
+  assert.deepEqual(verifyPaymentSignature({ headers: { 'x-razorpay-signature': sign(raw) } }, raw, 'razorpay'), { valid: true });
+  assert.equal(verifyPaymentSignature({ headers: { 'x-payment-signature': `sha256=${sign(raw)}` } }, raw, 'local').valid, true);
+  assert.equal(verifyPaymentSignature({ headers: { 'x-razorpay-signature': sign(Buffer.from('[]')) } }, raw, 'razorpay').reason, 'INVALID_SIGNATURE');
+  assert.equal(verifyPaymentSignature({ headers: {} }, raw, 'razorpay').reason, 'MISSING_SIGNATURE');
+  assert.equal(verifyPaymentSignature({ headers: {} }, raw, 'stripe').reason, 'UNKNOWN_PAYMENT_PROVIDER');
+});
+
+test('tops up the wallet once and tells the customer', async () => {
+  const res = await postPayment(razorpayEvent());
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { success: true, applied: true, credits: 50, balance: 55 });
+  const [topUp] = calls.filter((call) => call.rpc === 'top_up_credits');
+  assert.equal(topUp.body.p_phone, PHONE);
+  assert.equal(topUp.body.p_reference, 'pay_1');
+  assert.equal(sent[0].text.body, '✅ 50 credits added. Your balance is now 55 credits.');
+
+  setRoute(({ rpc }) => (rpc ? { body: [{ balance: 55, applied: false }] } : { body: [] }));
+  const again = await postPayment(razorpayEvent());
+  assert.equal(again.body.applied, false);
+  assert.equal(sent.length, 1);
+});
+
+test('rejects unsigned events and acknowledges unusable ones', async () => {
+  const forged = await postPayment(razorpayEvent(), 'f'.repeat(64));
+  assert.equal(forged.statusCode, 401);
+  assert.equal(calls.find((call) => call.table === 'webhook_rejections').body.reason, 'INVALID_SIGNATURE');
+
+  const unusable = await postPayment(razorpayEvent({ currency: 'USD' }));
+  assert.equal(unusable.statusCode, 200);
+  assert.equal(unusable.body.error, 'PAYMENT_NOT_APPLIED');
+  assert.equal(calls.some((call) => call.rpc === 'top_up_credits'), false);
+});
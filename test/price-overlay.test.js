@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PNG } from 'pngjs';
+import { formatPrice, getPriceBadgeText, describeOverlayPosition, applyPriceOverlay } from '../lib/price-overlay.js';
+import { decodeImage } from '../lib/image-codec.js';
+
+function whitePng(width, height) {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  return { base64: PNG.sync.write(png).toString('base64'), mimeType: 'image/png' };
+}
+
+function pixel(image, x, y) {
+  const idx = (image.width * y + x) << 2;
+  return [...image.data.subarray(idx, idx + 3)];
+}
+
+test('formats a single plain amount', () => {
+  assert.equal(formatPrice('1299'), '₹1,299');
+  assert.equal(formatPrice('Rs 1299/-'), '₹1,299');
+  assert.equal(formatPrice('rs.499'), '₹499');
+  assert.equal(formatPrice('₹1,299.00'), '₹1,299');
+  assert.equal(formatPrice('₹ 1,29,999'), '₹1,29,999');
+  assert.equal(formatPrice('1299 INR'), '₹1,299');
+  assert.equal(formatPrice('$19.99'), '$19.99');
+  assert.equal(formatPrice('€ 45'), '€45');
+});
+
+test('does not guess a number out of other price text', () => {
+  for (const text of ['50% off', '2 for 999', '1.5k', 'MRP 1,299 now 999', 'from 499', '1,2,3', '12.345', 'free']) {
+    assert.equal(formatPrice(text), null, text);
+  }
+  assert.equal(formatPrice(''), null);
+  assert.equal(formatPrice(null), null);
+});
+
+test('badge text falls back to the text as written', () => {
+  assert.equal(getPriceBadgeText('Rs 999/-'), '₹999');
+  assert.equal(getPriceBadgeText('50% off'), '50% off');
+  assert.equal(getPriceBadgeText('  MRP 1,299   now 999 '), 'MRP 1,299 now 999');
+  assert.equal(getPriceBadgeText('   '), null);
+});
+
+test('describes where the badge goes for the prompt', () => {
+  assert.equal(describeOverlayPosition(), 'bottom right corner');
+  assert.equal(describeOverlayPosition({ position: 'top-left' }), 'top left corner');
+  assert.equal(describeOverlayPosition({ position: 'center' }), 'center');
+  assert.equal(describeOverlayPosition({ position: 'sideways' }), 'bottom right corner');
+});
+
+test('draws the badge in the configured corner only', () => {
+  const generated = whitePng(200, 200);
+  const result = applyPriceOverlay(generated, 'Rs 1299/-');
+
+  assert.equal(result.applied, true);
+  assert.equal(result.priceText, '₹1,299');
+  assert.equal(result.mimeType, 'image/png');
+
+  const image = decodeImage(Buffer.from(result.base64, 'base64'), 'image/png');
+  assert.deepEqual([image.width, image.height], [200, 200]);
+  assert.deepEqual(pixel(image, 10, 10), [255, 255, 255]);
+  assert.notDeepEqual(pixel(image, 175, 180), [255, 255, 255]);
+});
+
+test('leaves the image untouched when the overlay cannot be applied', () => {
+  const generated = whitePng(100, 100);
+
+  assert.equal(applyPriceOverlay(generated, '1299', { enabled: false }).base64, generated.base64);
+  assert.equal(applyPriceOverlay(generated, '   ').applied, false);
+
+  const webp = { base64: 'UklGRg==', mimeType: 'image/webp' };
+  assert.deepEqual(applyPriceOverlay(webp, '1299'), { ...webp, priceText: '₹1,299', applied: false });
+});
+
+test('draws non-amount text on the badge as written', () => {
+  const generated = whitePng(200, 200);
+
+  const sale = applyPriceOverlay(generated, '50% off');
+  assert.equal(sale.applied, true);
+  assert.equal(sale.priceText, '50% off');
+  assert.notEqual(sale.base64, generated.base64);
+});
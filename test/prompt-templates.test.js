@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeCategory,
+  selectTemplateVersion,
+  renderTemplate,
+  buildProductPrompt,
+  buildFinalPrompt,
+  buildEditPrompt
+} from '../lib/prompt-templates.js';
+
+test('maps free-text categories onto template categories', () => {
+  assert.equal(normalizeCategory('Silk Sarees'), 'apparel');
+  assert.equal(normalizeCategory('gold earrings'), 'jewellery');
+  assert.equal(normalizeCategory('Laptop bag'), 'bags');
+  assert.equal(normalizeCategory('home decor'), 'home_decor');
+  assert.equal(normalizeCategory('Masala'), 'food');
+  assert.equal(normalizeCategory('tractor'), 'default');
+  assert.equal(normalizeCategory(''), 'default');
+});
+
+test('matches aliases as whole words and prefers the longer phrase', () => {
+  assert.equal(normalizeCategory('Cooking Oil'), 'food');
+  assert.equal(normalizeCategory('cold pressed mustard oil 1L'), 'food');
+  assert.equal(normalizeCategory('Hair oil'), 'beauty');
+  assert.equal(normalizeCategory('oil'), 'default');
+  // "ring" and "top" are aliases, but not inside other words
+  assert.equal(normalizeCategory('Spring roll'), 'default');
+  assert.equal(normalizeCategory('Laptop'), 'electronics');
+  assert.equal(normalizeCategory('Watches and earrings'), 'jewellery');
+  assert.equal(normalizeCategory('T-shirts'), 'apparel');
+});
+
+test('assigns versions by weight and keeps an assignment stable', () => {
+  const versions = [{ version: 'a', weight: 75 }, { version: 'b', weight: 25 }];
+
+  assert.equal(selectTemplateVersion(versions, 'job-1'), selectTemplateVersion(versions, 'job-1'));
+
+  const counts = { a: 0, b: 0 };
+  for (let i = 0; i < 2000; i++) {
+    counts[selectTemplateVersion(versions, `job-${i}`).version]++;
+  }
+  assert.ok(counts.a > 1350 && counts.a < 1650, `a was picked ${counts.a} times`);
+
+  assert.equal(selectTemplateVersion([{ version: 'only', weight: 1 }], 'job-1').version, 'only');
+});
+
+test('renders templates without leftover placeholders or spacing', () => {
+  assert.equal(renderTemplate('Photo of {{category}}. {{angles}} {{scene}}', { category: 'lamp' }), 'Photo of lamp.');
+});
+
+test('builds the product prompt from the category template', () => {
+  const result = buildProductPrompt({
+    productCategory: 'gold earrings',
+    sceneDescription: 'on a silk cushion',
+    priceOverlay: '999',
+    imageCount: 2,
+    variationHint: 'Use a tight close-up',
+    assignmentKey: 'job-1'
+  });
+
+  assert.equal(result.promptCategory, 'jewellery');
+  assert.equal(result.promptVersion, 'jewellery-v1');
+  assert.match(result.prompt, /^Create a luxury jewellery product photo of this gold earrings\./);
+  assert.match(result.prompt, /The 2 attached photos show the same product/);
+  assert.match(result.prompt, /Show it in this setting: on a silk cushion\./);
+  assert.match(result.prompt, /Use a tight close-up\./);
+  assert.match(result.prompt, /space in the bottom right corner for a price tag/);
+  assert.doesNotMatch(result.prompt, /\{\{/);
+
+  const plain = buildProductPrompt({ productCategory: 'tractor' });
+  assert.match(plain.prompt, /Use a clean, professional background/);
+  assert.doesNotMatch(plain.prompt, /price tag/);
+});
+
+test('assigns the configured versions of a category by their weights', () => {
+  // food-v1 and food-v2 are weighted 50/50
+  const counts = {};
+  for (let i = 0; i < 1000; i++) {
+    const { promptVersion } = buildProductPrompt({ productCategory: 'cake', assignmentKey: `919800000001:hash-${i}` });
+    counts[promptVersion] = (counts[promptVersion] || 0) + 1;
+  }
+  assert.deepEqual(Object.keys(counts).sort(), ['food-v1', 'food-v2']);
+  assert.ok(counts['food-v1'] > 430 && counts['food-v1'] < 570, `food-v1 was picked ${counts['food-v1']} times`);
+
+  const single = buildProductPrompt({ productCategory: 'saree', assignmentKey: 'any' });
+  assert.equal(single.promptVersion, 'apparel-v1');
+});
+
+test('every candidate of a job gets the same version', () => {
+  const versions = new Set(['hero', 'lifestyle', 'close-up'].map((variationHint) =>
+    buildProductPrompt({ productCategory: 'cake', variationHint, assignmentKey: 'job-42' }).promptVersion
+  ));
+  assert.equal(versions.size, 1);
+  assert.equal(buildFinalPrompt({ productCategory: 'cake', assignmentKey: 'job-42' }).promptCategory, 'food');
+});
+
+test('builds the edit prompt around the customer\'s instruction', () => {
+  const { prompt, promptVersion, promptCategory } = buildEditPrompt({
+    productCategory: 'saree',
+    instruction: 'make the background blue!!',
+    priceOverlay: '999',
+    imageCount: 3
+  });
+
+  assert.equal(promptVersion, 'edit-v1');
+  assert.equal(promptCategory, 'apparel');
+  assert.match(prompt, /as follows: make the background blue\. The first 2 attached photos are the original product/);
+  assert.match(prompt, /space in the bottom right corner for a price tag/);
+  assert.match(buildEditPrompt({ productCategory: 'saree', instruction: 'crop it', imageCount: 1 }).prompt, /as follows: crop it\. Change only/);
+});
@@ -0,0 +1,83 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProviderChain, generateWithFallback } from '../lib/providers/index.js';
+
+const request = { prompt: 'A saree on a marble table', images: [{ base64: 'aW1n', mimeType: 'image/jpeg' }] };
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.IMAGE_PROVIDERS;
+  delete process.env.MOCK_PROVIDER_MODE;
+  delete process.env.GEMINI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+});
+
+test('the provider chain comes from IMAGE_PROVIDERS, gemini by default', () => {
+  assert.deepEqual(getProviderChain().map((provider) => provider.name), ['gemini']);
+
+  process.env.IMAGE_PROVIDERS = ' OpenAI, mock ';
+  assert.deepEqual(getProviderChain().map((provider) => provider.name), ['openai', 'mock']);
+
+  process.env.IMAGE_PROVIDERS = 'gemini,dalle';
+  assert.throws(() => getProviderChain(), /Unknown image provider\(s\) in IMAGE_PROVIDERS: dalle/);
+});
+
+test('falls back to the next provider when one fails', async () => {
+  process.env.IMAGE_PROVIDERS = 'openai,mock';
+
+  const first = await generateWithFallback(request);
+  const second = await generateWithFallback(request);
+
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.mimeType, 'image/png');
+  assert.equal(first.base64, second.base64);
+});
+
+test('reports every provider failure when none returns an image', async () => {
+  process.env.IMAGE_PROVIDERS = 'openai,mock';
+  process.env.MOCK_PROVIDER_MODE = 'text';
+
+  await assert.rejects(generateWithFallback(request), (error) => {
+    assert.match(error.message, /openai: Missing OPENAI_API_KEY/);
+    assert.match(error.message, /mock: Model returned text instead of image/);
+    return true;
+  });
+});
+
+test('reads the generated image out of a Gemini response', async () => {
+  process.env.GEMINI_API_KEY = 'gemini-key';
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    sent = { url: String(url), body: JSON.parse(init.body) };
+    return new Response(JSON.stringify({
+      candidates: [{ content: { parts: [{ text: 'Here you go' }, { inlineData: { mimeType: 'image/png', data: 'b3V0' } }] } }]
+    }), { status: 200 });
+  };
+
+  const result = await generateWithFallback(request);
+
+  assert.deepEqual(result, { base64: 'b3V0', mimeType: 'image/png', provider: 'gemini' });
+  assert.match(sent.url, /key=gemini-key$/);
+  assert.equal(sent.body.contents[0].parts[0].text, request.prompt);
+  assert.equal(sent.body.contents[0].parts[1].inlineData.data, 'aW1n');
+});
+
+test('asks Gemini for a larger image when rendering a final', async () => {
+  process.env.GEMINI_API_KEY = 'gemini-key';
+  let sent;
+  globalThis.fetch = async (url, init) => {
+    sent = { url: String(url), body: JSON.parse(init.body) };
+    return new Response(JSON.stringify({
+      candidates: [{ content: { parts: [{ inlineData: { mimeType: 'image/png', data: 'aGQ=' } }] } }]
+    }), { status: 200 });
+  };
+
+  await generateWithFallback({ ...request, highRes: true });
+  assert.match(sent.url, /models\/gemini-3-pro-image-preview:generateContent/);
+  assert.deepEqual(sent.body.generationConfig.imageConfig, { imageSize: '2K' });
+
+  await generateWithFallback(request);
+  assert.doesNotMatch(sent.url, /gemini-3-pro/);
+  assert.equal(sent.body.generationConfig.imageConfig, undefined);
+});
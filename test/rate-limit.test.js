@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { rateLimitAnswer } from './helpers/rate-limit.js';
+
+process.env.RATE_LIMIT_BURST_PER_PHONE = '3';
+process.env.RATE_LIMIT_DAILY_PER_PHONE = '5';
+process.env.RATE_LIMIT_EXEMPT_PHONES = '919800000009';
+const { checkRateLimit, claimRateLimit, releaseRateLimit } = await import('../lib/rate-limit.js');
+
+const phone = '919800000001';
+
+function usage(used) {
+  return ({ body }) => rateLimitAnswer(used, body);
+}
+
+beforeEach(() => {
+  setRoute(usage(0));
+});
+
+test('checks every window in one call, per phone and across customers', async () => {
+  setRoute(usage(2));
+  await checkRateLimit(phone, 3);
+
+  assert.equal(calls.length, 1);
+  const { rpc, body } = calls[0];
+  assert.equal(rpc, 'claim_rate_limit');
+  assert.deepEqual(
+    { phone: body.p_phone, images: body.p_images, claim: body.p_claim },
+    { phone, images: 3, claim: false }
+  );
+  assert.deepEqual(body.p_rules, [
+    { reason: 'BURST_LIMIT', per_phone: true, limit: 3, window_seconds: 600 },
+    { reason: 'DAILY_LIMIT', per_phone: true, limit: 5, window_seconds: 86400 },
+    { reason: 'GLOBAL_LIMIT', per_phone: false, limit: 1000, window_seconds: 86400 }
+  ]);
+});
+
+test('allows requests that fit every limit', async () => {
+  setRoute(usage(2));
+  assert.deepEqual(await checkRateLimit(phone), { allowed: true });
+});
+
+test('a claim records the images and can be released', async () => {
+  const claim = await claimRateLimit(phone, 2);
+  assert.deepEqual(claim, { allowed: true, claimId: 1 });
+  assert.equal(calls[0].body.p_claim, true);
+
+  await releaseRateLimit(claim.claimId);
+  const release = calls.find((call) => call.method === 'DELETE');
+  assert.equal(release.table, 'rate_limit_claims');
+  assert.equal(release.params.get('id'), 'eq.1');
+});
+
+test('refuses once the burst limit is used up', async () => {
+  setRoute(usage(3));
+  const result = await claimRateLimit(phone);
+
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, 'BURST_LIMIT');
+  assert.ok(result.retryAfterSeconds > 0);
+});
+
+test('says how many images still fit when a batch is too large', async () => {
+  setRoute(usage(1));
+  const result = await checkRateLimit(phone, 3);
+
+  assert.equal(result.allowed, false);
+  assert.match(result.message, /2 more images/);
+});
+
+test('exempt phones and database errors are not limited', async () => {
+  setRoute(usage(10));
+  assert.equal((await checkRateLimit('+91 98000 00009')).allowed, true);
+  assert.equal(calls.length, 0);
+
+  setRoute(() => ({ status: 500, body: { message: 'connection reset' } }));
+  assert.equal((await claimRateLimit(phone)).allowed, true);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getResultCacheKey, hashImage } from '../lib/result-cache.js';
+
+const job = {
+  id: '00000000-0000-4000-8000-000000000001',
+  phone_number: '919800000001',
+  variant_count: 1,
+  input_hashes: ['aGFzaC0x'],
+  params: { productCategory: 'Saree', sceneDescription: 'studio', priceOverlay: '1299' }
+};
+
+test('hashes images like WhatsApp plaintext_hash', () => {
+  assert.equal(hashImage(Buffer.from('photo').toString('base64')), 'VcZND81vnV98goCThX4/39poR4u06b0k1IHvORx4BOg=');
+});
+
+test('same customer, photo and options share a key', () => {
+  const key = getResultCacheKey(job);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(getResultCacheKey({ ...job, params: { ...job.params, productCategory: ' saree ' } }), key);
+});
+
+test('a repeat submission gets the same key as the job it repeats', () => {
+  // The prompt version is assigned by customer and photos, not by job id
+  for (const category of ['cake', 'saree', 'lipstick']) {
+    const first = { ...job, params: { ...job.params, productCategory: category } };
+    assert.equal(getResultCacheKey({ ...first, id: '00000000-0000-4000-8000-000000000002' }), getResultCacheKey(first));
+  }
+  const { id: _id, ...draft } = job;
+  assert.equal(getResultCacheKey(draft), getResultCacheKey(job));
+});
+
+test('the key is scoped to the customer', () => {
+  assert.notEqual(getResultCacheKey({ ...job, phone_number: '919800000002' }), getResultCacheKey(job));
+});
+
+test('the key changes with the photo and options', () => {
+  const key = getResultCacheKey(job);
+  assert.notEqual(getResultCacheKey({ ...job, input_hashes: ['aGFzaC0y'] }), key);
+  assert.notEqual(getResultCacheKey({ ...job, params: { ...job.params, priceOverlay: '999' } }), key);
+  assert.notEqual(getResultCacheKey({ ...job, params: { ...job.params, sceneDescription: 'beach' } }), key);
+});
+
+test('variant sets, finals, edits and jobs without hashes are not cached', () => {
+  assert.equal(getResultCacheKey({ ...job, variant_count: 3 }), null);
+  assert.equal(getResultCacheKey({ ...job, params: { ...job.params, finalOf: { jobId: job.id } } }), null);
+  assert.equal(getResultCacheKey({ ...job, params: { ...job.params, editOf: { jobId: job.id } } }), null);
+  assert.equal(getResultCacheKey({ ...job, input_hashes: [] }), null);
+});
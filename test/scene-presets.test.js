@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScenePreset, getScenePresetOptions } from '../lib/scene-presets.js';
+import { buildProductPrompt } from '../lib/prompt-templates.js';
+
+test('looks presets up by id', () => {
+  assert.equal(getScenePreset('studio_white').title, 'Studio white');
+  assert.equal(getScenePreset('moon_base'), null);
+  assert.equal(getScenePreset(null), null);
+});
+
+test('offers the dropdown without the prompt fragments', () => {
+  const options = getScenePresetOptions();
+
+  assert.ok(options.length > 0);
+  assert.deepEqual(options[0], { id: 'studio_white', title: 'Studio white', description: 'Seamless white backdrop, soft light' });
+  assert.ok(options.every((option) => !('prompt' in option)));
+});
+
+test('uses the preset in the prompt and lets free text refine it', () => {
+  const scenePreset = getScenePreset('festive_diwali');
+
+  const presetOnly = buildProductPrompt({ productCategory: 'lamp', scenePreset }).prompt;
+  assert.ok(presetOnly.includes(scenePreset.prompt));
+  assert.doesNotMatch(presetOnly, /Additional scene details/);
+
+  const refined = buildProductPrompt({ productCategory: 'lamp', sceneDescription: 'on a wooden table', scenePreset }).prompt;
+  assert.match(refined, /Additional scene details: on a wooden table\./);
+
+  const freeText = buildProductPrompt({ productCategory: 'lamp', sceneDescription: 'on a wooden table' }).prompt;
+  assert.match(freeText, /Show it in this setting: on a wooden table\./);
+});
@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { sent, rejections } from './helpers/whatsapp.js';
+
+process.env.WHATSAPP_IMAGE_TEMPLATE = 'enhanced_image';
+const { runJob, retryFailedDelivery } = await import('../lib/worker.js');
+const { dispatchWhatsAppEvents } = await import('../lib/whatsapp-events.js');
+
+const PHONE = '919800000001';
+const JOB_ID = '11111111-2222-4333-8444-555555555555';
+const HOUR_MS = 3600 * 1000;
+
+// Rendered earlier with a media id that is still fresh, so only delivery runs
+function deliverableJob() {
+  return {
+    id: JOB_ID,
+    status: 'generating',
+    phone_number: PHONE,
+    params: { productCategory: 'saree' },
+    variant_count: 1,
+    attempts: 1,
+    max_attempts: 4,
+    timings: {},
+    output_key: `customers/abc/jobs/${JOB_ID}/output-1.png`,
+    whatsapp_media_id: 'media.earlier',
+    whatsapp_media_uploaded_at: new Date(Date.now() - HOUR_MS).toISOString()
+  };
+}
+
+// The customer's last message, or null when we have never seen one
+let lastInboundAt;
+
+beforeEach(() => {
+  sent.length = 0;
+  rejections.length = 0;
+  lastInboundAt = null;
+  setRoute(({ method, table, body }) => {
+    if (table === 'whatsapp_contacts') {
+      return { body: lastInboundAt && method === 'GET' ? [{ last_inbound_at: lastInboundAt }] : [] };
+    }
+    if (table === 'bsp_leads') return { body: [{ phone_number: PHONE, first_name: 'Asha' }] };
+    if (table === 'image_jobs') return { body: [{ ...deliverableJob(), ...body }] };
+    if (table === 'whatsapp_messages' && method === 'POST') return { status: 201, body: [body] };
+    return { body: [] };
+  });
+});
+
+const tracked = () => calls.filter((call) => call.table === 'whatsapp_messages').map((call) => call.body);
+
+test('sends free-form while the service window is open', async () => {
+  lastInboundAt = new Date(Date.now() - 2 * HOUR_MS).toISOString();
+  await runJob(deliverableJob());
+
+  assert.equal(sent[0].type, 'image');
+  assert.equal(tracked()[0].sent_via, 'media_id');
+});
+
+test('sends the image template once the window has closed', async () => {
+  lastInboundAt = new Date(Date.now() - 25 * HOUR_MS).toISOString();
+  const result = await runJob(deliverableJob());
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].type, 'template');
+  assert.equal(sent[0].template.name, 'enhanced_image');
+  assert.deepEqual(sent[0].template.components, [
+    { type: 'header', parameters: [{ type: 'image', image: { id: 'media.earlier' } }] },
+    { type: 'body', parameters: [{ type: 'text', text: 'Asha' }, { type: 'text', text: 'saree' }] }
+  ]);
+  assert.equal(tracked()[0].sent_via, 'template');
+});
+
+test('falls back to the template when WhatsApp refuses a free-form image', async () => {
+  rejections.push({ code: 131047, message: 'Re-engagement message' });
+  await runJob(deliverableJob());
+
+  assert.deepEqual(sent.map((message) => message.type), ['image', 'template']);
+  assert.equal(tracked()[0].sent_via, 'template');
+});
+
+test('resends an image that failed outside the window as the template', async () => {
+  const message = { wamid: 'wamid.out.1', job_id: JOB_ID, kind: 'image', variant_index: null, attempt: 1, sent_via: 'media_id' };
+  const retry = await retryFailedDelivery(message, [{ code: 131047, title: 'Re-engagement message' }]);
+
+  assert.equal(sent[0].type, 'template');
+  assert.equal(retry.sent_via, 'template');
+  assert.equal(retry.attempt, 2);
+});
+
+test('every inbound message reopens the window', async () => {
+  await dispatchWhatsAppEvents({
+    object: 'whatsapp_business_account',
+    entry: [{ changes: [{ field: 'messages', value: { messages: [{ id: 'wamid.in.1', from: PHONE, timestamp: '1790000000', type: 'sticker' }] } }] }]
+  });
+
+  const [upsert] = calls.filter((call) => call.table === 'whatsapp_contacts');
+  assert.equal(upsert.method, 'POST');
+  assert.equal(upsert.params.get('on_conflict'), 'phone_number');
+  assert.equal(upsert.body.phone_number, PHONE);
+  assert.equal(upsert.body.last_inbound_at, '2026-09-21T14:13:20.000Z');
+});
@@ -0,0 +1,126 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { dispatched } from './helpers/flow.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+const {
+  normalizeVariantCount,
+  getVariantPlan,
+  parseVariantChoice,
+  createSelectionPrompt,
+  handleVariantReply
+} = await import('../lib/variants.js');
+const { default: selectHandler } = await import('../api/jobs/[id]/select.js');
+
+process.env.ADMIN_API_TOKEN = 'admin-secret';
+
+const PHONE = '919800000001';
+const JOB_ID = '11111111-2222-4333-8444-555555555555';
+
+const delivered = {
+  id: JOB_ID,
+  status: 'delivered',
+  phone_number: PHONE,
+  variant_count: 3,
+  selected_variant: null,
+  params: { productCategory: 'saree', priceOverlay: '999' },
+  variants: [1, 2, 3].map((index) => ({
+    index,
+    style: ['hero', 'lifestyle', 'close_up'][index - 1],
+    source_key: `customers/abc/jobs/1/variant-${index}-source.png`,
+    output_key: `customers/abc/jobs/1/variant-${index}.png`
+  }))
+};
+
+function routeJobs({ alreadySelected = false, job = delivered } = {}) {
+  setRoute(({ method, table, body }) => {
+    if (table !== 'image_jobs') return { body: [] };
+    if (method === 'GET') return { body: [job] };
+    if (method === 'PATCH') return { body: alreadySelected ? [] : [{ ...job, ...body }] };
+    if (method === 'POST') return { status: 201, body: [{ ...body, id: 'final-job' }] };
+    return { body: [] };
+  });
+}
+
+beforeEach(() => {
+  dispatched.length = 0;
+  routeJobs();
+});
+
+test('clamps the requested number of variants', () => {
+  assert.equal(normalizeVariantCount(undefined), 1);
+  assert.equal(normalizeVariantCount('three'), 1);
+  assert.equal(normalizeVariantCount('0'), 1);
+  assert.equal(normalizeVariantCount('3'), 3);
+  assert.equal(normalizeVariantCount(12), 4);
+});
+
+test('plans one style and a stable seed per candidate', () => {
+  const plan = getVariantPlan({ id: JOB_ID, variant_count: 3 });
+
+  assert.deepEqual(plan.map((variant) => variant.style), ['hero', 'lifestyle', 'close_up']);
+  assert.deepEqual(plan.map((variant) => variant.seed - plan[0].seed), [0, 1, 2]);
+  assert.deepEqual(getVariantPlan({ id: JOB_ID, variant_count: 3 }), plan);
+});
+
+test('reads an option number out of a reply', () => {
+  assert.equal(parseVariantChoice('2', 3), 2);
+  assert.equal(parseVariantChoice(' Option 3 ', 3), 3);
+  assert.equal(parseVariantChoice('#1!', 3), 1);
+  assert.equal(parseVariantChoice('4', 3), null);
+  assert.equal(parseVariantChoice('I like 2', 3), null);
+  assert.equal(createSelectionPrompt(3), "Which one do you like best? Reply 1, 2 or 3 and we'll send you the high-resolution final. ✨");
+});
+
+test('a reply picks the candidate and queues its high-resolution final', async () => {
+  const result = await handleVariantReply(PHONE, '2');
+
+  assert.equal(result.alreadySelected, false);
+  assert.equal(result.finalJob.id, 'final-job');
+
+  const pick = calls.find((call) => call.method === 'PATCH');
+  assert.equal(pick.body.selected_variant, 2);
+  assert.equal(pick.body.selection_source, 'whatsapp_reply');
+  assert.equal(pick.params.get('selected_variant'), 'is.null');
+
+  const final = calls.find((call) => call.method === 'POST').body;
+  assert.deepEqual(final.input_image_keys, ['customers/abc/jobs/1/variant-2-source.png']);
+  assert.equal(final.input_images, undefined);
+  assert.equal(final.parent_job_id, JOB_ID);
+  assert.deepEqual(final.params.finalOf, { jobId: JOB_ID, variant: 2, style: 'lifestyle' });
+  assert.deepEqual(dispatched.map((body) => body.jobId), ['final-job']);
+});
+
+test('ignores replies that are not a pick and never picks twice', async () => {
+  assert.equal(await handleVariantReply(PHONE, 'thanks!'), null);
+  assert.equal(calls.some((call) => call.method === 'PATCH'), false);
+
+  routeJobs({ alreadySelected: true });
+  const result = await handleVariantReply(PHONE, '1');
+  assert.equal(result.alreadySelected, true);
+  assert.equal(calls.some((call) => call.method === 'POST'), false);
+});
+
+test('the select route only offers delivered options', async () => {
+  const select = async (variant) => {
+    const res = createResponse();
+    await selectHandler(createRequest({
+      method: 'POST',
+      query: { id: JOB_ID },
+      headers: { authorization: 'Bearer admin-secret' },
+      body: { variant }
+    }), res);
+    return res;
+  };
+
+  assert.equal((await select(0)).body.error, 'INVALID_VARIANT');
+  assert.equal((await select(4)).body.error, 'VARIANT_NOT_AVAILABLE');
+
+  const picked = await select(3);
+  assert.equal(picked.statusCode, 200);
+  assert.equal(picked.body.data.finalJob.parentJobId, JOB_ID);
+
+  routeJobs({ job: { ...delivered, status: 'generating' } });
+  assert.equal((await select(1)).statusCode, 409);
+});
@@ -0,0 +1,93 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { Readable } from 'stream';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { createResponse } from './helpers/http.js';
+
+const {
+  readRawBody,
+  parseJsonBody,
+  detectWebhookSource,
+  verifyMetaSignature,
+  verifyBspRequest,
+  authenticateBspRequest
+} = await import('../lib/webhook-auth.js');
+
+const body = Buffer.from('{"phoneNumber":"919800000001"}');
+const sign = (secret, raw) => createHmac('sha256', secret).update(raw).digest('hex');
+
+beforeEach(() => {
+  process.env.META_APP_SECRET = 'meta-secret';
+  process.env.BSP_WEBHOOK_SECRET = 'bsp-secret';
+  process.env.BSP_WEBHOOK_TOKEN = 'bsp-token';
+  setRoute(() => ({ status: 201, body: null }));
+});
+
+test('accepts a Meta callback signed with the app secret', () => {
+  const req = { headers: { 'x-hub-signature-256': `sha256=${sign('meta-secret', body)}` } };
+  assert.deepEqual(verifyMetaSignature(req, body), { valid: true });
+});
+
+test('rejects Meta callbacks with a wrong, missing or unverifiable signature', () => {
+  const forged = { headers: { 'x-hub-signature-256': `sha256=${sign('other-secret', body)}` } };
+  assert.equal(verifyMetaSignature(forged, body).reason, 'INVALID_SIGNATURE');
+
+  const tampered = { headers: { 'x-hub-signature-256': `sha256=${sign('meta-secret', body)}` } };
+  assert.equal(verifyMetaSignature(tampered, Buffer.from('{"phoneNumber":"919800000002"}')).reason, 'INVALID_SIGNATURE');
+
+  assert.equal(verifyMetaSignature({ headers: {} }, body).reason, 'MISSING_SIGNATURE');
+
+  delete process.env.META_APP_SECRET;
+  assert.equal(verifyMetaSignature(tampered, body).reason, 'META_APP_SECRET_NOT_CONFIGURED');
+});
+
+test('accepts BSP posts by HMAC signature or shared token', () => {
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-signature': sign('bsp-secret', body) } }, body).valid, true);
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-signature': `sha256=${sign('bsp-secret', body)}` } }, body).valid, true);
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-token': 'bsp-token' } }, body).valid, true);
+  assert.equal(verifyBspRequest({ headers: { authorization: 'Bearer bsp-token' } }, body).valid, true);
+});
+
+test('rejects BSP posts without valid credentials', () => {
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-signature': sign('wrong', body) } }, body).reason, 'INVALID_SIGNATURE');
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-token': 'bsp-tokeN' } }, body).reason, 'INVALID_TOKEN');
+  assert.equal(verifyBspRequest({ headers: {} }, body).reason, 'MISSING_CREDENTIALS');
+
+  delete process.env.BSP_WEBHOOK_SECRET;
+  delete process.env.BSP_WEBHOOK_TOKEN;
+  assert.equal(verifyBspRequest({ headers: { 'x-bsp-token': 'bsp-token' } }, body).reason, 'BSP_AUTH_NOT_CONFIGURED');
+});
+
+test('routes a POST by the credential it carries', () => {
+  assert.equal(detectWebhookSource({ headers: { 'x-hub-signature-256': 'sha256=00' } }), 'meta');
+  assert.equal(detectWebhookSource({ headers: { 'x-bsp-token': 'x' } }), 'bsp');
+  assert.equal(detectWebhookSource({ headers: { authorization: 'Bearer x' } }), 'bsp');
+  assert.equal(detectWebhookSource({ headers: {} }), null);
+});
+
+test('reads the exact raw body from the request stream', async () => {
+  const req = Object.assign(Readable.from([body.subarray(0, 5), body.subarray(5)]), { headers: {} });
+
+  assert.deepEqual(await readRawBody(req), body);
+  assert.deepEqual(parseJsonBody(body), { phoneNumber: '919800000001' });
+  assert.deepEqual(parseJsonBody(Buffer.alloc(0)), {});
+  assert.equal(parseJsonBody(Buffer.from('{nope')), null);
+});
+
+test('an authenticated BSP post gets its parsed body; a rejected one is recorded', async () => {
+  const req = { headers: { 'x-bsp-token': 'bsp-token' }, rawBody: body };
+  assert.equal(await authenticateBspRequest(req, createResponse()), true);
+  assert.deepEqual(req.body, { phoneNumber: '919800000001' });
+
+  const res = createResponse();
+  const rejected = { headers: { 'x-bsp-token': 'guess' }, rawBody: body, url: '/api/bsp-lead' };
+  assert.equal(await authenticateBspRequest(rejected, res), false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(rejected.body, undefined);
+  assert.equal(calls[0].table, 'webhook_rejections');
+  assert.deepEqual(
+    { source: calls[0].body.source, reason: calls[0].body.reason },
+    { source: 'bsp', reason: 'INVALID_TOKEN' }
+  );
+});
@@ -0,0 +1,120 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { Readable } from 'stream';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { dispatched } from './helpers/flow.js';
+import { sent } from './helpers/whatsapp.js';
+import { createResponse } from './helpers/http.js';
+
+const { default: handler } = await import('../api/flow-webhook.js');
+
+const PHONE = '919800000001';
+const openSet = {
+  id: '11111111-2222-4333-8444-555555555555',
+  status: 'delivered',
+  phone_number: PHONE,
+  variant_count: 2,
+  params: { productCategory: 'saree' },
+  variants: [1, 2].map((index) => ({ index, style: 'hero', source_url: `http://supabase.test/storage/v1/object/public/generated-images/${index}.png` }))
+};
+
+function eventPayload(value) {
+  return { object: 'whatsapp_business_account', entry: [{ changes: [{ field: 'messages', value }] }] };
+}
+
+function text(body, id = 'wamid.in.1') {
+  return { id, from: PHONE, timestamp: '1790000000', type: 'text', text: { body } };
+}
+
+function postEvent(body, secret = process.env.META_APP_SECRET) {
+  const raw = Buffer.from(JSON.stringify(body));
+  const req = Object.assign(Readable.from([raw]), {
+    method: 'POST',
+    url: '/api/flow-webhook',
+    query: {},
+    headers: { 'content-type': 'application/json', 'x-hub-signature-256': `sha256=${createHmac('sha256', secret).update(raw).digest('hex')}` }
+  });
+  const res = createResponse();
+  return handler(req, res).then(() => res);
+}
+
+// image_jobs reads return `jobs`; set `pickTaken` when another reply won the
+// selection and `failJobs` to make every query error
+let jobs;
+let pickTaken;
+let failJobs;
+
+beforeEach(() => {
+  sent.length = 0;
+  dispatched.length = 0;
+  jobs = [openSet];
+  pickTaken = false;
+  failJobs = false;
+  setRoute(({ method, table, body }) => {
+    if (table === 'object') return { body: 'candidate' };
+    if (table !== 'image_jobs') return { status: 201, body: [] };
+    if (failJobs) return { status: 500, body: { message: 'connection reset' } };
+    if (method === 'GET') return { body: jobs };
+    if (method === 'PATCH') return { body: pickTaken ? [] : [{ ...jobs[0], ...body }] };
+    return { status: 201, body: [{ ...body, id: 'final-job' }] };
+  });
+});
+
+test('a text reply picks a variant and is confirmed', async () => {
+  const res = await postEvent(eventPayload({ messages: [text('2')] }));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { success: true, events: 1 });
+  assert.match(sent[0].text.body, /high-resolution version of option 2/);
+  assert.deepEqual(dispatched.map((body) => body.jobId), ['final-job']);
+});
+
+test('a second pick is told the first one stands', async () => {
+  pickTaken = true;
+  await postEvent(eventPayload({ messages: [text('2')] }));
+
+  assert.match(sent[0].text.body, /already picked an option/);
+  assert.equal(dispatched.length, 0);
+});
+
+test('other messages, statuses and fields are acknowledged without a reply', async () => {
+  const res = await postEvent({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [
+        { field: 'messages', value: {
+          messages: [
+            { id: 'wamid.in.2', from: PHONE, type: 'image', image: { id: 'media.1' } },
+            { id: 'wamid.in.3', from: PHONE, type: 'interactive', interactive: { button_reply: { id: 'x', title: 'X' } } },
+            { id: 'wamid.in.4', from: PHONE, type: 'sticker' }
+          ],
+          statuses: [{ id: 'wamid.out.1', recipient_id: PHONE, status: 'read' }]
+        } },
+        { field: 'account_update', value: {} }
+      ]
+    }]
+  });
+
+  assert.deepEqual(res.body, { success: true, events: 4 });
+  assert.equal(sent.length, 0);
+});
+
+test('one failing event does not stop the rest of the batch', async () => {
+  failJobs = true;
+  const res = await postEvent(eventPayload({
+    messages: [text('2', 'wamid.in.5')],
+    statuses: [{ id: 'wamid.out.2', recipient_id: PHONE, status: 'delivered' }]
+  }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.events, 2);
+  assert.equal(calls.filter((call) => call.table === 'image_jobs').length, 1);
+});
+
+test('unsigned events are rejected', async () => {
+  const res = await postEvent(eventPayload({ messages: [text('2')] }), 'wrong-secret');
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(sent.length, 0);
+});
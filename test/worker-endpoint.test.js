@@ -0,0 +1,62 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+
+const { default: handler } = await import('../api/worker.js');
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function createRequest(authorization) {
+  return { method: 'GET', url: '/api/worker', headers: authorization ? { authorization } : {} };
+}
+
+beforeEach(() => {
+  setRoute(() => ({ status: 201, body: null }));
+});
+
+test('refuses every call when CRON_SECRET is not configured', async () => {
+  delete process.env.CRON_SECRET;
+  const res = createResponse();
+
+  await handler(createRequest('Bearer anything'), res);
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.reason, 'CRON_SECRET_NOT_CONFIGURED');
+  assert.ok(calls.every((call) => call.rpc !== 'claim_image_jobs'));
+});
+
+test('refuses a missing or wrong token', async () => {
+  process.env.CRON_SECRET = 'sweep-secret';
+
+  const missing = createResponse();
+  await handler(createRequest(), missing);
+  assert.equal(missing.statusCode, 401);
+  assert.equal(missing.body.reason, 'MISSING_TOKEN');
+
+  const wrong = createResponse();
+  await handler(createRequest('Bearer not-the-secret'), wrong);
+  assert.equal(wrong.statusCode, 401);
+  assert.equal(wrong.body.reason, 'INVALID_TOKEN');
+});
+
+test('runs the sweep with the right token', async () => {
+  process.env.CRON_SECRET = 'sweep-secret';
+  setRoute(({ rpc, table }) => {
+    if (rpc === 'claim_image_jobs' || table === 'image_jobs') return { body: [] };
+    return { body: null };
+  });
+  const res = createResponse();
+
+  await handler(createRequest('Bearer sweep-secret'), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.processed, 0);
+  assert.ok(calls.some((call) => call.rpc === 'claim_image_jobs'));
+});
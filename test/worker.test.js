@@ -0,0 +1,251 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setRoute, calls } from './helpers/fake-supabase.js';
+import { sent, media } from './helpers/whatsapp.js';
+import { objects, STORAGE_URL } from './helpers/fake-storage.js';
+import { getCustomerStorageId } from '../lib/storage.js';
+import { getResultCacheKey } from '../lib/result-cache.js';
+import { PNG } from 'pngjs';
+
+process.env.IMAGE_PROVIDERS = 'mock';
+process.env.MODERATION_PROVIDER = 'mock';
+
+const { runJob } = await import('../lib/worker.js');
+
+const PHONE = '919800000001';
+const JOB_ID = '11111111-2222-4333-8444-555555555555';
+const JOB_FOLDER = `customers/${getCustomerStorageId(PHONE)}/jobs/${JOB_ID}/`;
+
+function photo(width = 300, height = 300) {
+  const png = new PNG({ width, height });
+  png.data.fill(180);
+  return PNG.sync.write(png).toString('base64');
+}
+
+function queuedJob(overrides = {}) {
+  return {
+    id: JOB_ID,
+    status: 'generating',
+    phone_number: PHONE,
+    params: { productCategory: 'saree', priceOverlay: '999' },
+    input_images: [photo()],
+    variant_count: 1,
+    attempts: 1,
+    max_attempts: 4,
+    timings: {},
+    ...overrides
+  };
+}
+
+// image_jobs updates are applied to `stored`, which the route hands back;
+// a cache_key lookup finds `cachedJob`
+let stored;
+let cachedJob;
+
+beforeEach(() => {
+  sent.length = 0;
+  media.length = 0;
+  objects.clear();
+  cachedJob = null;
+  setRoute(({ method, table, params, body }) => {
+    if (table === 'image_jobs' && method === 'PATCH') {
+      stored = { ...stored, ...body };
+      return { body: [stored] };
+    }
+    if (table === 'image_jobs' && params.has('cache_key')) {
+      return { body: cachedJob && params.get('cache_key') === `eq.${cachedJob.cache_key}` ? [cachedJob] : [] };
+    }
+    return { body: [] };
+  });
+});
+
+test('renders, stores and delivers a job by WhatsApp media id', async () => {
+  stored = queuedJob();
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(objects.size, 2);
+  assert.ok(result.output_key.startsWith(`${JOB_FOLDER}output-`));
+  assert.ok(result.source_key.startsWith(`${JOB_FOLDER}output-source-`));
+  assert.equal(result.output_url, undefined);
+
+  const object = objects.get(`generated-images/${result.output_key}`);
+  assert.equal(object.contentType, 'image/png');
+  assert.deepEqual(object.metadata, { category: 'apparel', 'prompt-version': 'apparel-v1', 'job-id': JOB_ID, kind: 'output' });
+
+  assert.equal(media.length, 1);
+  assert.equal(media[0].type, 'image/png');
+  assert.deepEqual(media[0].bytes, object.body);
+
+  assert.equal(sent.length, 2);
+  assert.equal(sent[0].to, PHONE);
+  assert.deepEqual(sent[0].image, { id: 'media.1', caption: "Here's your enhanced saree — ₹999 image! 🎨✨" });
+  assert.equal(sent[0].image.link, undefined);
+  assert.deepEqual(sent[1].interactive.action.buttons.map((button) => button.reply.id), [
+    `regenerate:${JOB_ID}`,
+    `scene:${JOB_ID}`,
+    `hd:${JOB_ID}`
+  ]);
+
+  assert.equal(result.whatsapp_media_id, 'media.1');
+  assert.equal(result.whatsapp_message_id, 'wamid.1');
+  assert.ok(result.whatsapp_media_uploaded_at);
+  assert.equal(result.delivery_status, 'accepted');
+
+  const tracked = calls.filter((call) => call.table === 'whatsapp_messages').map((call) => call.body);
+  assert.deepEqual(tracked, [{ wamid: 'wamid.1', job_id: JOB_ID, phone_number: PHONE, kind: 'image', variant_index: null, attempt: 1, sent_via: 'media_id' }]);
+});
+
+test('downscales the uploads before rendering and keeps the smaller copies', async () => {
+  const inputKey = `${JOB_FOLDER}input-1-earlier.png`;
+  objects.set(`generated-images/${inputKey}`, { body: Buffer.from(photo(2000, 400), 'base64'), contentType: 'image/png' });
+  stored = queuedJob({ input_image_keys: [inputKey], input_keys: [inputKey] });
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.deepEqual(result.input_keys, [inputKey]);
+  assert.match(result.input_image_keys[0], new RegExp(`^${JOB_FOLDER}model-input-1-`));
+  const prepared = PNG.sync.read(objects.get(`generated-images/${result.input_image_keys[0]}`).body);
+  assert.deepEqual([prepared.width, prepared.height], [1536, 307]);
+});
+
+test('renders the HD version of a delivered image from its unbadged render', async () => {
+  const sourceKey = `${JOB_FOLDER}output-source-earlier.png`;
+  objects.set(`generated-images/${sourceKey}`, { body: Buffer.from(photo(), 'base64'), contentType: 'image/png' });
+  stored = queuedJob({
+    input_images: undefined,
+    input_image_keys: [sourceKey],
+    params: { productCategory: 'saree', priceOverlay: '999', finalOf: { jobId: 'earlier-job', variant: null } }
+  });
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(sent[0].image.caption, "Here's the high-resolution version of your image! 🎨✨");
+  assert.deepEqual(sent[1].interactive.action.buttons.map((button) => button.reply.id), [`regenerate:${JOB_ID}`]);
+});
+
+test('fails a job whose photo cannot be decoded without retrying it', async () => {
+  const header = Buffer.from(photo()).subarray(0, 33);
+  stored = queuedJob({ input_images: [header.toString('base64')], attempts: 1 });
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.last_error, /^Input photo rejected/);
+  assert.equal(sent.length, 0);
+});
+
+test('redelivery reuses a fresh media id', async () => {
+  stored = queuedJob({
+    output_key: `${JOB_FOLDER}output-earlier.png`,
+    whatsapp_media_id: 'media.earlier',
+    whatsapp_media_uploaded_at: new Date(Date.now() - 3600 * 1000).toISOString()
+  });
+
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(media.length, 0);
+  assert.equal(sent[0].image.id, 'media.earlier');
+  assert.equal(calls.some((call) => call.rpc), false);
+});
+
+test('redelivery uploads the stored image again once the media id is too old', async () => {
+  objects.set(`generated-images/${JOB_FOLDER}output-earlier.png`, { body: Buffer.from(photo(), 'base64'), contentType: 'image/png' });
+  stored = queuedJob({
+    output_key: `${JOB_FOLDER}output-earlier.png`,
+    whatsapp_media_id: 'media.expired',
+    whatsapp_media_uploaded_at: new Date(Date.now() - 29.5 * 24 * 3600 * 1000).toISOString()
+  });
+
+  const result = await runJob(stored);
+
+  assert.equal(media.length, 1);
+  assert.deepEqual(media[0].bytes, objects.get(`generated-images/${JOB_FOLDER}output-earlier.png`).body);
+  assert.equal(sent[0].image.id, 'media.1');
+  assert.equal(result.whatsapp_media_id, 'media.1');
+});
+
+test('redelivers jobs stored before the bucket went private from their public URL', async () => {
+  objects.set('generated-images/generated-earlier.png', { body: Buffer.from(photo(), 'base64'), contentType: 'image/png' });
+  stored = queuedJob({ output_url: `${STORAGE_URL}/generated-images/generated-earlier.png` });
+
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(objects.size, 1);
+  assert.deepEqual(media[0].bytes, objects.get('generated-images/generated-earlier.png').body);
+});
+
+test('sends every variant by media id before asking for a pick', async () => {
+  stored = queuedJob({ variant_count: 2 });
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(media.length, 2);
+  assert.deepEqual(sent.map((message) => message.type), ['image', 'image', 'text']);
+  assert.deepEqual(sent.slice(0, 2).map((message) => message.image.id), ['media.1', 'media.2']);
+  assert.deepEqual(result.variants.map((variant) => variant.whatsapp_media_id), ['media.1', 'media.2']);
+  assert.ok(result.variants[1].output_key.startsWith(`${JOB_FOLDER}variant-2-`));
+  assert.ok(result.variants[1].source_key.startsWith(`${JOB_FOLDER}variant-2-source-`));
+  assert.equal(objects.size, 4);
+  assert.match(sent[2].text.body, /Reply 1 or 2/);
+
+  const tracked = calls.filter((call) => call.table === 'whatsapp_messages').map((call) => [call.body.kind, call.body.variant_index]);
+  assert.deepEqual(tracked, [['variant', 1], ['variant', 2], ['selection_prompt', null]]);
+});
+
+test('serves a repeat submission from the earlier stored output', async () => {
+  stored = queuedJob({ input_hashes: ['aGFzaC0x'] });
+  cachedJob = {
+    id: 'earlier-job',
+    cache_key: getResultCacheKey(stored),
+    prompt: 'earlier prompt',
+    prompt_version: 'apparel-v1',
+    prompt_category: 'apparel',
+    provider: 'mock',
+    output_key: `${JOB_FOLDER}output-earlier.png`,
+    whatsapp_media_id: 'media.earlier',
+    whatsapp_media_uploaded_at: new Date(Date.now() - 3600 * 1000).toISOString()
+  };
+
+  const result = await runJob(stored);
+
+  assert.equal(result.status, 'delivered');
+  assert.equal(result.cached_from, 'earlier-job');
+  assert.equal(result.output_key, cachedJob.output_key);
+  assert.equal(result.timings.cache_hit, true);
+  assert.equal(objects.size, 0);
+  assert.equal(media.length, 0);
+  assert.equal(sent[0].image.id, 'media.earlier');
+
+  // Nothing was rendered, so the credits go back
+  const refund = calls.find((call) => call.rpc === 'refund_job_credits');
+  assert.deepEqual(refund.body, { p_job_id: JOB_ID });
+});
+
+test('renders again when the customer asks for a fresh render', async () => {
+  stored = queuedJob({ input_hashes: ['aGFzaC0x'], params: { productCategory: 'saree', priceOverlay: '999', forceFresh: true } });
+  cachedJob = { id: 'earlier-job', cache_key: getResultCacheKey(stored), output_key: `${JOB_FOLDER}output-earlier.png` };
+
+  const result = await runJob(stored);
+
+  assert.equal(result.cached_from, undefined);
+  assert.equal(result.cache_key, cachedJob.cache_key);
+  assert.equal(objects.size, 2);
+  assert.equal(result.timings.cache_hit, false);
+});
+
+test('gives the credits back when a job fails for good', async () => {
+  process.env.MOCK_PROVIDER_MODE = 'text';
+  try {
+    stored = queuedJob({ attempts: 4 });
+    const result = await runJob(stored);
+
+    assert.equal(result.status, 'failed');
+    const refund = calls.find((call) => call.rpc === 'refund_job_credits');
+    assert.deepEqual(refund.body, { p_job_id: JOB_ID });
+    assert.equal(sent.length, 0);
+  } finally {
+    delete process.env.MOCK_PROVIDER_MODE;
+  }
+});